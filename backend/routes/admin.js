@@ -0,0 +1,107 @@
+// routes/admin.js — knowledge base browser, usage insights and prompt templates for the admin dashboard
+// Document and chunk routes work on the collection named by `?collection=`;
+// insights cover every collection unless one is named.
+import { Router } from 'express';
+
+import { DEFAULT_COLLECTION, getCollection, collectionFromQuery } from '../utils/collections.js';
+import { getMetricsEntries } from '../utils/metricsLog.js';
+import { computeUsageInsights, chunkRetrievalCounts, chunkConversations } from '../utils/usageInsights.js';
+import { getSessionInfo } from '../utils/sessionStore.js';
+import { getFeedbackCounts } from '../utils/feedbackStore.js';
+import { listPromptTemplates, reloadPromptTemplates } from '../utils/promptTemplates.js';
+
+const MAX_DAYS = 90;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const router = Router();
+
+// Metrics entries of one collection (entries logged before collections belong to the default)
+function collectionEntries(collectionId) {
+    return getMetricsEntries().filter((e) => (e.collection || DEFAULT_COLLECTION) === collectionId);
+}
+
+// ── GET /api/admin/insights?days=7 ────────────────────────────────────────
+router.get('/insights', (req, res) => {
+    const days = req.query.days === undefined ? 7 : Number(req.query.days);
+    if (!(days >= 1 && days <= MAX_DAYS)) {
+        return res.status(400).json({ error: `days must be between 1 and ${MAX_DAYS}.` });
+    }
+    const { collection } = req.query;
+    if (collection !== undefined && !getCollection(collection)) {
+        return res.status(404).json({ error: 'Collection not found' });
+    }
+    const entries = collection === undefined ? getMetricsEntries() : collectionEntries(collection);
+    const now = Date.now();
+    const since = new Date(now - days * DAY_MS).toISOString();
+    res.json({ ...computeUsageInsights(entries, { days, now }), feedback: getFeedbackCounts({ collection, since }) });
+});
+
+// ── GET /api/admin/documents ──────────────────────────────────────────────
+// Documents with how often their chunks were used in a prompt
+router.get('/documents', collectionFromQuery, (req, res) => {
+    const { id: collectionId, kb } = req.collection;
+    const docOf = new Map(kb.getVectorStore().map((c) => [c.id, c.docId]));
+    const retrievalsByDoc = new Map();
+    for (const [chunkId, count] of chunkRetrievalCounts(collectionEntries(collectionId))) {
+        const docId = docOf.get(chunkId);
+        if (docId !== undefined) retrievalsByDoc.set(docId, (retrievalsByDoc.get(docId) || 0) + count);
+    }
+    res.json({
+        collection: collectionId,
+        documents: kb.listDocuments().map((doc) => ({ ...doc, retrievals: retrievalsByDoc.get(doc.id) || 0 })),
+    });
+});
+
+// ── GET /api/admin/documents/:id/chunks ───────────────────────────────────
+router.get('/documents/:id/chunks', collectionFromQuery, (req, res) => {
+    const { id: collectionId, kb } = req.collection;
+    const chunks = kb.getDocumentChunks(req.params.id);
+    if (!chunks) {
+        return res.status(404).json({ error: 'Document not found' });
+    }
+    const counts = chunkRetrievalCounts(collectionEntries(collectionId));
+    const { content: _content, ...document } = kb.getDocument(req.params.id);
+    res.json({
+        document,
+        chunks: chunks.map((chunk) => ({ ...chunk, retrievals: counts.get(chunk.id) || 0 })),
+    });
+});
+
+// ── GET /api/admin/chunks/:id ─────────────────────────────────────────────
+// A chunk and the conversations whose replies used it
+router.get('/chunks/:id', collectionFromQuery, (req, res) => {
+    const chunk = req.collection.kb.getChunk(req.params.id);
+    if (!chunk) {
+        return res.status(404).json({ error: 'Chunk not found' });
+    }
+    const conversations = chunkConversations(collectionEntries(req.collection.id), chunk.id).map((c) => {
+        const session = getSessionInfo(c.sessionId);
+        // Expired or deleted conversations are still listed, but can't be opened
+        return { ...c, title: session?.title || null, available: Boolean(session) };
+    });
+    res.json({
+        chunk,
+        retrievals: conversations.reduce((sum, c) => sum + c.count, 0),
+        conversations,
+    });
+});
+
+// ── GET /api/admin/prompts ────────────────────────────────────────────────
+router.get('/prompts', (_req, res) => {
+    res.json({ templates: listPromptTemplates() });
+});
+
+// ── POST /api/admin/prompts/reload ────────────────────────────────────────
+// Re-read the template files; if one is invalid the loaded templates stay in use
+router.post('/prompts/reload', (req, res) => {
+    try {
+        const templates = reloadPromptTemplates();
+        req.log.info('Prompt templates reloaded', { templates: templates.map((t) => t.version) });
+        res.json({ templates });
+    } catch (err) {
+        req.log.warn('Prompt template reload failed', { err });
+        res.status(400).json({ error: err.message });
+    }
+});
+
+export default router;
@@ -0,0 +1,136 @@
+// routes/documents.js — CRUD for knowledge base documents with live re-indexing
+// Every route works on the collection named by `?collection=` (default: default).
+// Anyone authenticated may read (internal documents only staff and admins);
+// creating, updating and deleting is admin-only.
+import { Router } from 'express';
+import { v4 as uuidv4 } from 'uuid';
+
+import { collectionFromQuery } from '../utils/collections.js';
+import { validateMetadata } from '../utils/metadataFilter.js';
+import { requireAdmin, canSeeInternal } from '../utils/auth.js';
+import { classifyPipelineError } from '../utils/errors.js';
+
+const MAX_TITLE_LENGTH = 200;
+const MAX_CONTENT_LENGTH = 200_000;
+// Client-chosen document ids end up in chunk ids, logs and URLs
+const DOC_ID_PATTERN = /^[A-Za-z0-9][\w.-]{0,63}$/;
+
+const router = Router();
+router.use(collectionFromQuery);
+
+/**
+ * Validate a document body. Returns { error } or { title, content, metadata }.
+ */
+function validateDocument(body) {
+    const { title, content } = body || {};
+
+    if (!title || typeof title !== 'string' || !title.trim()) {
+        return { error: 'title is required and must be a non-empty string.' };
+    }
+    if (title.length > MAX_TITLE_LENGTH) {
+        return { error: `title is too long (max ${MAX_TITLE_LENGTH} characters).` };
+    }
+    if (!content || typeof content !== 'string' || !content.trim()) {
+        return { error: 'content is required and must be a non-empty string.' };
+    }
+    if (content.length > MAX_CONTENT_LENGTH) {
+        return { error: `content is too long (max ${MAX_CONTENT_LENGTH} characters).` };
+    }
+    const { error, metadata } = validateMetadata(body.metadata);
+    if (error) {
+        return { error };
+    }
+    return { title: title.trim(), content: content.trim(), metadata };
+}
+
+// Internal documents are hidden from public users, as they are in retrieval
+function isVisible(principal, doc) {
+    return canSeeInternal(principal) || doc.metadata?.visibility !== 'internal';
+}
+
+function sendIndexError(req, res, err) {
+    req.log.error('Re-indexing failed', { collection: req.collection.id, err });
+    const { status, error, retryAfter } = classifyPipelineError(err);
+    if (retryAfter) res.set('Retry-After', String(retryAfter));
+    res.status(status).json({ error });
+}
+
+// ── GET /api/documents ────────────────────────────────────────────────────
+router.get('/', (req, res) => {
+    const documents = req.collection.kb.listDocuments().filter((doc) => isVisible(req.principal, doc));
+    res.json({ collection: req.collection.id, documents });
+});
+
+// ── GET /api/documents/:id ────────────────────────────────────────────────
+router.get('/:id', (req, res) => {
+    const doc = req.collection.kb.getDocument(req.params.id);
+    if (!doc || !isVisible(req.principal, doc)) {
+        return res.status(404).json({ error: 'Document not found' });
+    }
+    res.json(doc);
+});
+
+// ── POST /api/documents ───────────────────────────────────────────────────
+router.post('/', requireAdmin, async (req, res) => {
+    const input = validateDocument(req.body);
+    if (input.error) {
+        return res.status(400).json({ error: input.error });
+    }
+
+    const { id: requestedId } = req.body;
+    if (requestedId !== undefined && (typeof requestedId !== 'string' || !DOC_ID_PATTERN.test(requestedId))) {
+        return res.status(400).json({ error: 'id must be 1-64 letters, digits, "-", "_" or ".", starting with a letter or digit.' });
+    }
+
+    const { kb } = req.collection;
+    const id = requestedId ?? uuidv4();
+    if (kb.documentExists(id)) {
+        return res.status(409).json({ error: `Document "${id}" already exists. Use PUT to update it.` });
+    }
+
+    try {
+        const summary = await kb.upsertDocument({ id, ...input });
+        req.log.info('Document created', { collection: req.collection.id, docId: id, chunks: summary.chunks });
+        res.status(201).json(summary);
+    } catch (err) {
+        sendIndexError(req, res, err);
+    }
+});
+
+// ── PUT /api/documents/:id ────────────────────────────────────────────────
+router.put('/:id', requireAdmin, async (req, res) => {
+    const { id } = req.params;
+    const { kb } = req.collection;
+    if (!kb.documentExists(id)) {
+        return res.status(404).json({ error: 'Document not found' });
+    }
+    const input = validateDocument(req.body);
+    if (input.error) {
+        return res.status(400).json({ error: input.error });
+    }
+
+    try {
+        const summary = await kb.upsertDocument({ id, ...input });
+        req.log.info('Document updated', { collection: req.collection.id, docId: id, chunks: summary.chunks });
+        res.json(summary);
+    } catch (err) {
+        sendIndexError(req, res, err);
+    }
+});
+
+// ── DELETE /api/documents/:id ─────────────────────────────────────────────
+router.delete('/:id', requireAdmin, async (req, res) => {
+    const { id } = req.params;
+    try {
+        const deleted = await req.collection.kb.deleteDocument(id);
+        if (!deleted) {
+            return res.status(404).json({ error: 'Document not found' });
+        }
+        req.log.info('Document deleted', { collection: req.collection.id, docId: id });
+        res.json({ message: 'Document deleted successfully' });
+    } catch (err) {
+        sendIndexError(req, res, err);
+    }
+});
+
+export default router;
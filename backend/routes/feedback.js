@@ -0,0 +1,96 @@
+// routes/feedback.js — thumbs up/down on replies and the analytics export
+import { Router } from 'express';
+
+import { canAccessSession, requireAdmin } from '../utils/auth.js';
+import { findReply, setReplyFeedback, getSessionCollection } from '../utils/sessionStore.js';
+import { DEFAULT_COLLECTION } from '../utils/collections.js';
+import {
+    FEEDBACK_RATINGS,
+    recordFeedback,
+    listFeedback,
+    feedbackToCsv,
+    feedbackToJsonl,
+} from '../utils/feedbackStore.js';
+
+const MAX_COMMENT_LENGTH = 1000;
+const EXPORT_FORMATS = ['jsonl', 'csv'];
+
+const router = Router();
+
+/**
+ * Validate a feedback body. Returns { error } or { sessionId, messageId, rating, comment }.
+ */
+function validateFeedback(body) {
+    const { sessionId, messageId, rating, comment } = body || {};
+
+    if (!sessionId || typeof sessionId !== 'string') {
+        return { error: 'sessionId is required and must be a string.' };
+    }
+    if (!messageId || typeof messageId !== 'string') {
+        return { error: 'messageId is required and must be a string.' };
+    }
+    if (!FEEDBACK_RATINGS.includes(rating)) {
+        return { error: `rating must be one of: ${FEEDBACK_RATINGS.join(', ')}.` };
+    }
+    if (comment !== undefined && comment !== null && typeof comment !== 'string') {
+        return { error: 'comment must be a string.' };
+    }
+    if (comment && comment.length > MAX_COMMENT_LENGTH) {
+        return { error: `comment is too long (max ${MAX_COMMENT_LENGTH} characters).` };
+    }
+    return { sessionId, messageId, rating, comment: comment?.trim() || null };
+}
+
+// ── POST /api/feedback ────────────────────────────────────────────────────
+router.post('/', (req, res) => {
+    const input = validateFeedback(req.body);
+    if (input.error) {
+        return res.status(400).json({ error: input.error });
+    }
+
+    const found = canAccessSession(req.principal, input.sessionId) && findReply(input.sessionId, input.messageId);
+    if (!found) {
+        return res.status(404).json({ error: 'Message not found' });
+    }
+
+    const { reply, question } = found;
+    const record = recordFeedback({
+        ...input,
+        collection: getSessionCollection(input.sessionId) || DEFAULT_COLLECTION,
+        question,
+        reply: reply.content,
+        chunks: (reply.sources || []).map(({ id, docId, title, score, cited }) => ({ id, docId, title, score, cited })),
+        promptVersion: reply.promptVersion || null,
+        groundedness: reply.groundedness ?? null,
+        fallback: Boolean(reply.fallback),
+    });
+    setReplyFeedback(input.sessionId, input.messageId, { rating: input.rating, comment: input.comment });
+
+    req.log.info('Feedback recorded', { sessionId: input.sessionId, messageId: input.messageId, rating: input.rating });
+    res.json({ messageId: record.messageId, rating: record.rating, comment: record.comment, updatedAt: record.updatedAt });
+});
+
+// ── GET /api/feedback/export?format=jsonl|csv&rating=down&since=2026-01-01 ─
+router.get('/export', requireAdmin, (req, res) => {
+    const { format = 'jsonl', rating, since } = req.query;
+    if (!EXPORT_FORMATS.includes(format)) {
+        return res.status(400).json({ error: `format must be one of: ${EXPORT_FORMATS.join(', ')}.` });
+    }
+    if (rating !== undefined && !FEEDBACK_RATINGS.includes(rating)) {
+        return res.status(400).json({ error: `rating must be one of: ${FEEDBACK_RATINGS.join(', ')}.` });
+    }
+    if (since !== undefined && Number.isNaN(Date.parse(since))) {
+        return res.status(400).json({ error: 'since must be an ISO date.' });
+    }
+
+    const records = listFeedback({ rating, since: since && new Date(since).toISOString() });
+    const filename = `feedback-${new Date().toISOString().slice(0, 10)}.${format}`;
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+    if (format === 'csv') {
+        res.type('text/csv').send(feedbackToCsv(records));
+    } else {
+        res.type('application/x-ndjson').send(feedbackToJsonl(records));
+    }
+});
+
+export default router;
@@ -0,0 +1,79 @@
+// routes/sessions.js — conversation sessions: create, list, read back, rename, delete
+import { Router } from 'express';
+import { v4 as uuidv4 } from 'uuid';
+
+import { canAccessSession, isAuthEnabled } from '../utils/auth.js';
+import { DEFAULT_COLLECTION, getCollection } from '../utils/collections.js';
+import {
+    createSession,
+    deleteSession,
+    getMessages,
+    getSessionCollection,
+    listSessions,
+    renameSession,
+} from '../utils/sessionStore.js';
+
+const MAX_TITLE_LENGTH = 100;
+
+const router = Router();
+
+// Sessions belonging to someone else are reported as missing
+function notFound(res) {
+    return res.status(404).json({ error: 'Session not found' });
+}
+
+// ── POST /api/session/new  { collection? } ────────────────────────────────
+router.post('/session/new', (req, res) => {
+    const collection = req.body?.collection ?? DEFAULT_COLLECTION;
+    if (typeof collection !== 'string' || !getCollection(collection)) {
+        return res.status(400).json({ error: 'collection must be the id of an existing collection.' });
+    }
+
+    const sessionId = uuidv4();
+    createSession(sessionId, { owner: req.principal.id, collection });
+    req.log.info('Session created', { sessionId, collection });
+    res.status(201).json({ sessionId, collection });
+});
+
+// ── GET /api/sessions ─────────────────────────────────────────────────────
+// Without authentication every session is listed (including ones created before it)
+router.get('/sessions', (req, res) => {
+    res.json({ sessions: listSessions(isAuthEnabled() ? { owner: req.principal.id } : {}) });
+});
+
+// ── GET /api/session/:id/messages ─────────────────────────────────────────
+router.get('/session/:id/messages', (req, res) => {
+    if (!canAccessSession(req.principal, req.params.id)) {
+        return notFound(res);
+    }
+    const messages = getMessages(req.params.id);
+    res.json({ sessionId: req.params.id, collection: getSessionCollection(req.params.id) || DEFAULT_COLLECTION, messages });
+});
+
+// ── PATCH /api/session/:id ────────────────────────────────────────────────
+router.patch('/session/:id', (req, res) => {
+    const { title } = req.body || {};
+    if (!title || typeof title !== 'string' || !title.trim()) {
+        return res.status(400).json({ error: 'title is required and must be a non-empty string.' });
+    }
+    if (title.length > MAX_TITLE_LENGTH) {
+        return res.status(400).json({ error: `title is too long (max ${MAX_TITLE_LENGTH} characters).` });
+    }
+    if (!canAccessSession(req.principal, req.params.id)) {
+        return notFound(res);
+    }
+
+    res.json(renameSession(req.params.id, title.trim()));
+});
+
+// ── DELETE /api/session/:id ───────────────────────────────────────────────
+router.delete('/session/:id', (req, res) => {
+    if (!canAccessSession(req.principal, req.params.id)) {
+        return notFound(res);
+    }
+    deleteSession(req.params.id);
+    req.log.info('Session deleted', { sessionId: req.params.id });
+    res.json({ message: 'Session deleted successfully' });
+});
+
+export default router;
@@ -0,0 +1,118 @@
+// scripts/benchmark_ann.js
+// Recall vs latency of the IVF index against exact (brute-force) search.
+// Run: npm run bench:ann                       (synthetic clustered vectors)
+//      npm run bench:ann -- --size=50000 --dims=768 --queries=200
+//      npm run bench:ann -- --store             (data/vector_store.json, queries drawn from it)
+
+import { dirname, join } from 'path';
+import { fileURLToPath } from 'url';
+import { performance } from 'perf_hooks';
+import { configureAnn, getAnnIndex, searchAnnIndex } from '../utils/annIndex.js';
+import { dotProduct, normalizeVector } from '../utils/vector_math.js';
+import { loadVectorStore } from '../utils/vectorStoreFile.js';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const K = 10;
+const NPROBES = [1, 2, 4, 8, 16, 32];
+
+function parseArgs(argv) {
+    const args = { size: 20000, dims: 384, queries: 100, store: false };
+    for (const arg of argv) {
+        const [key, value] = arg.replace(/^--/, '').split('=');
+        if (key === 'store') args.store = true;
+        else if (key in args) args[key] = parseInt(value, 10);
+    }
+    return args;
+}
+
+// Deterministic PRNG (mulberry32) so runs are comparable
+function createRandom(seed) {
+    let a = seed >>> 0;
+    const uniform = () => {
+        a = (a + 0x6d2b79f5) >>> 0;
+        let t = Math.imul(a ^ (a >>> 15), a | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+    // Roughly normal noise centred on 0
+    const noise = () => uniform() + uniform() + uniform() - 1.5;
+    return { uniform, noise };
+}
+
+// Embeddings cluster by topic; mimic that with noisy copies of random topic vectors
+function syntheticVectors(count, dims, random) {
+    const topics = Array.from({ length: Math.max(8, Math.round(count / 200)) }, () =>
+        Float32Array.from({ length: dims }, random.noise)
+    );
+    return Array.from({ length: count }, () => {
+        const topic = topics[Math.floor(random.uniform() * topics.length)];
+        return normalizeVector(topic.map((v) => v + random.noise() * 0.8));
+    });
+}
+
+function exactTopK(documents, query) {
+    return documents
+        .map((doc, i) => ({ i, score: dotProduct(query, doc.embedding) }))
+        .sort((a, b) => b.score - a.score)
+        .slice(0, K);
+}
+
+function timed(fn) {
+    const start = performance.now();
+    const result = fn();
+    return { result, ms: performance.now() - start };
+}
+
+function main() {
+    const args = parseArgs(process.argv.slice(2));
+    const random = createRandom(42);
+
+    let documents;
+    let queries;
+    if (args.store) {
+        documents = loadVectorStore(join(__dirname, '../data/vector_store.json'));
+        // Perturbed copies of stored chunks stand in for real queries
+        queries = Array.from({ length: args.queries }, (_, q) =>
+            normalizeVector(documents[(q * 7919) % documents.length].embedding.map((v) => v + random.noise() * 0.05))
+        );
+    } else {
+        console.log(`🧪 Generating ${args.size} synthetic ${args.dims}-d vectors...`);
+        documents = syntheticVectors(args.size, args.dims, random).map((embedding) => ({ embedding }));
+        queries = syntheticVectors(args.queries, args.dims, random);
+    }
+    if (documents.length === 0) {
+        console.error('❌ The vector store is empty. Run: npm run ingest');
+        process.exit(1);
+    }
+
+    configureAnn({ minChunks: 1 });
+    const { result: index, ms: buildMs } = timed(() => getAnnIndex(documents));
+    console.log(
+        `📦 ${documents.length} vectors, ${index.centroids.length} clusters, index built in ${buildMs.toFixed(0)} ms\n`
+    );
+
+    let exactMs = 0;
+    const truth = queries.map((q) => {
+        const { result, ms } = timed(() => exactTopK(documents, q));
+        exactMs += ms;
+        return new Set(result.map((r) => r.i));
+    });
+    console.log(`method       recall@${K}   ms/query`);
+    console.log(`exact        1.000       ${(exactMs / queries.length).toFixed(3)}`);
+
+    for (const nprobe of NPROBES.filter((n) => n <= index.centroids.length)) {
+        let hits = 0;
+        let totalMs = 0;
+        queries.forEach((q, i) => {
+            const { result, ms } = timed(() => searchAnnIndex(index, documents, q, { nprobe, limit: K }));
+            totalMs += ms;
+            hits += result.filter((r) => truth[i].has(r.i)).length;
+        });
+        const recall = hits / (queries.length * K);
+        console.log(
+            `ivf n=${String(nprobe).padEnd(4)}   ${recall.toFixed(3)}       ${(totalMs / queries.length).toFixed(3)}`
+        );
+    }
+}
+
+main();
@@ -1,50 +1,45 @@
 import 'dotenv/config';
-import { readFileSync } from 'fs';
 import { dirname, join } from 'path';
 import { fileURLToPath } from 'url';
 import fetch from 'node-fetch';
 globalThis.fetch = fetch;
-import { GoogleGenerativeAI } from '@google/generative-ai';
+import { createProvider } from '../utils/providers/index.js';
+import { retrieve } from '../utils/retrieval.js';
+import { loadVectorStore } from '../utils/vectorStoreFile.js';
 
 const __dirname = dirname(fileURLToPath(import.meta.url));
 const vectorStorePath = join(__dirname, '../data/vector_store.json');
-const vectorStore = JSON.parse(readFileSync(vectorStorePath, 'utf-8'));
-
-function dotProduct(a, b) {
-    return a.reduce((sum, val, i) => sum + val * b[i], 0);
-}
-
-function magnitude(a) {
-    return Math.sqrt(a.reduce((sum, val) => sum + val * val, 0));
-}
-
-function cosineSimilarity(a, b) {
-    return dotProduct(a, b) / (magnitude(a) * magnitude(b));
-}
+const vectorStore = loadVectorStore(vectorStorePath);
 
 async function diagnose(query) {
-    const genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
-    const model = genAI.getGenerativeModel({ model: 'gemini-embedding-001' });
-
     console.log(`Diagnosing query: "${query}"`);
     try {
-        const embedResult = await model.embedContent(query);
-        const queryVector = embedResult.embedding.values;
-
-        const scores = vectorStore.map(chunk => ({
-            title: chunk.title,
-            score: cosineSimilarity(queryVector, chunk.embedding)
-        }));
-
-        scores.sort((a, b) => b.score - a.score);
-
-        console.log('Top 5 similarity scores:');
-        scores.slice(0, 5).forEach((s, i) => {
-            console.log(`${i + 1}. ${s.title}: ${s.score.toFixed(4)}`);
-        });
+        const provider = createProvider();
+        console.log(`Provider: ${provider.name} (${provider.embeddingModel})`);
+        const queryVector = await provider.embed(query);
+
+        const threshold = parseFloat(process.env.SIMILARITY_THRESHOLD || provider.defaultThreshold);
+        console.log(`Similarity threshold: ${threshold}`);
+
+        // minKeywordScore of 0 so every keyword match is listed
+        const show = (label, options) => {
+            const results = retrieve(queryVector, query, vectorStore, { k: 5, threshold, minKeywordScore: 0, ...options });
+            console.log(`\n${label}:`);
+            results.forEach((r, i) => {
+                console.log(
+                    `${i + 1}. ${r.title}: cosine=${r.vectorScore.toFixed(4)} bm25=${r.keywordScore.toFixed(4)} fused=${r.fusedScore.toFixed(4)}`
+                );
+            });
+        };
+
+        show('Top 5 by cosine similarity (ignoring threshold)', { mode: 'vector', threshold: 0 });
+        show('Top 5 by BM25', { mode: 'keyword' });
+        show('Top 5 hybrid (rrf)', { mode: 'hybrid', fusion: 'rrf' });
+        show('Top 5 hybrid (weighted)', { mode: 'hybrid', fusion: 'weighted' });
     } catch (err) {
         console.error('Error during diagnosis:', err.message);
     }
 }
 
-diagnose('bill info');
+// Usage: node scripts/diagnose_retrieval.js "bill info"
+diagnose(process.argv.slice(2).join(' ') || 'bill info');
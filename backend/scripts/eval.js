@@ -0,0 +1,329 @@
+// scripts/eval.js
+// Retrieval (and optionally generation) evaluation against a golden question set.
+// Usage: npm run eval
+//        npm run eval -- --k=5 --threshold=0.6 --mode=hybrid --fusion=weighted
+//        npm run eval -- --generate                  (also run the LLM: fallback, citation + groundedness)
+//        npm run eval -- --generate --prompt-template=concise   (compare prompt templates, backend/prompts)
+//        npm run eval -- --baseline=eval/results/main.json --tolerance=0.02   (exit 1 on regression)
+// Options: --set=eval/golden.jsonl --store=data/vector_store.json --label=name --out=report.json
+//          --vector-weight --keyword-weight --rrf-k --min-keyword-score (as in the chat API)
+//          --rerank=lexical|llm|endpoint --rerank-candidates --rerank-margin --mmr-lambda (utils/rerank.js)
+// The golden set is JSONL: { "id", "question", "expected": ["<docId>", ...] }.
+// An empty `expected` marks an out-of-scope question that should fall back.
+// Metrics are computed per document (chunks of the same doc count once):
+// recall@k, hit rate@k, MRR, nDCG@k, fallback rate and latency percentiles.
+
+import 'dotenv/config';
+import fetch from 'node-fetch';
+globalThis.fetch = fetch;
+import { readFileSync, mkdirSync } from 'fs';
+import { fileURLToPath } from 'url';
+import { dirname, join, resolve } from 'path';
+import { performance } from 'perf_hooks';
+import { createProvider } from '../utils/providers/index.js';
+import { retrieve, resolveRetrievalOptions, retrievalDefaultsFromEnv } from '../utils/retrieval.js';
+import { loadVectorStore } from '../utils/vectorStoreFile.js';
+import { configureAnn } from '../utils/annIndex.js';
+import { initRAG, runRAGPipeline } from '../utils/rag.js';
+import { rerankSettingsFromEnv, resolveRerankOptions, retrieveReranked } from '../utils/rerank.js';
+import { promptBudgetFromEnv } from '../utils/tokenBudget.js';
+import { groundednessSettingsFromEnv } from '../utils/groundedness.js';
+import { initPromptTemplates, getPromptTemplate, DEFAULT_PROMPT_TEMPLATE } from '../utils/promptTemplates.js';
+import { withRetry } from '../utils/retry.js';
+import { writeJsonAtomicSync } from '../utils/fileStore.js';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const backendDir = join(__dirname, '..');
+
+// Higher is better for these; fallbackRate is lower-is-better
+const GATED_METRICS = ['recallAtK', 'mrr', 'ndcgAtK'];
+
+// ----- CLI -----
+const RETRIEVAL_FLAGS = {
+    mode: 'mode',
+    fusion: 'fusion',
+    'vector-weight': 'vectorWeight',
+    'keyword-weight': 'keywordWeight',
+    'rrf-k': 'rrfK',
+    'min-keyword-score': 'minKeywordScore',
+};
+const RERANK_FLAGS = {
+    rerank: 'mode',
+    'rerank-candidates': 'candidates',
+    'rerank-margin': 'candidateMargin',
+    'mmr-lambda': 'mmrLambda',
+};
+
+function parseArgs(argv) {
+    const options = {
+        set: 'eval/golden.jsonl',
+        store: 'data/vector_store.json',
+        k: 5,
+        tolerance: 0.02,
+        generate: false,
+        retrieval: {},
+        rerank: {},
+    };
+    for (const arg of argv) {
+        const flag = arg.match(/^--([\w-]+)(?:=(.*))?$/);
+        if (!flag) throw new Error(`Unexpected argument "${arg}"`);
+        const [, name, value] = flag;
+        if (name === 'generate') options.generate = true;
+        else if (name in RETRIEVAL_FLAGS) {
+            const key = RETRIEVAL_FLAGS[name];
+            options.retrieval[key] = key === 'mode' || key === 'fusion' ? value : Number(value);
+        } else if (name in RERANK_FLAGS) {
+            const key = RERANK_FLAGS[name];
+            options.rerank[key] = key === 'mode' ? value : Number(value);
+        } else if (['k', 'threshold', 'tolerance'].includes(name)) options[name] = Number(value);
+        else if (['set', 'store', 'label', 'out', 'baseline'].includes(name)) options[name] = value;
+        else if (name === 'prompt-template') options.promptTemplate = value;
+        else throw new Error(`Unknown option --${name}`);
+    }
+    if (!Number.isInteger(options.k) || options.k < 1) throw new Error('--k must be a positive integer');
+    return options;
+}
+
+function loadGoldenSet(path) {
+    return readFileSync(path, 'utf-8')
+        .split('\n')
+        .map((line, i) => ({ line: line.trim(), n: i + 1 }))
+        .filter(({ line }) => line && !line.startsWith('//'))
+        .map(({ line, n }) => {
+            const item = JSON.parse(line);
+            if (!item.question || !Array.isArray(item.expected)) {
+                throw new Error(`${path}:${n} needs "question" and an "expected" array of doc ids`);
+            }
+            return { id: item.id || `line-${n}`, question: item.question, expected: item.expected.map(String) };
+        });
+}
+
+// ----- Metrics -----
+function uniqueDocIds(chunks) {
+    return [...new Set(chunks.map((c) => String(c.docId)))];
+}
+
+function scoreRanking(rankedDocIds, expected, k) {
+    const relevant = new Set(expected);
+    const top = rankedDocIds.slice(0, k);
+    const hits = top.filter((id) => relevant.has(id)).length;
+    const firstHit = top.findIndex((id) => relevant.has(id));
+
+    const dcg = top.reduce((sum, id, i) => sum + (relevant.has(id) ? 1 / Math.log2(i + 2) : 0), 0);
+    let idcg = 0;
+    for (let i = 0; i < Math.min(relevant.size, k); i++) idcg += 1 / Math.log2(i + 2);
+
+    return {
+        recall: hits / relevant.size,
+        hit: hits > 0 ? 1 : 0,
+        reciprocalRank: firstHit >= 0 ? 1 / (firstHit + 1) : 0,
+        ndcg: idcg > 0 ? dcg / idcg : 0,
+    };
+}
+
+function percentile(sorted, p) {
+    if (sorted.length === 0) return 0;
+    const i = Math.min(sorted.length - 1, Math.ceil((p / 100) * sorted.length) - 1);
+    return sorted[Math.max(0, i)];
+}
+
+function latencySummary(values) {
+    const sorted = [...values].sort((a, b) => a - b);
+    const round = (v) => Math.round(v * 10) / 10;
+    return {
+        mean: round(values.reduce((a, b) => a + b, 0) / (values.length || 1)),
+        p50: round(percentile(sorted, 50)),
+        p95: round(percentile(sorted, 95)),
+        p99: round(percentile(sorted, 99)),
+    };
+}
+
+const mean = (values) => (values.length ? values.reduce((a, b) => a + b, 0) / values.length : 0);
+const round4 = (v) => Math.round(v * 10000) / 10000;
+
+// ----- Baseline comparison -----
+function compareToBaseline(report, baselinePath, tolerance) {
+    const baseline = JSON.parse(readFileSync(baselinePath, 'utf-8'));
+    const regressions = [];
+    const current = report.metrics.retrieval;
+    const previous = baseline.metrics.retrieval;
+
+    for (const metric of GATED_METRICS) {
+        if (current[metric] < previous[metric] - tolerance) {
+            regressions.push(`${metric}: ${previous[metric]} → ${current[metric]}`);
+        }
+    }
+    if (current.fallbackRate > previous.fallbackRate + tolerance) {
+        regressions.push(`fallbackRate: ${previous.fallbackRate} → ${current.fallbackRate}`);
+    }
+    if (baseline.config.k !== report.config.k || baseline.config.set !== report.config.set) {
+        console.warn('⚠️  Baseline was run with a different k or question set; the comparison may not be meaningful');
+    }
+    return regressions;
+}
+
+// ----- Main -----
+async function main() {
+    const options = parseArgs(process.argv.slice(2));
+    const provider = createProvider();
+    const storePath = resolve(backendDir, options.store);
+    const setPath = resolve(backendDir, options.set);
+
+    const vectorStore = loadVectorStore(storePath);
+    const questions = loadGoldenSet(setPath);
+    const threshold = options.threshold ?? parseFloat(process.env.SIMILARITY_THRESHOLD || provider.defaultThreshold);
+    const defaults = resolveRetrievalOptions(retrievalDefaultsFromEnv());
+    if (defaults.error) throw new Error(`Invalid retrieval settings: ${defaults.error}`);
+    const resolved = resolveRetrievalOptions(options.retrieval, defaults.options);
+    if (resolved.error) throw new Error(resolved.error);
+    const retrieval = resolved.options;
+    const rerankResolved = resolveRerankOptions(options.rerank, rerankSettingsFromEnv());
+    if (rerankResolved.error) throw new Error(rerankResolved.error);
+    const rerank = rerankResolved.options;
+
+    configureAnn({
+        minChunks: process.env.ANN_MIN_CHUNKS ? parseInt(process.env.ANN_MIN_CHUNKS, 10) : undefined,
+        nprobe: process.env.ANN_NPROBE ? parseInt(process.env.ANN_NPROBE, 10) : undefined,
+    });
+    let prompt = null;
+    if (options.generate) {
+        initRAG(provider, { promptBudget: promptBudgetFromEnv(), groundedness: groundednessSettingsFromEnv(), rerank });
+        const templateId = options.promptTemplate || process.env.PROMPT_TEMPLATE || DEFAULT_PROMPT_TEMPLATE;
+        initPromptTemplates({ dir: process.env.PROMPT_TEMPLATES_DIR || undefined, defaultTemplate: templateId });
+        prompt = { template: getPromptTemplate(templateId), variables: {} };
+    }
+
+    const chunking = [...new Set(vectorStore.map((e) => JSON.stringify(e.chunking || null)))].map((c) => JSON.parse(c));
+    console.log(`🧪 Evaluating ${questions.length} questions against ${vectorStore.length} chunks`);
+    console.log(`   provider: ${provider.name} (${provider.embeddingModel}), k=${options.k}, threshold=${threshold}`);
+    console.log(`   retrieval: ${JSON.stringify(retrieval)}`);
+    console.log(`   rerank: ${rerank.mode === 'off' ? 'off' : `${rerank.mode} (${rerank.candidates} candidates, MMR lambda ${rerank.mmrLambda})`}`);
+    if (prompt) console.log(`   prompt: ${prompt.template.version}`);
+    console.log('');
+
+    // Top-k chunks for a question, reranked when --rerank is set
+    const rankChunks = async (queryVector, question) => {
+        if (rerank.mode === 'off') return retrieve(queryVector, question, vectorStore, { ...retrieval, k: options.k, threshold });
+        const reranked = await retrieveReranked(queryVector, question, vectorStore, { threshold, retrieval, settings: rerank, provider });
+        return reranked.chunks.slice(0, options.k);
+    };
+
+    const results = [];
+    for (const item of questions) {
+        const start = performance.now();
+        const queryVector =
+            retrieval.mode === 'keyword' ? null : await withRetry(() => provider.embed(item.question), { retries: 3 });
+        const chunks = await rankChunks(queryVector, item.question);
+        const retrievalMs = performance.now() - start;
+
+        const ranked = uniqueDocIds(chunks);
+        const result = {
+            id: item.id,
+            question: item.question,
+            expected: item.expected,
+            retrieved: ranked,
+            fallback: chunks.length === 0,
+            latencyMs: Math.round(retrievalMs * 10) / 10,
+        };
+        if (item.expected.length > 0) Object.assign(result, scoreRanking(ranked, item.expected, options.k));
+
+        if (options.generate) {
+            const genStart = performance.now();
+            const answer = await withRetry(
+                () => runRAGPipeline(item.question, vectorStore, [], threshold, { retrieval, queryRewrite: 'off', prompt }),
+                { retries: 3 }
+            );
+            result.generation = {
+                fallback: answer.fallback,
+                cited: answer.sources.some((s) => s.cited),
+                groundedness: answer.groundedness,
+                tokensUsed: answer.tokensUsed,
+                latencyMs: Math.round(performance.now() - genStart),
+            };
+        }
+
+        const mark = item.expected.length === 0 ? (result.fallback ? '✅' : '⚠️ ') : result.hit ? '✅' : '❌';
+        console.log(`${mark} ${item.id} ${item.question} → [${ranked.join(', ')}]`);
+        results.push(result);
+    }
+
+    const answerable = results.filter((r) => r.expected.length > 0);
+    const outOfScope = results.filter((r) => r.expected.length === 0);
+    const metrics = {
+        retrieval: {
+            recallAtK: round4(mean(answerable.map((r) => r.recall))),
+            hitRateAtK: round4(mean(answerable.map((r) => r.hit))),
+            mrr: round4(mean(answerable.map((r) => r.reciprocalRank))),
+            ndcgAtK: round4(mean(answerable.map((r) => r.ndcg))),
+            fallbackRate: round4(mean(answerable.map((r) => (r.fallback ? 1 : 0)))),
+            outOfScopeFallbackRate: outOfScope.length ? round4(mean(outOfScope.map((r) => (r.fallback ? 1 : 0)))) : null,
+            latencyMs: latencySummary(results.map((r) => r.latencyMs)),
+        },
+    };
+    if (options.generate) {
+        const generated = results.map((r) => r.generation);
+        metrics.generation = {
+            fallbackRate: round4(mean(answerable.map((r) => (r.generation.fallback ? 1 : 0)))),
+            citationRate: round4(mean(generated.filter((g) => !g.fallback).map((g) => (g.cited ? 1 : 0)))),
+            meanGroundedness: round4(mean(generated.filter((g) => g.groundedness !== null).map((g) => g.groundedness))),
+            meanTokens: Math.round(mean(generated.map((g) => g.tokensUsed))),
+            latencyMs: latencySummary(generated.map((g) => g.latencyMs)),
+        };
+    }
+
+    const report = {
+        label: options.label || null,
+        createdAt: new Date().toISOString(),
+        config: {
+            set: options.set,
+            questions: questions.length,
+            k: options.k,
+            threshold,
+            retrieval,
+            rerank:
+                rerank.mode === 'off'
+                    ? null
+                    : { mode: rerank.mode, candidates: rerank.candidates, candidateMargin: rerank.candidateMargin, mmrLambda: rerank.mmrLambda },
+            provider: provider.name,
+            embeddingModel: provider.embeddingModel,
+            chatModel: options.generate ? provider.chatModel : null,
+            promptVersion: prompt ? prompt.template.version : null,
+            store: { path: options.store, chunks: vectorStore.length, chunking },
+        },
+        metrics,
+        questions: results,
+    };
+
+    const r = metrics.retrieval;
+    console.log(`\n📊 recall@${options.k}=${r.recallAtK}  hit@${options.k}=${r.hitRateAtK}  MRR=${r.mrr}  nDCG@${options.k}=${r.ndcgAtK}`);
+    console.log(`   fallback=${r.fallbackRate}  out-of-scope fallback=${r.outOfScopeFallbackRate ?? 'n/a'}`);
+    console.log(`   latency ms: p50=${r.latencyMs.p50} p95=${r.latencyMs.p95} p99=${r.latencyMs.p99}`);
+    if (metrics.generation) {
+        const g = metrics.generation;
+        console.log(
+            `   generation: fallback=${g.fallbackRate} citation=${g.citationRate} grounded=${g.meanGroundedness} p95=${g.latencyMs.p95}ms`
+        );
+    }
+
+    const outPath = options.out
+        ? resolve(backendDir, options.out)
+        : join(backendDir, 'eval/results', `${options.label || report.createdAt.replace(/[:.]/g, '-')}.json`);
+    mkdirSync(dirname(outPath), { recursive: true });
+    writeJsonAtomicSync(outPath, report);
+    console.log(`\n💾 Report written to ${outPath}`);
+
+    if (options.baseline) {
+        const regressions = compareToBaseline(report, resolve(backendDir, options.baseline), options.tolerance);
+        if (regressions.length > 0) {
+            console.error(`\n❌ Regression against ${options.baseline} (tolerance ${options.tolerance}):`);
+            regressions.forEach((line) => console.error(`   ${line}`));
+            process.exit(1);
+        }
+        console.log(`✅ No regression against ${options.baseline}`);
+    }
+}
+
+main().catch((err) => {
+    console.error(`❌ Evaluation failed: ${err.message}`);
+    process.exit(1);
+});
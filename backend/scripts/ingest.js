@@ -1,91 +1,194 @@
 // scripts/ingest.js
-// Run this script ONCE to generate embeddings for all document chunks.
-// Usage: npm run ingest
-// Output: backend/data/vector_store.json
+// Generates embeddings for all document chunks. Incremental: chunks whose
+// content hash is unchanged reuse their stored embedding, and an interrupted
+// run resumes from data/vector_store.checkpoint.json.
+// Usage: npm run ingest                          (ingests data/docs.json)
+//        npm run ingest -- docs/ faq.csv guide.pdf (Markdown, HTML, PDF, CSV, TXT, JSON)
+//        npm run ingest -- --collection=billing  (data/collections/billing/docs.json)
+//        LLM_PROVIDER=local npm run ingest      (offline store)
+// Chunking: --strategy=fixed|sentence|recursive|token --size=N --overlap=N
+//           --chunking=config.json (per type: { "markdown": { strategy, size, overlap } })
+//           CHUNKING_CONFIG=config.json is also honoured, as by the server.
+// Collections must be declared in data/collections.json (COLLECTIONS_FILE).
+// Output: backend/data/vector_store.json (metadata) + vector_store.vectors.bin (Float32 vectors),
+//         or data/collections/<id>/ for a collection other than the default
 
 import 'dotenv/config';
 import fetch from 'node-fetch';
 globalThis.fetch = fetch;
-import { GoogleGenerativeAI } from '@google/generative-ai';
-import { readFileSync, writeFileSync } from 'fs';
+import { createProvider } from '../utils/providers/index.js';
+import { chunkDocument, resolveChunkingConfig } from '../utils/chunking.js';
+import { loadSources } from '../utils/loaders/index.js';
+import { writeJsonAtomicSync } from '../utils/fileStore.js';
+import { loadVectorStore, saveVectorStoreSync } from '../utils/vectorStoreFile.js';
+import { hashContent, buildEmbeddingCache, cacheKey } from '../utils/indexing.js';
+import { DEFAULT_COLLECTION, collectionPaths, loadCollectionConfig } from '../utils/collections.js';
+import { withRetry, sleep } from '../utils/retry.js';
+import { readFileSync, existsSync, unlinkSync, mkdirSync } from 'fs';
 import { fileURLToPath } from 'url';
-import { dirname, join } from 'path';
+import { dirname, join, relative, resolve } from 'path';
 
 const __dirname = dirname(fileURLToPath(import.meta.url));
-
-const CHUNK_SIZE_CHARS = 1500; // ~300-350 words
-const CHUNK_OVERLAP_CHARS = 200; // ~50 words overlap
-const EMBEDDING_MODEL = 'gemini-embedding-001';
-
-// ----- Chunking -----
-function chunkText(text, chunkSize = CHUNK_SIZE_CHARS, overlap = CHUNK_OVERLAP_CHARS) {
-    const chunks = [];
-    let start = 0;
-
-    while (start < text.length) {
-        const end = Math.min(start + chunkSize, text.length);
-        chunks.push(text.slice(start, end).trim());
-        if (end === text.length) break;
-        start += chunkSize - overlap;
+const CHECKPOINT_EVERY = 10; // chunks
+
+function loadCheckpoint(checkpointPath) {
+    if (!existsSync(checkpointPath)) return [];
+    try {
+        return JSON.parse(readFileSync(checkpointPath, 'utf-8'));
+    } catch {
+        console.warn('⚠️  Ignoring unreadable checkpoint file');
+        return [];
     }
+}
 
-    return chunks;
+// ----- CLI -----
+function parseArgs(argv) {
+    const paths = [];
+    const options = {};
+    let collection = DEFAULT_COLLECTION;
+    for (const arg of argv) {
+        const flag = arg.match(/^--([\w-]+)=(.*)$/);
+        if (!flag) {
+            paths.push(arg);
+            continue;
+        }
+        const [, name, value] = flag;
+        if (name === 'strategy') options.strategy = value;
+        else if (name === 'size' || name === 'overlap') options[name] = Number(value);
+        else if (name === 'chunking') options.file = value;
+        else if (name === 'collection') collection = value;
+        else throw new Error(`Unknown option --${name}`);
+    }
+    return { paths, options, collection };
 }
 
 // ----- Main Ingestion -----
 async function ingest() {
-    if (!process.env.GEMINI_API_KEY) {
-        console.error('❌ GEMINI_API_KEY is not set. Create a .env file with your key.');
+    let provider;
+    try {
+        provider = createProvider();
+    } catch (err) {
+        console.error(`❌ ${err.message}`);
         process.exit(1);
     }
+    console.log(`🔌 Embedding with ${provider.name} (${provider.embeddingModel})`);
+
+    const backendDir = join(__dirname, '..');
+    const dataDir = join(backendDir, 'data');
+
+    let args;
+    let chunking;
+    try {
+        args = parseArgs(process.argv.slice(2));
+        chunking = resolveChunkingConfig({ file: process.env.CHUNKING_CONFIG, ...args.options });
+        const declared = loadCollectionConfig(process.env.COLLECTIONS_FILE || join(dataDir, 'collections.json'));
+        if (!declared.some((c) => c.id === args.collection)) {
+            throw new Error(`Unknown collection "${args.collection}". Declare it in data/collections.json first.`);
+        }
+    } catch (err) {
+        console.error(`❌ ${err.message}`);
+        process.exit(1);
+    }
+
+    const { dir, docsPath, vectorStorePath: outputPath, checkpointPath } = collectionPaths(dataDir, args.collection);
+    const outputName = relative(backendDir, outputPath);
+    mkdirSync(dir, { recursive: true });
+    console.log(`🗂️  Collection: ${args.collection}`);
+
+    const paths = args.paths.length > 0 ? args.paths.map((p) => resolve(p)) : [docsPath];
+
+    const docs = await loadSources(paths, {
+        baseDir: backendDir,
+        onError: (file, err) => console.warn(`  ⚠️  Skipped ${file}: ${err.message}`),
+    });
+    console.log(`📚 Loaded ${docs.length} documents from ${paths.length} source path(s)`);
+
+    let previousStore = [];
+    try {
+        if (existsSync(outputPath)) previousStore = loadVectorStore(outputPath);
+    } catch (err) {
+        console.warn(`⚠️  Could not read the existing store (${err.message}); embedding everything`);
+    }
+    const checkpoint = loadCheckpoint(checkpointPath);
+    if (checkpoint.length > 0) {
+        console.log(`↩️  Resuming: ${checkpoint.length} chunk(s) recovered from the last interrupted run`);
+    }
 
-    const genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
-    const embeddingModel = genAI.getGenerativeModel({ model: EMBEDDING_MODEL });
+    const previousCache = buildEmbeddingCache(previousStore);
+    const cache = buildEmbeddingCache(previousStore, checkpoint);
+    const previousById = new Map(previousStore.map((e) => [e.id, e]));
+    const embeddedThisRun = [];
+    const stats = { added: 0, updated: 0, removed: 0, reused: 0 };
 
-    const docsPath = join(__dirname, '../data/docs.json');
-    const docs = JSON.parse(readFileSync(docsPath, 'utf-8'));
-    console.log(`📚 Loaded ${docs.length} documents from docs.json`);
+    // Keep whatever was embedded so far if the run is interrupted
+    const saveProgress = () => {
+        if (embeddedThisRun.length > 0) {
+            writeJsonAtomicSync(checkpointPath, [...checkpoint, ...embeddedThisRun], 0);
+        }
+    };
+    process.on('SIGINT', () => {
+        saveProgress();
+        console.log(`\n⏸️  Interrupted. Progress saved — re-run the same command to resume.`);
+        process.exit(130);
+    });
 
     const vectorStore = [];
-    let chunkIndex = 0;
 
     for (const doc of docs) {
-        const chunks = chunkText(doc.content);
-        console.log(`  → "${doc.title}": ${chunks.length} chunk(s)`);
+        const chunks = chunkDocument(doc, chunking);
+        const { strategy, size, overlap, unit } = chunks[0]?.chunking || {};
+        console.log(`  → "${doc.title}" (${doc.source}): ${chunks.length} chunk(s) [${strategy} ${size}/${overlap} ${unit}]`);
 
         for (let i = 0; i < chunks.length; i++) {
-            const chunkContent = chunks[i];
-
-            try {
-                const result = await embeddingModel.embedContent(chunkContent);
-                const embedding = result.embedding.values;
-
-                vectorStore.push({
-                    id: `${doc.id}-chunk-${i + 1}`,
-                    docId: doc.id,
-                    title: doc.title,
-                    chunkIndex: i,
-                    content: chunkContent,
-                    embedding,
-                });
-
-                chunkIndex++;
+            const chunk = chunks[i];
+            const contentHash = hashContent(chunk.content);
+            const key = cacheKey(provider.embeddingModel, contentHash);
+
+            const countChange = () => (previousById.has(chunk.id) ? stats.updated++ : stats.added++);
+
+            let embedding = cache.get(key);
+            if (embedding) {
+                // Chunks recovered from a checkpoint are new to the store, not reused
+                if (previousCache.has(key)) stats.reused++;
+                else countChange();
+            } else {
+                try {
+                    embedding = await withRetry(() => provider.embed(chunk.content), {
+                        onRetry: (err, attempt, delay) =>
+                            console.warn(`    ⏳ Chunk ${i + 1} failed (${err.message}); retry ${attempt} in ${delay}ms`),
+                    });
+                } catch (err) {
+                    console.error(`    ❌ Failed to embed chunk ${i + 1} of "${doc.title}":`, err.message);
+                    saveProgress();
+                    console.error('    Progress saved — re-run the same command to resume.');
+                    process.exit(1);
+                }
+
+                cache.set(key, embedding);
+                embeddedThisRun.push({ ...chunk, contentHash, embeddingModel: provider.embeddingModel, embedding });
+                countChange();
                 console.log(`    ✅ Chunk ${i + 1}/${chunks.length} embedded (dim: ${embedding.length})`);
 
+                if (embeddedThisRun.length % CHECKPOINT_EVERY === 0) saveProgress();
+
                 // Small delay to avoid hitting rate limits
-                if (chunkIndex < docs.length * 2) {
-                    await new Promise((r) => setTimeout(r, 100));
+                if (provider.name !== 'local') {
+                    await sleep(100);
                 }
-            } catch (err) {
-                console.error(`    ❌ Failed to embed chunk ${i + 1} of "${doc.title}":`, err.message);
-                process.exit(1);
             }
+
+            vectorStore.push({ ...chunk, contentHash, embeddingModel: provider.embeddingModel, embedding });
         }
     }
 
-    const outputPath = join(__dirname, '../data/vector_store.json');
-    writeFileSync(outputPath, JSON.stringify(vectorStore, null, 2));
-    console.log(`\n✨ Done! ${vectorStore.length} chunks saved to data/vector_store.json`);
+    const currentIds = new Set(vectorStore.map((e) => e.id));
+    stats.removed = previousStore.filter((e) => !currentIds.has(e.id)).length;
+
+    saveVectorStoreSync(outputPath, vectorStore);
+    if (existsSync(checkpointPath)) unlinkSync(checkpointPath);
+
+    console.log(`\n✨ Done! ${vectorStore.length} chunks saved to ${outputName} (+ vector_store.vectors.bin)`);
+    console.log(`   added: ${stats.added}  updated: ${stats.updated}  removed: ${stats.removed}  reused: ${stats.reused}`);
 }
 
 ingest();
@@ -4,53 +4,265 @@ import fetch from 'node-fetch';
 globalThis.fetch = fetch;
 import express from 'express';
 import cors from 'cors';
-import { readFileSync, existsSync } from 'fs';
 import { fileURLToPath } from 'url';
 import { dirname, join } from 'path';
 import { v4 as uuidv4 } from 'uuid';
 
-import { initRAG, runRAGPipeline } from './utils/rag.js';
+import { createResilientProviderFromEnv } from './utils/providers/index.js';
+import { initRAG, runRAGPipeline, runRAGPipelineStream, getCacheStats } from './utils/rag.js';
+import { DEFAULT_COLLECTION, initCollections, getCollection, listCollections } from './utils/collections.js';
+import { resolveChunkingConfig } from './utils/chunking.js';
+import { resolveRetrievalOptions, retrievalDefaultsFromEnv } from './utils/retrieval.js';
+import { configureAnn, getAnnSettings } from './utils/annIndex.js';
+import { QUERY_REWRITE_MODES, DEFAULT_QUERY_REWRITE } from './utils/queryRewrite.js';
+import { promptBudgetFromEnv } from './utils/tokenBudget.js';
+import { maybeSummarizeSession, summarySettingsFromEnv } from './utils/conversationSummary.js';
+import { groundednessSettingsFromEnv } from './utils/groundedness.js';
+import { rerankSettingsFromEnv, resolveRerankOptions } from './utils/rerank.js';
+import { cacheSettingsFromEnv } from './utils/cache.js';
+import { classifyPipelineError } from './utils/errors.js';
+import documentsRouter from './routes/documents.js';
+import sessionsRouter from './routes/sessions.js';
+import feedbackRouter from './routes/feedback.js';
+import adminRouter from './routes/admin.js';
+import { initFeedbackStore } from './utils/feedbackStore.js';
+import { initMetricsLog, recordChatMetrics, chatMetricsFromResult } from './utils/metricsLog.js';
+import { initAuth, isAuthEnabled, requireAuth, requireAdmin, canAccessSession, canSeeInternal } from './utils/auth.js';
+import { parseFilter, combineFilters, visibilityFilter } from './utils/metadataFilter.js';
 import {
+    rateLimitSettingsFromEnv,
+    createRateLimiter,
+    createTokenQuota,
+    addTokenUsage,
+    getTokenUsage,
+    usageOwner,
+} from './utils/rateLimit.js';
+import {
+    initSessionStore,
+    closeSessionStore,
+    sessionSettingsFromEnv,
     createSession,
-    clearSession,
     sessionExists,
+    getSessionCollection,
+    getSessionOwner,
     getHistory,
+    getSummary,
     addMessage,
     getSessionCount,
 } from './utils/sessionStore.js';
+import { createSessionStorage } from './utils/sessions/index.js';
+import { logger, configureLogging, loggingSettingsFromEnv } from './utils/logger.js';
+import { createTrace } from './utils/tracing.js';
+import { createServerMetrics } from './utils/metrics.js';
+import { initPromptTemplates, getPromptTemplate, DEFAULT_PROMPT_TEMPLATE } from './utils/promptTemplates.js';
 
 const __dirname = dirname(fileURLToPath(import.meta.url));
 const PORT = process.env.PORT || 3001;
-const SIMILARITY_THRESHOLD = parseFloat(process.env.SIMILARITY_THRESHOLD || '0.65');
 
-// ── Validate environment ─────────────────────────────────────────────────────
-if (!process.env.GEMINI_API_KEY) {
-    console.error('❌  GEMINI_API_KEY is not set. Copy .env.example → .env and add your key.');
+// ── Logging (LOG_LEVEL, LOG_FORMAT=json | pretty) ────────────────────────────
+try {
+    configureLogging(loggingSettingsFromEnv());
+} catch (err) {
+    logger.error('Invalid logging settings', { err });
     process.exit(1);
 }
 
-// ── Load vector store ────────────────────────────────────────────────────────
-const vectorStorePath = join(__dirname, 'data/vector_store.json');
-if (!existsSync(vectorStorePath)) {
-    console.error('❌  data/vector_store.json not found. Run: npm run ingest');
+// ── Select provider (LLM_PROVIDER=gemini | openai | local) ──────────────────
+// Wrapped with deadlines, retries, circuit breakers and CHAT_MODEL_FALLBACKS
+let provider;
+try {
+    provider = createResilientProviderFromEnv();
+} catch (err) {
+    logger.error('Failed to create provider', { err });
     process.exit(1);
 }
-const vectorStore = JSON.parse(readFileSync(vectorStorePath, 'utf-8'));
-console.log(`✅  Loaded ${vectorStore.length} embedded chunks from vector_store.json`);
+const SIMILARITY_THRESHOLD = parseFloat(process.env.SIMILARITY_THRESHOLD || provider.defaultThreshold);
 
-// ── Init Gemini ──────────────────────────────────────────────────────────────
-initRAG(process.env.GEMINI_API_KEY);
-console.log('✅  Gemini RAG pipeline initialized');
+const retrievalDefaults = resolveRetrievalOptions(retrievalDefaultsFromEnv());
+if (retrievalDefaults.error) {
+    logger.error('Invalid retrieval settings', { error: retrievalDefaults.error });
+    process.exit(1);
+}
+const RETRIEVAL_DEFAULTS = retrievalDefaults.options;
+
+const QUERY_REWRITE = (process.env.QUERY_REWRITE || DEFAULT_QUERY_REWRITE).toLowerCase();
+if (!QUERY_REWRITE_MODES.includes(QUERY_REWRITE)) {
+    logger.error(`Invalid QUERY_REWRITE "${QUERY_REWRITE}". Use: ${QUERY_REWRITE_MODES.join(', ')}`);
+    process.exit(1);
+}
+
+configureAnn({
+    minChunks: process.env.ANN_MIN_CHUNKS ? parseInt(process.env.ANN_MIN_CHUNKS, 10) : undefined,
+    nprobe: process.env.ANN_NPROBE ? parseInt(process.env.ANN_NPROBE, 10) : undefined,
+});
+
+// ── Load collections (knowledge bases, COLLECTIONS_FILE) ─────────────────────
+const dataDir = join(__dirname, 'data');
+let loadedCollections;
+try {
+    loadedCollections = initCollections({
+        provider,
+        dataDir,
+        configPath: process.env.COLLECTIONS_FILE,
+        chunking: resolveChunkingConfig({ file: process.env.CHUNKING_CONFIG }),
+    });
+} catch (err) {
+    logger.error('Failed to load knowledge base', { err });
+    process.exit(1);
+}
+for (const { id, documents, chunks, missing } of loadedCollections) {
+    if (missing && id === DEFAULT_COLLECTION) {
+        logger.error('data/vector_store.json not found. Run: npm run ingest');
+        process.exit(1);
+    }
+    if (missing) {
+        logger.warn(`Collection has no vector store yet. Run: npm run ingest -- --collection=${id}`, { collection: id });
+        continue;
+    }
+    logger.info('Collection loaded', { collection: id, documents, chunks });
+
+    const storeModel = getCollection(id).kb.getVectorStore()[0]?.embeddingModel;
+    if (storeModel && storeModel !== provider.embeddingModel) {
+        logger.warn(`Collection was embedded with another model. Re-run: npm run ingest -- --collection=${id}`, {
+            collection: id,
+            storeModel,
+            embeddingModel: provider.embeddingModel,
+        });
+    }
+}
+const totalChunks = () => listCollections().reduce((sum, c) => sum + c.chunks, 0);
+
+// ── Prompt templates (PROMPT_TEMPLATES_DIR, default PROMPT_TEMPLATE) ─────────
+try {
+    const loaded = initPromptTemplates({
+        dir: process.env.PROMPT_TEMPLATES_DIR || undefined,
+        defaultTemplate: process.env.PROMPT_TEMPLATE || DEFAULT_PROMPT_TEMPLATE,
+        // Templates the collections use must exist (also on reload)
+        required: listCollections().map(({ id }) => getCollection(id).promptTemplate).filter(Boolean),
+    });
+    logger.info('Prompt templates loaded', { templates: loaded.map((t) => t.version), default: loaded[0].id });
+} catch (err) {
+    logger.error('Failed to load prompt templates', { err });
+    process.exit(1);
+}
+
+// ── Sessions (SESSION_STORE=memory | file) ──────────────────────────────────
+try {
+    const sessionStorage = createSessionStorage(process.env, dataDir);
+    const { loaded, expired } = initSessionStore({ storage: sessionStorage, ...sessionSettingsFromEnv() });
+    logger.info('Session store ready', { store: sessionStorage.name, restored: loaded, expired });
+} catch (err) {
+    logger.error('Failed to initialise session store', { err });
+    process.exit(1);
+}
+
+// ── Feedback (append-only JSONL, FEEDBACK_FILE) ─────────────────────────────
+try {
+    const rated = initFeedbackStore({ path: process.env.FEEDBACK_FILE || join(__dirname, 'data/feedback.jsonl') });
+    logger.info('Feedback store loaded', { ratedReplies: rated });
+} catch (err) {
+    logger.error('Failed to load feedback', { err });
+    process.exit(1);
+}
+
+// ── Metrics log (one JSONL entry per chat request, METRICS_LOG_FILE) ─────────
+try {
+    const logged = initMetricsLog({ path: process.env.METRICS_LOG_FILE || join(__dirname, 'data/metrics.jsonl') });
+    logger.info('Metrics log loaded', { entries: logged });
+} catch (err) {
+    logger.error('Failed to load metrics log', { err });
+    process.exit(1);
+}
+
+// ── Authentication (API_KEYS, API_KEYS_FILE, JWT_SECRET) + rate limits ───
+let RATE_LIMITS;
+try {
+    const auth = initAuth();
+    RATE_LIMITS = rateLimitSettingsFromEnv();
+    if (auth.enabled) {
+        logger.info('Authentication enabled', { apiKeys: auth.keys, jwt: auth.jwt });
+    } else {
+        logger.warn('Authentication is disabled (no API_KEYS or JWT_SECRET): every request acts as admin');
+    }
+} catch (err) {
+    logger.error('Invalid auth settings', { err });
+    process.exit(1);
+}
+
+// ── CORS allowlist (CORS_ORIGINS, comma-separated; "*" allows any origin) ──
+const CORS_ORIGINS = (process.env.CORS_ORIGINS || 'http://localhost:5173')
+    .split(',')
+    .map((o) => o.trim())
+    .filter(Boolean);
+
+// ── Init RAG pipeline ────────────────────────────────────────────────────────
+let SUMMARY_SETTINGS;
+let GROUNDEDNESS_SETTINGS;
+let RERANK_SETTINGS;
+let CACHE_SETTINGS;
+try {
+    GROUNDEDNESS_SETTINGS = groundednessSettingsFromEnv();
+    RERANK_SETTINGS = rerankSettingsFromEnv();
+    CACHE_SETTINGS = cacheSettingsFromEnv();
+    initRAG(provider, {
+        promptBudget: promptBudgetFromEnv(),
+        groundedness: GROUNDEDNESS_SETTINGS,
+        rerank: RERANK_SETTINGS,
+        cache: CACHE_SETTINGS,
+    });
+    SUMMARY_SETTINGS = summarySettingsFromEnv();
+} catch (err) {
+    logger.error('Invalid pipeline settings', { err });
+    process.exit(1);
+}
+logger.info('RAG pipeline initialized', {
+    provider: provider.name,
+    chatModel: provider.chatModel,
+    embeddingModel: provider.embeddingModel,
+});
+
+// ── Prometheus metrics (GET /metrics, optionally behind METRICS_TOKEN) ──────
+const METRICS_TOKEN = process.env.METRICS_TOKEN || null;
+const serverMetrics = createServerMetrics({
+    activeSessions: getSessionCount,
+    chunks: () => listCollections().map(({ id, chunks }) => ({ collection: id, chunks })),
+});
 
 // ── Express app ──────────────────────────────────────────────────────────────
 const app = express();
 
-app.use(cors({ origin: '*' }));
+// Behind a reverse proxy, set TRUST_PROXY (e.g. 1) so per-IP limits see the client address
+if (process.env.TRUST_PROXY) {
+    app.set('trust proxy', /^\d+$/.test(process.env.TRUST_PROXY) ? Number(process.env.TRUST_PROXY) : process.env.TRUST_PROXY);
+}
+
+app.use(
+    cors({
+        origin: CORS_ORIGINS.includes('*') ? '*' : CORS_ORIGINS,
+        allowedHeaders: ['Content-Type', 'Authorization', 'X-API-Key', 'X-Request-Id'],
+        exposedHeaders: ['RateLimit-Policy', 'RateLimit-Limit', 'RateLimit-Remaining', 'RateLimit-Reset', 'Retry-After', 'X-Request-Id'],
+    })
+);
 app.use(express.json({ limit: '1mb' }));
 
-// Request logger
-app.use((req, _res, next) => {
-    console.log(`[${new Date().toISOString()}] ${req.method} ${req.path}`);
+// Request id (a caller's X-Request-Id is kept), request logger and HTTP metrics
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,64}$/;
+app.use((req, res, next) => {
+    const incoming = req.get('X-Request-Id');
+    req.id = incoming && REQUEST_ID_PATTERN.test(incoming) ? incoming : uuidv4();
+    req.log = logger.child({ requestId: req.id });
+    res.set('X-Request-Id', req.id);
+
+    const start = performance.now();
+    res.on('finish', () => {
+        const durationMs = Math.round(performance.now() - start);
+        // Route patterns, not raw paths, keep the label set small
+        const route = req.route ? `${req.baseUrl}${req.route.path}` : 'unmatched';
+        serverMetrics.observeHttp({ method: req.method, route, status: res.statusCode, durationMs });
+        if (req.path !== '/health' && req.path !== '/metrics') {
+            req.log.info('Request finished', { method: req.method, path: req.path, status: res.statusCode, durationMs });
+        }
+    });
     next();
 });
 
@@ -63,98 +275,402 @@ app.get('/', (_req, res) => {
 app.get('/health', (_req, res) => {
     res.json({
         status: 'ok',
-        chunks: vectorStore.length,
+        provider: provider.name,
+        chatModel: provider.chatModel,
+        fallbackModels: provider.fallbackModels,
+        circuits: provider.circuits(),
+        collections: listCollections().length,
+        chunks: totalChunks(),
         activeSessions: getSessionCount(),
+        cache: getCacheStats(),
         timestamp: new Date().toISOString(),
     });
 });
 
-// ── POST /api/session/new ─────────────────────────────────────────────────────
-app.post('/api/session/new', (_req, res) => {
-    const sessionId = uuidv4();
-    createSession(sessionId);
-    console.log(`🆕  New session created: ${sessionId}`);
-    res.status(201).json({ sessionId });
+// ── Prometheus metrics ───────────────────────────────────────────────────────
+app.get('/metrics', (req, res) => {
+    if (METRICS_TOKEN && req.get('Authorization') !== `Bearer ${METRICS_TOKEN}`) {
+        return res.status(401).json({ error: 'Invalid metrics token' });
+    }
+    res.type('text/plain; version=0.0.4').send(serverMetrics.render());
+});
+
+// ── Everything under /api needs credentials and is rate limited ─────────────
+app.use('/api', requireAuth, createRateLimiter(RATE_LIMITS));
+const tokenQuota = createTokenQuota(RATE_LIMITS);
+
+// ── GET /api/me (who the credentials belong to) ────────────────────────────
+app.get('/api/me', (req, res) => {
+    const { id, role } = req.principal;
+    const quota = req.principal.dailyTokens ?? RATE_LIMITS.dailyTokens;
+    res.json({
+        id,
+        role,
+        authEnabled: isAuthEnabled(),
+        dailyTokens: quota || null,
+        tokensUsedToday: getTokenUsage(usageOwner(req)),
+    });
 });
 
-// ── DELETE /api/session/:id ────────────────────────────────────────────────
-app.delete('/api/session/:id', (req, res) => {
-    const { id } = req.params;
-    if (!sessionExists(id)) {
-        return res.status(404).json({ error: 'Session not found' });
-    }
-    clearSession(id);
-    res.json({ message: 'Session cleared successfully' });
+// ── GET /api/collections (knowledge bases with live document counts) ───────
+app.get('/api/collections', (_req, res) => {
+    res.json({ collections: listCollections() });
 });
 
-// ── POST /api/chat ─────────────────────────────────────────────────────────
-app.post('/api/chat', async (req, res) => {
-    const { sessionId, message } = req.body;
+// ── /api/documents (knowledge base management) ──────────────────────────────
+app.use('/api/documents', documentsRouter);
+
+// ── /api/session, /api/sessions (conversations) ─────────────────────────────
+app.use('/api', sessionsRouter);
+
+// ── /api/feedback (ratings + export) ───────────────────────────────────────
+app.use('/api/feedback', feedbackRouter);
+
+// ── /api/admin (knowledge base browser + usage insights) ───────────────────
+app.use('/api/admin', requireAdmin, adminRouter);
+
+// ── Chat helpers ─────────────────────────────────────────────────────────
+/**
+ * Resolve the session a chat request targets, creating it for the principal
+ * (in the requested collection) if it does not exist yet. A session keeps
+ * the collection it was created with.
+ * Returns { status, error } or { collection, session } where `session` is the
+ * { owner, collection } to recreate it with if it expires mid-request.
+ */
+function resolveChatSession(principal, sessionId, requested) {
+    if (!sessionExists(sessionId)) {
+        const id = requested ?? DEFAULT_COLLECTION;
+        const session = { owner: principal.id, collection: id };
+        createSession(sessionId, session);
+        return { collection: getCollection(id), session };
+    }
+    if (!canAccessSession(principal, sessionId)) {
+        return { status: 404, error: 'Session not found' };
+    }
+    const current = getSessionCollection(sessionId) || DEFAULT_COLLECTION;
+    if (requested !== undefined && requested !== current) {
+        return { status: 409, error: `This conversation uses the "${current}" collection. Start a new session for "${requested}".` };
+    }
+    const collection = getCollection(current);
+    if (!collection) {
+        return { status: 409, error: `The "${current}" collection no longer exists. Start a new session.` };
+    }
+    return { collection, session: { owner: getSessionOwner(sessionId), collection: getSessionCollection(sessionId) } };
+}
+
+// Pipeline settings of a collection (its threshold and prompt template override the defaults,
+// a request's promptTemplate overrides the collection's; cached answers are only reused
+// within the same collection and knowledge base version)
+function collectionSettings(collection, promptTemplate) {
+    return {
+        vectorStore: collection.kb.getVectorStore(),
+        threshold: collection.threshold ?? SIMILARITY_THRESHOLD,
+        prompt: {
+            template: getPromptTemplate(promptTemplate ?? collection.promptTemplate ?? undefined),
+            variables: collection.promptVariables,
+        },
+        cacheScope: `${collection.id}@${collection.kb.getVersion()}`,
+    };
+}
+
+// The request's metadata filter, narrowed so internal documents never reach public users
+function retrievalFilter(principal, requested) {
+    return combineFilters(requested, visibilityFilter(canSeeInternal(principal)));
+}
+
+/**
+ * Validate a chat request body. Returns { error } or { sessionId, message, collection, filter, retrieval, rerank,
+ * queryRewrite, promptTemplate }.
+ */
+function validateChatRequest(body) {
+    const { sessionId, message, collection } = body || {};
 
-    // Input validation
     if (!sessionId || typeof sessionId !== 'string') {
-        return res.status(400).json({ error: 'sessionId is required and must be a string.' });
+        return { error: 'sessionId is required and must be a string.' };
     }
     if (!message || typeof message !== 'string') {
-        return res.status(400).json({ error: 'message is required and must be a string.' });
+        return { error: 'message is required and must be a string.' };
     }
     const trimmedMessage = message.trim();
     if (trimmedMessage.length === 0) {
-        return res.status(400).json({ error: 'message cannot be empty.' });
+        return { error: 'message cannot be empty.' };
     }
     if (trimmedMessage.length > 2000) {
-        return res.status(400).json({ error: 'message is too long (max 2000 characters).' });
+        return { error: 'message is too long (max 2000 characters).' };
+    }
+    if (collection !== undefined && (typeof collection !== 'string' || !getCollection(collection))) {
+        return { error: 'collection must be the id of an existing collection.' };
+    }
+    const { promptTemplate } = body;
+    if (promptTemplate !== undefined && (typeof promptTemplate !== 'string' || !getPromptTemplate(promptTemplate))) {
+        return { error: 'promptTemplate must be the id of a loaded prompt template.' };
+    }
+    const retrieval = resolveRetrievalOptions(body.retrieval, RETRIEVAL_DEFAULTS);
+    if (retrieval.error) {
+        return { error: retrieval.error };
     }
+    const rerank = resolveRerankOptions(body.rerank, RERANK_SETTINGS);
+    if (rerank.error) {
+        return { error: rerank.error };
+    }
+    const filter = parseFilter(body.filter);
+    if (filter.error) {
+        return { error: filter.error };
+    }
+    const queryRewrite = body.queryRewrite ?? QUERY_REWRITE;
+    if (!QUERY_REWRITE_MODES.includes(queryRewrite)) {
+        return { error: `queryRewrite must be one of: ${QUERY_REWRITE_MODES.join(', ')}.` };
+    }
+    return {
+        sessionId,
+        message: trimmedMessage,
+        collection,
+        filter: filter.filter,
+        retrieval: retrieval.options,
+        rerank: rerank.options,
+        queryRewrite,
+        promptTemplate,
+    };
+}
+
+// Stored with the reply so a reopened conversation shows the same sources and chips
+// (and its requestId leads to the request's log entries)
+function replyMeta(result, latencyMs, requestId) {
+    return {
+        requestId,
+        rewrittenQuery: result.rewrittenQuery,
+        tokensUsed: result.tokensUsed,
+        retrievedChunks: result.retrievedChunks,
+        sources: result.sources,
+        groundedness: result.groundedness,
+        unsupported: result.unsupported,
+        promptVersion: result.promptVersion,
+        model: result.model,
+        fallback: result.fallback,
+        cached: result.cached,
+        latencyMs,
+    };
+}
+
+// Fold older turns into the session summary without delaying the response; the
+// summary call's tokens count against the owner's daily quota
+function summarizeInBackground(sessionId, owner) {
+    maybeSummarizeSession(sessionId, provider, SUMMARY_SETTINGS)
+        .then(({ tokensUsed }) => addTokenUsage(owner, tokensUsed))
+        .catch((err) => logger.error('Conversation summary failed', { sessionId, err }));
+}
+
+// Metrics log entries for the admin dashboard (request = { requestId, sessionId, collection, query, stream })
+// plus the Prometheus counters and stage histograms
+function recordChat(request, trace, result, messageId, latencyMs) {
+    recordChatMetrics({ ...request, messageId, ...chatMetricsFromResult(result), latencyMs });
+    serverMetrics.observeChat({ collection: request.collection, stream: request.stream, result, latencyMs, spans: trace.spans() });
+}
+
+function recordChatError(request, trace, err, latencyMs) {
+    const { status } = classifyPipelineError(err);
+    recordChatMetrics({ ...request, messageId: null, status: 'error', errorStatus: status, latencyMs });
+    serverMetrics.observeChat({ collection: request.collection, stream: request.stream, result: null, latencyMs, spans: trace.spans() });
+    trace.log.error('RAG pipeline error', { sessionId: request.sessionId, status, latencyMs, spans: trace.spans(), err });
+}
+
+// One entry per answered chat: what was retrieved, how it scored and where the time went
+function logChat(trace, sessionId, result, latencyMs) {
+    trace.log.info('Chat answered', {
+        sessionId,
+        rewrittenQuery: result.rewrittenQuery ?? undefined,
+        chunks: result.retrievedChunks,
+        scores: result.scores.map(({ title, score, fusedScore }) => ({ title, score, fusedScore })),
+        tokens: result.tokensUsed,
+        promptVersion: result.promptVersion,
+        model: result.model ?? undefined,
+        groundedness: result.groundedness ?? undefined,
+        fallback: result.fallback,
+        cached: result.cached,
+        latencyMs,
+        spans: trace.spans(),
+    });
+}
+
+// ── POST /api/chat ─────────────────────────────────────────────────────────
+app.post('/api/chat', tokenQuota, async (req, res) => {
+    const input = validateChatRequest(req.body);
+    if (input.error) {
+        return res.status(400).json({ error: input.error });
+    }
+    const { sessionId, message: trimmedMessage, retrieval, rerank, queryRewrite } = input;
 
     // Auto-create session if it doesn't exist
-    if (!sessionExists(sessionId)) {
-        createSession(sessionId);
+    const target = resolveChatSession(req.principal, sessionId, input.collection);
+    if (target.error) {
+        return res.status(target.status).json({ error: target.error });
     }
+    const { vectorStore, threshold, prompt, cacheScope } = collectionSettings(target.collection, input.promptTemplate);
 
     const history = getHistory(sessionId);
+    const summary = getSummary(sessionId);
+    const metrics = { requestId: req.id, sessionId, collection: target.collection.id, query: trimmedMessage, stream: false };
+    const trace = createTrace({ requestId: req.id, log: req.log });
+    const startTime = Date.now();
 
     try {
-        const startTime = Date.now();
-        const result = await runRAGPipeline(trimmedMessage, vectorStore, history, SIMILARITY_THRESHOLD);
+        const result = await runRAGPipeline(trimmedMessage, vectorStore, history, threshold, {
+            retrieval,
+            rerank,
+            queryRewrite,
+            summary,
+            prompt,
+            cacheScope,
+            filter: retrievalFilter(req.principal, input.filter),
+            trace,
+        });
         const latencyMs = Date.now() - startTime;
+        addTokenUsage(usageOwner(req), result.tokensUsed);
 
         // Persist to session
-        addMessage(sessionId, 'user', trimmedMessage);
-        addMessage(sessionId, 'model', result.reply);
+        addMessage(sessionId, 'user', trimmedMessage, {}, target.session);
+        const stored = addMessage(sessionId, 'model', result.reply, replyMeta(result, latencyMs, req.id), target.session);
+        summarizeInBackground(sessionId, usageOwner(req));
 
-        console.log(
-            `💬  [${sessionId.slice(0, 8)}] chunks=${result.retrievedChunks} tokens=${result.tokensUsed} latency=${latencyMs}ms fallback=${result.fallback}`
-        );
+        logChat(trace, sessionId, result, latencyMs);
+        recordChat(metrics, trace, result, stored.id, latencyMs);
 
         res.json({
+            messageId: stored.id,
             reply: result.reply,
+            rewrittenQuery: result.rewrittenQuery,
             tokensUsed: result.tokensUsed,
             retrievedChunks: result.retrievedChunks,
             scores: result.scores,
+            sources: result.sources,
+            groundedness: result.groundedness,
+            unsupported: result.unsupported,
+            promptVersion: result.promptVersion,
+            model: result.model,
             fallback: result.fallback,
+            rerank: result.rerank,
+            cached: result.cached,
             latencyMs,
         });
     } catch (err) {
-        console.error('❌  RAG pipeline error:', err.message);
+        recordChatError(metrics, trace, err, Date.now() - startTime);
 
         // Differentiate error types
-        if (err.message.includes('API key')) {
-            return res.status(401).json({ error: 'Invalid API key. Check your GEMINI_API_KEY.' });
-        }
-        if (err.message.includes('quota') || err.message.includes('rate')) {
-            return res.status(429).json({ error: 'Rate limit exceeded. Please try again later.' });
-        }
-        if (err.message.includes('timeout') || err.message.includes('ETIMEDOUT')) {
-            return res.status(504).json({ error: 'Request to AI provider timed out. Please retry.' });
+        const { status, error, retryAfter } = classifyPipelineError(err);
+        if (retryAfter) res.set('Retry-After', String(retryAfter));
+        res.status(status).json({ error });
+    }
+});
+
+// ── POST /api/chat/stream ──────────────────────────────────────────────────
+// Same contract as /api/chat, but the reply is sent as Server-Sent Events:
+//   event: token  data: { "text": "..." }        (one per LLM delta)
+//   event: done   data: { messageId, reply, rewrittenQuery, tokensUsed, retrievedChunks, scores, sources, groundedness, unsupported, promptVersion, model, fallback, rerank, cached, latencyMs }
+//                 (`reply` is the final text with citations checked; it replaces the streamed deltas,
+//                 and is the fallback reply if strict groundedness rejected the answer)
+//   event: error  data: { "status": 429, "error": "...", "retryAfter": 30 }   (retryAfter in seconds, when known)
+app.post('/api/chat/stream', tokenQuota, async (req, res) => {
+    const input = validateChatRequest(req.body);
+    if (input.error) {
+        return res.status(400).json({ error: input.error });
+    }
+    const { sessionId, message: trimmedMessage, retrieval, rerank, queryRewrite } = input;
+
+    const target = resolveChatSession(req.principal, sessionId, input.collection);
+    if (target.error) {
+        return res.status(target.status).json({ error: target.error });
+    }
+    const { vectorStore, threshold, prompt, cacheScope } = collectionSettings(target.collection, input.promptTemplate);
+
+    const history = getHistory(sessionId);
+    const summary = getSummary(sessionId);
+
+    res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache, no-transform',
+        Connection: 'keep-alive',
+        'X-Accel-Buffering': 'no',
+    });
+    res.flushHeaders();
+
+    // Stop writing once the client goes away; the reply is then discarded
+    let clientClosed = false;
+    res.on('close', () => {
+        if (!res.writableEnded) clientClosed = true;
+    });
+
+    const sendEvent = (event, data) => {
+        if (clientClosed) return;
+        res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    };
+
+    const metrics = { requestId: req.id, sessionId, collection: target.collection.id, query: trimmedMessage, stream: true };
+    const trace = createTrace({ requestId: req.id, log: req.log });
+    const startTime = Date.now();
+
+    try {
+        const result = await runRAGPipelineStream(
+            trimmedMessage,
+            vectorStore,
+            history,
+            threshold,
+            {
+                retrieval,
+                rerank,
+                queryRewrite,
+                summary,
+                prompt,
+                cacheScope,
+                filter: retrievalFilter(req.principal, input.filter),
+                onToken: (text) => sendEvent('token', { text }),
+                trace,
+            }
+        );
+        const latencyMs = Date.now() - startTime;
+        addTokenUsage(usageOwner(req), result.tokensUsed);
+
+        if (clientClosed) {
+            trace.log.info('Client disconnected, reply discarded', { sessionId });
+            recordChat(metrics, trace, result, null, latencyMs);
+            return;
         }
 
-        res.status(500).json({ error: 'An internal error occurred. Please try again.' });
+        // Persist only the finished reply
+        addMessage(sessionId, 'user', trimmedMessage, {}, target.session);
+        const stored = addMessage(sessionId, 'model', result.reply, replyMeta(result, latencyMs, req.id), target.session);
+        summarizeInBackground(sessionId, usageOwner(req));
+
+        logChat(trace, sessionId, result, latencyMs);
+        recordChat(metrics, trace, result, stored.id, latencyMs);
+
+        sendEvent('done', {
+            messageId: stored.id,
+            reply: result.reply,
+            rewrittenQuery: result.rewrittenQuery,
+            tokensUsed: result.tokensUsed,
+            retrievedChunks: result.retrievedChunks,
+            scores: result.scores,
+            sources: result.sources,
+            groundedness: result.groundedness,
+            unsupported: result.unsupported,
+            promptVersion: result.promptVersion,
+            model: result.model,
+            fallback: result.fallback,
+            rerank: result.rerank,
+            cached: result.cached,
+            latencyMs,
+        });
+    } catch (err) {
+        recordChatError(metrics, trace, err, Date.now() - startTime);
+        sendEvent('error', classifyPipelineError(err));
+    } finally {
+        res.end();
     }
 });
 
 // ── Global error handler ──────────────────────────────────────────────────
-app.use((err, _req, res, _next) => {
-    console.error('Unhandled error:', err);
+app.use((err, req, res, _next) => {
+    (req.log || logger).error('Unhandled error', { err });
     res.status(500).json({ error: 'Internal server error' });
 });
 
@@ -165,7 +681,41 @@ app.use((_req, res) => {
 
 // ── Start server ──────────────────────────────────────────────────────────
 app.listen(PORT, () => {
-    console.log(`\n🚀  RAG Assistant backend running on http://localhost:${PORT}`);
-    console.log(`    Similarity threshold: ${SIMILARITY_THRESHOLD}`);
-    console.log(`    Vector chunks loaded: ${vectorStore.length}\n`);
+    const ann = getAnnSettings();
+    const indexed = listCollections().filter((c) => c.chunks >= ann.minChunks).length;
+    const { timeoutMs, embedTimeoutMs, retries, failureThreshold, cooldownMs } = provider.resilience;
+    logger.info('RAG Assistant backend running', {
+        url: `http://localhost:${PORT}`,
+        similarityThreshold: SIMILARITY_THRESHOLD,
+        promptTemplate: getPromptTemplate().version,
+        retrieval: { mode: RETRIEVAL_DEFAULTS.mode, fusion: RETRIEVAL_DEFAULTS.fusion, queryRewrite: QUERY_REWRITE },
+        groundedness: { mode: GROUNDEDNESS_SETTINGS.mode, strict: GROUNDEDNESS_SETTINGS.strict, threshold: GROUNDEDNESS_SETTINGS.threshold },
+        rerank: { mode: RERANK_SETTINGS.mode, candidates: RERANK_SETTINGS.candidates, mmrLambda: RERANK_SETTINGS.mmrLambda },
+        llmCalls: {
+            timeoutMs,
+            embedTimeoutMs,
+            retries,
+            circuitFailures: failureThreshold,
+            circuitCooldownSeconds: cooldownMs / 1000,
+            models: [provider.chatModel, ...provider.fallbackModels],
+        },
+        caches: {
+            queryEmbeddings: CACHE_SETTINGS.embeddingEntries,
+            answers: CACHE_SETTINGS.answers ? { similarity: CACHE_SETTINGS.answerSimilarity } : false,
+        },
+        rateLimits: { perKeyPerMinute: RATE_LIMITS.keyPerMinute, perIpPerMinute: RATE_LIMITS.ipPerMinute, dailyTokens: RATE_LIMITS.dailyTokens },
+        corsOrigins: CORS_ORIGINS,
+        chunks: totalChunks(),
+        collections: listCollections().length,
+        search: indexed > 0 ? { index: 'ivf', collections: indexed, nprobe: ann.nprobe } : 'brute-force',
+        metrics: METRICS_TOKEN ? '/metrics (token)' : '/metrics',
+    });
 });
+
+// Persist pending session changes before exiting
+for (const signal of ['SIGINT', 'SIGTERM']) {
+    process.on(signal, () => {
+        closeSessionStore();
+        process.exit(0);
+    });
+}
@@ -0,0 +1,185 @@
+// utils/annIndex.js
+// Approximate nearest-neighbour search with an IVF (inverted file) index:
+// vectors are clustered with spherical k-means and a query only scans the
+// `nprobe` clusters whose centroids are closest to it.
+// Stores below `minChunks` are searched exhaustively instead — at that size a
+// brute-force scan is already fast and exact.
+// All vectors must be unit length (see utils/vectorStoreFile.js), so dot
+// product = cosine similarity.
+
+import { dotProduct, normalizeVector } from './vector_math.js';
+
+export const ANN_DEFAULTS = {
+    minChunks: 2000, // brute force below this size
+    nprobe: 8, // clusters scanned per query
+    trainingSamplesPerList: 40,
+    iterations: 10,
+};
+
+let settings = { ...ANN_DEFAULTS };
+
+const indexCache = new WeakMap(); // vector store array -> index
+const lineages = new WeakMap(); // vector store array -> { trained: { version, centroids, dimensions, trainedOn } }
+let trainingVersion = 0;
+const assignments = new WeakMap(); // entry -> { version, list }
+
+/**
+ * Override ANN settings (minChunks, nprobe, ...).
+ */
+export function configureAnn(overrides = {}) {
+    settings = { ...settings, ...Object.fromEntries(Object.entries(overrides).filter(([, v]) => v !== undefined)) };
+}
+
+export function getAnnSettings() {
+    return { ...settings };
+}
+
+// Training state of a store and the stores that replaced it
+function lineageOf(documents) {
+    let lineage = lineages.get(documents);
+    if (!lineage) {
+        lineage = { trained: null };
+        lineages.set(documents, lineage);
+    }
+    return lineage;
+}
+
+/**
+ * Let `next` (a knowledge base's updated vector store) reuse the centroids
+ * trained for `previous`. Stores of different knowledge bases never share them.
+ */
+export function shareAnnTraining(next, previous) {
+    lineages.set(next, lineageOf(previous));
+}
+
+// Deterministic PRNG (mulberry32) so the same store always builds the same index
+function createRandom(seed) {
+    let a = seed >>> 0;
+    return () => {
+        a = (a + 0x6d2b79f5) >>> 0;
+        let t = a;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+function nearestCentroid(vector, centroids) {
+    let best = 0;
+    let bestScore = -Infinity;
+    for (let c = 0; c < centroids.length; c++) {
+        const score = dotProduct(vector, centroids[c]);
+        if (score > bestScore) {
+            bestScore = score;
+            best = c;
+        }
+    }
+    return best;
+}
+
+/**
+ * Spherical k-means over a sample of the vectors.
+ */
+function trainCentroids(vectors, nlist, opts) {
+    const random = createRandom(vectors.length);
+    const sampleSize = Math.min(vectors.length, nlist * opts.trainingSamplesPerList);
+    const sample = [];
+    const seen = new Set();
+    while (sample.length < sampleSize) {
+        const i = Math.floor(random() * vectors.length);
+        if (!seen.has(i)) {
+            seen.add(i);
+            sample.push(vectors[i]);
+        }
+    }
+
+    let centroids = sample.slice(0, nlist).map((v) => Float32Array.from(v));
+    const dimensions = sample[0].length;
+
+    for (let iter = 0; iter < opts.iterations; iter++) {
+        const sums = Array.from({ length: nlist }, () => new Float64Array(dimensions));
+        const counts = new Array(nlist).fill(0);
+        for (const v of sample) {
+            const c = nearestCentroid(v, centroids);
+            counts[c]++;
+            const sum = sums[c];
+            for (let d = 0; d < dimensions; d++) sum[d] += v[d];
+        }
+        centroids = sums.map((sum, c) =>
+            // Re-seed empty clusters with a random sample point
+            counts[c] > 0 ? normalizeVector(sum) : Float32Array.from(sample[Math.floor(random() * sample.length)])
+        );
+    }
+
+    return centroids;
+}
+
+/**
+ * Get (or build) the IVF index for a vector store, or null when the store is
+ * small enough for brute force. Centroids are reused across updates of the
+ * same knowledge base (shareAnnTraining) until the store doubles or halves in
+ * size, and unchanged entries
+ * keep their cluster assignment, so live edits only assign the new chunks.
+ */
+export function getAnnIndex(documents) {
+    if (documents.length < settings.minChunks) return null;
+
+    let index = indexCache.get(documents);
+    if (index) return index;
+
+    const dimensions = documents[0].embedding.length;
+    const lineage = lineageOf(documents);
+    let { trained } = lineage;
+    const needsTraining =
+        !trained ||
+        trained.dimensions !== dimensions ||
+        documents.length > trained.trainedOn * 2 ||
+        documents.length < trained.trainedOn / 2;
+
+    if (needsTraining) {
+        const nlist = Math.max(1, Math.min(4096, Math.round(Math.sqrt(documents.length))));
+        trained = {
+            version: ++trainingVersion,
+            centroids: trainCentroids(documents.map((d) => d.embedding), nlist, settings),
+            dimensions,
+            trainedOn: documents.length,
+        };
+        lineage.trained = trained;
+    }
+
+    const lists = trained.centroids.map(() => []);
+    documents.forEach((doc, i) => {
+        let assignment = assignments.get(doc);
+        if (!assignment || assignment.version !== trained.version) {
+            assignment = { version: trained.version, list: nearestCentroid(doc.embedding, trained.centroids) };
+            assignments.set(doc, assignment);
+        }
+        lists[assignment.list].push(i);
+    });
+
+    index = { centroids: trained.centroids, lists, dimensions };
+    indexCache.set(documents, index);
+    return index;
+}
+
+/**
+ * Approximate top-`limit` documents for a unit-length query vector.
+ * @returns {Array<{ i: number, score: number }>} Sorted by descending cosine
+ */
+export function searchAnnIndex(index, documents, queryUnit, { nprobe = settings.nprobe, limit = 100 } = {}) {
+    if (queryUnit.length !== index.dimensions) return [];
+
+    const probes = index.centroids
+        .map((centroid, c) => ({ c, score: dotProduct(queryUnit, centroid) }))
+        .sort((a, b) => b.score - a.score)
+        .slice(0, nprobe);
+
+    const results = [];
+    for (const { c } of probes) {
+        for (const i of index.lists[c]) {
+            results.push({ i, score: dotProduct(queryUnit, documents[i].embedding) });
+        }
+    }
+
+    return results.sort((a, b) => b.score - a.score).slice(0, limit);
+}
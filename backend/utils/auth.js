@@ -0,0 +1,144 @@
+// utils/auth.js
+// Request authentication. Clients send an API key (`X-API-Key: <key>` or
+// `Authorization: Bearer <key>`) or, when JWT_SECRET is set, an HS256 JWT
+// (`Authorization: Bearer <jwt>`, owner = `sub`, role = `role`).
+// Each request gets `req.principal = { id, role, dailyTokens }`; sessions are
+// owned by `principal.id` and admins may access any of them.
+// Roles: user (public documents only), staff (also `visibility: internal`
+// documents) and admin (everything, including the admin routes).
+// With no keys and no JWT secret configured, authentication is off and every
+// request acts as the local admin (development only).
+
+import { createHash, createHmac, timingSafeEqual } from 'crypto';
+import { readFileSync } from 'fs';
+
+import { getSessionOwner } from './sessionStore.js';
+
+export const ROLES = ['user', 'staff', 'admin'];
+
+const ANONYMOUS = Object.freeze({ id: 'local', role: 'admin', dailyTokens: null });
+
+let keys = new Map(); // sha256(key) -> principal
+let jwtSecret = null;
+
+const hashKey = (key) => createHash('sha256').update(key).digest('hex');
+
+function addKey({ key, owner, role = 'user', dailyTokens = null }, source) {
+    if (!key || !owner) throw new Error(`${source}: every API key needs "key" and "owner".`);
+    if (!ROLES.includes(role)) throw new Error(`${source}: role of "${owner}" must be one of: ${ROLES.join(', ')}.`);
+    if (dailyTokens !== null && !(Number.isInteger(dailyTokens) && dailyTokens >= 0)) {
+        throw new Error(`${source}: dailyTokens of "${owner}" must be a non-negative integer.`);
+    }
+    keys.set(hashKey(key), Object.freeze({ id: owner, role, dailyTokens }));
+}
+
+/**
+ * Load credentials from the environment:
+ *   API_KEYS      — comma-separated `key:owner[:role]`
+ *   API_KEYS_FILE — JSON array of { key, owner, role?, dailyTokens? }
+ *   JWT_SECRET    — enables HS256 bearer tokens
+ * Throws on malformed entries.
+ * @returns {{ enabled: boolean, keys: number, jwt: boolean }}
+ */
+export function initAuth(env = process.env) {
+    keys = new Map();
+    jwtSecret = env.JWT_SECRET || null;
+
+    for (const entry of (env.API_KEYS || '').split(',').map((s) => s.trim()).filter(Boolean)) {
+        const [key, owner, role] = entry.split(':');
+        addKey({ key, owner, role: role || 'user' }, 'API_KEYS');
+    }
+    if (env.API_KEYS_FILE) {
+        const entries = JSON.parse(readFileSync(env.API_KEYS_FILE, 'utf-8'));
+        if (!Array.isArray(entries)) throw new Error('API_KEYS_FILE must contain a JSON array.');
+        entries.forEach((entry) => addKey(entry, 'API_KEYS_FILE'));
+    }
+    return { enabled: isAuthEnabled(), keys: keys.size, jwt: Boolean(jwtSecret) };
+}
+
+export function isAuthEnabled() {
+    return keys.size > 0 || Boolean(jwtSecret);
+}
+
+function base64UrlDecode(part) {
+    return Buffer.from(part.replace(/-/g, '+').replace(/_/g, '/'), 'base64');
+}
+
+/**
+ * Verify an HS256 JWT. Returns the principal, or null if the token is invalid or expired.
+ */
+function verifyJwt(token) {
+    const [header, payload, signature] = token.split('.');
+    if (!header || !payload || !signature) return null;
+
+    const expected = createHmac('sha256', jwtSecret).update(`${header}.${payload}`).digest();
+    const actual = base64UrlDecode(signature);
+    if (actual.length !== expected.length || !timingSafeEqual(actual, expected)) return null;
+
+    try {
+        if (JSON.parse(base64UrlDecode(header).toString()).alg !== 'HS256') return null;
+        const claims = JSON.parse(base64UrlDecode(payload).toString());
+        const now = Date.now() / 1000;
+        if (!claims.sub || (claims.exp && claims.exp < now) || (claims.nbf && claims.nbf > now)) return null;
+        const dailyTokens = Number.isInteger(claims.dailyTokens) ? claims.dailyTokens : null;
+        return { id: String(claims.sub), role: ROLES.includes(claims.role) ? claims.role : 'user', dailyTokens };
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Principal for a set of request headers, or null if the credentials are
+ * missing or invalid.
+ */
+export function authenticate(headers) {
+    if (!isAuthEnabled()) return ANONYMOUS;
+
+    const bearer = /^Bearer\s+(.+)$/i.exec(headers.authorization || '')?.[1]?.trim();
+    const key = headers['x-api-key'] || bearer;
+    if (!key) return null;
+
+    const principal = keys.get(hashKey(key));
+    if (principal) return principal;
+    return jwtSecret && bearer ? verifyJwt(bearer) : null;
+}
+
+/**
+ * Express middleware: reject unauthenticated requests with 401.
+ */
+export function requireAuth(req, res, next) {
+    const principal = authenticate(req.headers);
+    if (!principal) {
+        res.setHeader('WWW-Authenticate', 'Bearer');
+        return res.status(401).json({ error: 'Missing or invalid credentials.' });
+    }
+    req.principal = principal;
+    next();
+}
+
+/**
+ * Express middleware: only admins may continue (use after requireAuth).
+ */
+export function requireAdmin(req, res, next) {
+    if (req.principal?.role !== 'admin') {
+        return res.status(403).json({ error: 'Admin access required.' });
+    }
+    next();
+}
+
+/**
+ * Whether a principal may retrieve internal-only documents.
+ */
+export function canSeeInternal(principal) {
+    return principal.role === 'staff' || principal.role === 'admin';
+}
+
+/**
+ * Whether a principal may read or write a live session. Sessions without an
+ * owner (created before authentication) are admin-only.
+ */
+export function canAccessSession(principal, sessionId) {
+    const owner = getSessionOwner(sessionId);
+    if (owner === undefined) return false;
+    return principal.role === 'admin' || (owner !== null && owner === principal.id);
+}
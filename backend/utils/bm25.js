@@ -0,0 +1,77 @@
+// utils/bm25.js
+// BM25 keyword scoring over chunk content and title.
+// Indexes are built lazily per vector store array and cached — the knowledge
+// base swaps in a new array on every change, so a stale index is never reused.
+
+import { tokenize } from './text.js';
+
+const K1 = 1.2;
+const B = 0.75;
+const TITLE_BOOST = 2; // title terms count as if they appeared twice in the body
+
+const indexCache = new WeakMap();
+
+/**
+ * Build an inverted index over an array of chunks ({ title, content }).
+ */
+export function buildBM25Index(documents) {
+    const postings = new Map(); // term -> [{ i, tf }]
+    const lengths = new Array(documents.length);
+
+    documents.forEach((doc, i) => {
+        const terms = [...tokenize(doc.content || '')];
+        for (const t of tokenize(doc.title || '')) {
+            for (let r = 0; r < TITLE_BOOST; r++) terms.push(t);
+        }
+        lengths[i] = terms.length;
+
+        const tf = new Map();
+        for (const t of terms) tf.set(t, (tf.get(t) || 0) + 1);
+        for (const [term, count] of tf) {
+            if (!postings.has(term)) postings.set(term, []);
+            postings.get(term).push({ i, tf: count });
+        }
+    });
+
+    const totalLength = lengths.reduce((a, b) => a + b, 0);
+    return {
+        postings,
+        lengths,
+        size: documents.length,
+        avgLength: documents.length ? totalLength / documents.length : 0,
+    };
+}
+
+/**
+ * Cached index for a vector store array.
+ */
+export function getBM25Index(documents) {
+    let index = indexCache.get(documents);
+    if (!index) {
+        index = buildBM25Index(documents);
+        indexCache.set(documents, index);
+    }
+    return index;
+}
+
+/**
+ * BM25 score of every document for `query`.
+ * @returns {Float64Array} Scores aligned with the indexed documents (0 = no match)
+ */
+export function scoreBM25(index, query) {
+    const scores = new Float64Array(index.size);
+    const queryTerms = new Set(tokenize(query));
+
+    for (const term of queryTerms) {
+        const list = index.postings.get(term);
+        if (!list) continue;
+        // BM25+ style IDF, always positive
+        const idf = Math.log(1 + (index.size - list.length + 0.5) / (list.length + 0.5));
+        for (const { i, tf } of list) {
+            const norm = 1 - B + B * (index.lengths[i] / (index.avgLength || 1));
+            scores[i] += idf * ((tf * (K1 + 1)) / (tf + K1 * norm));
+        }
+    }
+
+    return scores;
+}
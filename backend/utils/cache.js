@@ -0,0 +1,190 @@
+// utils/cache.js
+// Caches in front of the provider:
+//   query embeddings — LRU with TTL keyed by embedding model + normalized query
+//                      text, so repeated questions (suggestion chips) skip the
+//                      embedding call
+//   answers          — optional semantic cache: a new first-turn question whose
+//                      embedding is close enough to an earlier one, asked in the
+//                      same collection at the same knowledge base version with
+//                      the same retrieval options, gets the stored reply
+// Both are in memory and count hits and misses for /health.
+
+import { dotProduct } from './vector_math.js';
+
+export const CACHE_DEFAULTS = {
+    embeddingEntries: 1000, // 0 disables the embedding cache
+    embeddingTtlMs: 60 * 60 * 1000,
+    answers: false, // semantic answer cache
+    answerEntries: 500,
+    answerTtlMs: 60 * 60 * 1000,
+    answerSimilarity: 0.95, // query cosine needed to reuse an answer
+};
+
+/**
+ * Cache settings from the environment (EMBEDDING_CACHE_SIZE,
+ * EMBEDDING_CACHE_TTL_SECONDS, ANSWER_CACHE, ANSWER_CACHE_SIZE,
+ * ANSWER_CACHE_TTL_SECONDS, ANSWER_CACHE_SIMILARITY). Throws on invalid values.
+ */
+export function cacheSettingsFromEnv(env = process.env) {
+    const num = (v, d) => (v !== undefined && v !== '' ? Number(v) : d);
+    const settings = {
+        embeddingEntries: num(env.EMBEDDING_CACHE_SIZE, CACHE_DEFAULTS.embeddingEntries),
+        embeddingTtlMs: num(env.EMBEDDING_CACHE_TTL_SECONDS, CACHE_DEFAULTS.embeddingTtlMs / 1000) * 1000,
+        answers: env.ANSWER_CACHE === 'true',
+        answerEntries: num(env.ANSWER_CACHE_SIZE, CACHE_DEFAULTS.answerEntries),
+        answerTtlMs: num(env.ANSWER_CACHE_TTL_SECONDS, CACHE_DEFAULTS.answerTtlMs / 1000) * 1000,
+        answerSimilarity: num(env.ANSWER_CACHE_SIMILARITY, CACHE_DEFAULTS.answerSimilarity),
+    };
+
+    for (const key of ['embeddingEntries', 'answerEntries']) {
+        if (!Number.isInteger(settings[key]) || settings[key] < 0) throw new Error(`Cache ${key} must be a non-negative integer.`);
+    }
+    for (const key of ['embeddingTtlMs', 'answerTtlMs']) {
+        if (!(settings[key] > 0)) throw new Error(`Cache ${key} must be positive.`);
+    }
+    if (!(settings.answerSimilarity > 0 && settings.answerSimilarity <= 1)) {
+        throw new Error('ANSWER_CACHE_SIMILARITY must be between 0 (exclusive) and 1.');
+    }
+    return settings;
+}
+
+/**
+ * Lowercase, trim and collapse whitespace and trailing punctuation so
+ * "How do I reset my password?" and "how do i reset my password" share a key.
+ */
+export function normalizeQuery(text) {
+    return text.toLowerCase().replace(/\s+/g, ' ').replace(/[\s?!.]+$/, '').trim();
+}
+
+/**
+ * In-memory LRU cache with a per-entry TTL. Map order is recency order;
+ * inserting past `maxEntries` evicts the least recently used entry.
+ */
+export function createLruCache({ maxEntries, ttlMs }) {
+    const entries = new Map(); // key -> { value, expiresAt }
+    let hits = 0;
+    let misses = 0;
+
+    function lookup(key, now) {
+        const entry = entries.get(key);
+        if (entry && entry.expiresAt <= now) {
+            entries.delete(key);
+            return undefined;
+        }
+        return entry;
+    }
+
+    return {
+        /**
+         * Cached value (refreshing its recency) or undefined. Counts a hit or miss.
+         */
+        get(key, now = Date.now()) {
+            const entry = lookup(key, now);
+            if (!entry) {
+                misses++;
+                return undefined;
+            }
+            hits++;
+            entries.delete(key);
+            entries.set(key, entry);
+            return entry.value;
+        },
+
+        set(key, value, now = Date.now()) {
+            if (maxEntries === 0) return;
+            entries.delete(key);
+            entries.set(key, { value, expiresAt: now + ttlMs });
+            for (const oldest of entries.keys()) {
+                if (entries.size <= maxEntries) break;
+                entries.delete(oldest);
+            }
+        },
+
+        /**
+         * Live entries from most to least recently used, without touching recency or counters.
+         */
+        *values(now = Date.now()) {
+            for (const key of [...entries.keys()].reverse()) {
+                const entry = lookup(key, now);
+                if (entry) yield entry.value;
+            }
+        },
+
+        // Mark an entry found through values() as most recently used
+        touch(key, now = Date.now()) {
+            const entry = lookup(key, now);
+            if (!entry) return;
+            entries.delete(key);
+            entries.set(key, entry);
+        },
+
+        // Count a hit or miss for lookups made through values()
+        record(hit) {
+            if (hit) hits++;
+            else misses++;
+        },
+
+        stats() {
+            const total = hits + misses;
+            return { entries: entries.size, hits, misses, hitRate: total > 0 ? parseFloat((hits / total).toFixed(4)) : null };
+        },
+    };
+}
+
+/**
+ * Query embedding cache: `embed(provider, text)` returns the cached embedding
+ * for the provider's embedding model and the normalized text, or calls
+ * provider.embed and stores the result.
+ */
+export function createEmbeddingCache({ maxEntries = CACHE_DEFAULTS.embeddingEntries, ttlMs = CACHE_DEFAULTS.embeddingTtlMs } = {}) {
+    const cache = createLruCache({ maxEntries, ttlMs });
+    return {
+        async embed(provider, text) {
+            if (maxEntries === 0) return provider.embed(text);
+            const key = `${provider.embeddingModel}\u0000${normalizeQuery(text)}`;
+            const cached = cache.get(key);
+            if (cached) return cached;
+            const embedding = await provider.embed(text);
+            cache.set(key, embedding);
+            return embedding;
+        },
+        stats: () => cache.stats(),
+    };
+}
+
+/**
+ * Semantic answer cache. Entries are scoped by `scope` (collection, knowledge
+ * base version and retrieval options); `find` returns the stored result of
+ * the closest earlier question in the same scope if its cosine with
+ * `embedding` (unit length) reaches `similarity`.
+ */
+export function createAnswerCache({
+    maxEntries = CACHE_DEFAULTS.answerEntries,
+    ttlMs = CACHE_DEFAULTS.answerTtlMs,
+    similarity = CACHE_DEFAULTS.answerSimilarity,
+} = {}) {
+    const cache = createLruCache({ maxEntries, ttlMs });
+    let nextId = 0;
+
+    return {
+        find(scope, embedding) {
+            let best = null;
+            for (const entry of cache.values()) {
+                if (entry.scope !== scope || entry.embedding.length !== embedding.length) continue;
+                const score = dotProduct(entry.embedding, embedding);
+                if (score >= similarity && (!best || score > best.score)) best = { entry, score };
+            }
+            cache.record(Boolean(best));
+            if (!best) return null;
+            cache.touch(best.entry.id);
+            return { result: best.entry.result, similarity: best.score };
+        },
+
+        store(scope, embedding, result) {
+            const id = `a${nextId++}`;
+            cache.set(id, { id, scope, embedding, result });
+        },
+
+        stats: () => cache.stats(),
+    };
+}
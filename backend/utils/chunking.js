@@ -0,0 +1,218 @@
+// utils/chunking.js
+// Splits documents into chunks for embedding. Strategies:
+//   fixed     — character windows with overlap (original behaviour)
+//   sentence  — packs whole sentences up to `size` characters
+//   recursive — splits on headings, then paragraphs, lines, sentences and words
+//               until pieces fit, then packs them up to `size` characters
+//   token     — windows of `size` approximate tokens with `overlap` tokens
+// Size and overlap are set per document type (see DEFAULT_CHUNKING).
+
+import { readFileSync } from 'fs';
+import { chunkMetadata } from './metadataFilter.js';
+
+export const CHUNK_SIZE_CHARS = 1500; // ~300-350 words
+export const CHUNK_OVERLAP_CHARS = 200; // ~50 words overlap
+
+/**
+ * Per document type chunking. `default` applies to types not listed
+ * (docs.json / API documents, plain text).
+ */
+export const DEFAULT_CHUNKING = {
+    default: { strategy: 'recursive', size: CHUNK_SIZE_CHARS, overlap: CHUNK_OVERLAP_CHARS },
+    markdown: { strategy: 'recursive', size: 1000, overlap: 150 },
+    html: { strategy: 'recursive', size: 1000, overlap: 150 },
+    pdf: { strategy: 'sentence', size: CHUNK_SIZE_CHARS, overlap: CHUNK_OVERLAP_CHARS },
+    csv: { strategy: 'sentence', size: 1000, overlap: 0 },
+};
+
+// ── Strategies ───────────────────────────────────────────────────────────────
+
+/**
+ * Fixed-size character windows with overlap.
+ */
+export function chunkText(text, chunkSize = CHUNK_SIZE_CHARS, overlap = CHUNK_OVERLAP_CHARS) {
+    const chunks = [];
+    let start = 0;
+
+    while (start < text.length) {
+        const end = Math.min(start + chunkSize, text.length);
+        chunks.push(text.slice(start, end).trim());
+        if (end === text.length) break;
+        start += chunkSize - overlap;
+    }
+
+    return chunks;
+}
+
+/**
+ * Greedily pack text units (which keep their own trailing whitespace) into
+ * chunks of at most `size` characters. Each new chunk starts with the trailing
+ * units of the previous one, up to `overlap` characters.
+ */
+function packUnits(units, size, overlap) {
+    const chunks = [];
+    let current = [];
+    let length = 0;
+
+    for (const unit of units) {
+        if (length + unit.length > size && current.length > 0) {
+            chunks.push(current.join(''));
+
+            const carried = [];
+            let carriedLength = 0;
+            for (let i = current.length - 1; i >= 0; i--) {
+                if (carriedLength + current[i].length > overlap) break;
+                carried.unshift(current[i]);
+                carriedLength += current[i].length;
+            }
+            // Never carry so much that the next unit still doesn't fit
+            while (carried.length && carriedLength + unit.length > size) {
+                carriedLength -= carried.shift().length;
+            }
+            current = carried;
+            length = carriedLength;
+        }
+        current.push(unit);
+        length += unit.length;
+    }
+    if (current.length > 0) chunks.push(current.join(''));
+
+    return chunks.map((c) => c.trim()).filter(Boolean);
+}
+
+// Split points, keeping the delimiter on the preceding piece so joining restores the text
+const SENTENCE_BOUNDARY = /(?<=[.!?]["')\]]*\s+)(?=\S)/;
+const RECURSIVE_SEPARATORS = [
+    /(?=^#{1,6}\s)/m, // before Markdown headings
+    /(?<=\n[ \t]*\n)(?=\S)/, // paragraphs
+    /(?<=\n)(?=\S)/, // lines / list items
+    SENTENCE_BOUNDARY,
+    /(?<=\s)(?=\S)/, // words
+];
+
+function sentenceChunks(text, { size, overlap }) {
+    const units = text
+        .split(SENTENCE_BOUNDARY)
+        .flatMap((s) => (s.length > size ? chunkText(s, size, 0).map((p) => `${p} `) : [s]));
+    return packUnits(units, size, overlap);
+}
+
+function splitRecursive(text, size, level = 0) {
+    if (text.length <= size) return [text];
+    if (level >= RECURSIVE_SEPARATORS.length) return chunkText(text, size, 0).map((p) => `${p} `);
+
+    return text
+        .split(RECURSIVE_SEPARATORS[level])
+        .flatMap((piece) => (piece.length > size ? splitRecursive(piece, size, level + 1) : [piece]));
+}
+
+function recursiveChunks(text, { size, overlap }) {
+    return packUnits(splitRecursive(text, size), size, overlap);
+}
+
+// Approximate tokens: words and individual punctuation marks (~BPE granularity)
+const TOKEN_PATTERN = /\w+|[^\w\s]/g;
+
+function tokenChunks(text, { size, overlap }) {
+    const offsets = [...text.matchAll(TOKEN_PATTERN)].map((m) => m.index);
+    const chunks = [];
+    const step = Math.max(1, size - overlap);
+
+    for (let start = 0; start < offsets.length; start += step) {
+        const end = start + size;
+        const slice = text.slice(offsets[start], end < offsets.length ? offsets[end] : text.length);
+        chunks.push(slice.trim());
+        if (end >= offsets.length) break;
+    }
+
+    return chunks.filter(Boolean);
+}
+
+const STRATEGIES = {
+    fixed: { unit: 'chars', split: (text, { size, overlap }) => chunkText(text, size, overlap) },
+    sentence: { unit: 'chars', split: sentenceChunks },
+    recursive: { unit: 'chars', split: recursiveChunks },
+    token: { unit: 'tokens', split: tokenChunks },
+};
+
+export const CHUNKING_STRATEGIES = Object.keys(STRATEGIES);
+
+// ── Configuration ───────────────────────────────────────────────────────────
+
+function validate(settings, label) {
+    if (!STRATEGIES[settings.strategy]) {
+        throw new Error(`Unknown chunking strategy "${settings.strategy}" for ${label}. Use: ${CHUNKING_STRATEGIES.join(', ')}`);
+    }
+    if (!(settings.size > 0) || !(settings.overlap >= 0) || settings.overlap >= settings.size) {
+        throw new Error(`Invalid chunking size/overlap for ${label}: size must be > 0 and overlap < size.`);
+    }
+    return settings;
+}
+
+/**
+ * Build a per-type chunking config from the defaults plus optional overrides.
+ * @param {Object} [options]
+ * @param {string} [options.file]     - JSON file: { "<type>": { strategy, size, overlap } }
+ * @param {string} [options.strategy] - Apply to every type
+ * @param {number} [options.size]     - Apply to every type
+ * @param {number} [options.overlap]  - Apply to every type
+ */
+export function resolveChunkingConfig({ file, strategy, size, overlap } = {}) {
+    const fromFile = file ? JSON.parse(readFileSync(file, 'utf-8')) : {};
+    const global = Object.fromEntries(
+        Object.entries({ strategy, size, overlap }).filter(([, v]) => v !== undefined)
+    );
+
+    const config = {};
+    for (const type of new Set([...Object.keys(DEFAULT_CHUNKING), ...Object.keys(fromFile)])) {
+        const base = { ...DEFAULT_CHUNKING.default, ...DEFAULT_CHUNKING[type], ...fromFile.default, ...fromFile[type] };
+        config[type] = validate({ ...base, ...global }, `type "${type}"`);
+    }
+    return config;
+}
+
+/**
+ * Chunking settings for a document type.
+ */
+export function chunkingFor(type, config = DEFAULT_CHUNKING) {
+    return config[type] || config.default || DEFAULT_CHUNKING.default;
+}
+
+/**
+ * Chunk a document into vector store entries (without embeddings).
+ * Loader documents carry `sections` ({ text, location }); each section is
+ * chunked separately so every chunk keeps its source location. Each entry
+ * records the strategy and parameters that produced it, and carries the
+ * document's metadata for filtering (utils/metadataFilter.js).
+ * @param {Object} doc    - { id, title, content, type?, source?, sections?, metadata?, updatedAt? }
+ * @param {Object} [config] - Per-type chunking config (resolveChunkingConfig)
+ * @returns {Array} { id, docId, title, chunkIndex, content, source, location, chunking, metadata }
+ */
+export function chunkDocument(doc, config = DEFAULT_CHUNKING) {
+    const settings = chunkingFor(doc.type, config);
+    const { unit, split } = STRATEGIES[settings.strategy];
+    const chunking = { strategy: settings.strategy, size: settings.size, overlap: settings.overlap, unit };
+    const metadata = chunkMetadata(doc);
+
+    const sections = doc.sections?.length ? doc.sections : [{ text: doc.content, location: {} }];
+    const entries = [];
+
+    for (const section of sections) {
+        for (const content of split(section.text, settings)) {
+            if (!content) continue;
+            entries.push({
+                id: `${doc.id}-chunk-${entries.length + 1}`,
+                docId: doc.id,
+                title: doc.title,
+                chunkIndex: entries.length,
+                content,
+                source: doc.source || 'data/docs.json',
+                location: section.location || {},
+                chunking,
+                metadata,
+            });
+        }
+    }
+
+    return entries;
+}
@@ -0,0 +1,81 @@
+// utils/citations.js
+// Inline citation markers — [1], [1][3] or [1, 3] — refer to the numbered
+// context blocks in the prompt. Markers are checked against the retrieved
+// chunks: numbers with no matching chunk are dropped from the reply, and each
+// cited chunk gets the passage that best supports the sentences citing it.
+
+import { tokenize, splitSentences } from './text.js';
+
+const CITATION_GROUP = /[ \t]*\[(\d+(?:\s*,\s*\d+)*)\]/g;
+const SNIPPET_CHARS = 280;
+
+// Text of the sentence a marker at `index` belongs to (ignoring other markers)
+function claimBefore(text, index) {
+    const before = text.slice(0, index).replace(/[.!?\s]+$/, '');
+    const start = Math.max(before.lastIndexOf('. '), before.lastIndexOf('! '), before.lastIndexOf('? '), before.lastIndexOf('\n'));
+    return before
+        .slice(start + 1)
+        .replace(CITATION_GROUP, '')
+        .trim();
+}
+
+function truncate(text, max = SNIPPET_CHARS) {
+    if (text.length <= max) return text;
+    const cut = text.slice(0, max);
+    return `${cut.slice(0, Math.max(cut.lastIndexOf(' '), max / 2))}…`;
+}
+
+/**
+ * The sentence of `content` sharing the most terms with the claims citing it,
+ * or the opening of the chunk when nothing overlaps.
+ */
+function bestPassage(content, claims) {
+    const claimTerms = new Set(claims.flatMap((c) => tokenize(c)));
+    let best = null;
+    let bestScore = 0;
+
+    for (const sentence of splitSentences(content)) {
+        const terms = tokenize(sentence);
+        const overlap = terms.filter((t) => claimTerms.has(t)).length;
+        const score = terms.length ? overlap / Math.sqrt(terms.length) : 0;
+        if (score > bestScore) {
+            bestScore = score;
+            best = sentence;
+        }
+    }
+
+    return truncate(best || content);
+}
+
+/**
+ * Validate the citation markers in a reply and build its sources list.
+ * @param {string} reply  - LLM answer
+ * @param {Array}  chunks - Retrieved chunks in prompt order ([1] = chunks[0])
+ * @returns {{ reply: string, sources: Array }} Reply without invalid markers, and
+ *          one source per chunk: { index, id, docId, title, snippet, score, cited }
+ */
+export function resolveCitations(reply, chunks) {
+    const claims = chunks.map(() => []);
+
+    const cleaned = reply.replace(CITATION_GROUP, (marker, group, offset) => {
+        const numbers = group.split(',').map((n) => parseInt(n, 10));
+        const valid = numbers.filter((n) => n >= 1 && n <= chunks.length);
+        const claim = claimBefore(reply, offset);
+        for (const n of valid) claims[n - 1].push(claim);
+
+        if (valid.length === numbers.length) return marker;
+        return valid.length ? ` [${valid.join(', ')}]` : '';
+    });
+
+    const sources = chunks.map((chunk, i) => ({
+        index: i + 1,
+        id: chunk.id,
+        docId: chunk.docId,
+        title: chunk.title,
+        snippet: bestPassage(chunk.content, claims[i]),
+        score: parseFloat(chunk.score.toFixed(4)),
+        cited: claims[i].length > 0,
+    }));
+
+    return { reply: cleaned, sources };
+}
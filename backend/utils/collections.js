@@ -0,0 +1,156 @@
+// utils/collections.js
+// Named knowledge bases. Each collection has its own documents, vector store
+// (and so its own ANN/BM25 indexes), similarity threshold and prompt.
+// Collections are declared in data/collections.json (COLLECTIONS_FILE):
+//   [{ "id": "billing", "name": "Billing", "description": "...",
+//      "threshold": 0.7, "systemPrompt": "You are the billing assistant...",
+//      "promptTemplate": "concise", "promptVariables": { "productName": "Acme Billing" } }]
+// `promptTemplate` picks a template (utils/promptTemplates.js), `promptVariables`
+// override its defaults and `systemPrompt` is shorthand for the `persona` variable.
+// The `default` collection lives at data/docs.json + data/vector_store.json
+// and always exists; any other collection lives in data/collections/<id>/.
+
+import { readFileSync, existsSync } from 'fs';
+import { join } from 'path';
+import { createKnowledgeBase } from './knowledgeBase.js';
+import { validatePromptVariables } from './promptTemplates.js';
+
+export const DEFAULT_COLLECTION = 'default';
+
+const ID_PATTERN = /^[a-z0-9][a-z0-9_-]{0,63}$/;
+const MAX_SYSTEM_PROMPT_LENGTH = 4000;
+
+const collections = new Map(); // id -> { id, name, description, threshold, promptTemplate, promptVariables, kb }
+
+/**
+ * docs.json / vector_store.json / checkpoint paths of a collection.
+ */
+export function collectionPaths(dataDir, id = DEFAULT_COLLECTION) {
+    const dir = id === DEFAULT_COLLECTION ? dataDir : join(dataDir, 'collections', id);
+    return {
+        dir,
+        docsPath: join(dir, 'docs.json'),
+        vectorStorePath: join(dir, 'vector_store.json'),
+        checkpointPath: join(dir, 'vector_store.checkpoint.json'),
+    };
+}
+
+function validateCollection(entry, index) {
+    const where = `collections[${index}]`;
+    if (!entry || typeof entry !== 'object') throw new Error(`${where} must be an object.`);
+    if (typeof entry.id !== 'string' || !ID_PATTERN.test(entry.id)) {
+        throw new Error(`${where}.id must be lowercase letters, digits, "-" or "_" (max 64).`);
+    }
+    if (entry.threshold !== undefined && entry.threshold !== null && !(entry.threshold >= 0 && entry.threshold <= 1)) {
+        throw new Error(`${where}.threshold must be between 0 and 1.`);
+    }
+    if (entry.systemPrompt !== undefined && entry.systemPrompt !== null) {
+        if (typeof entry.systemPrompt !== 'string' || !entry.systemPrompt.trim()) {
+            throw new Error(`${where}.systemPrompt must be a non-empty string.`);
+        }
+        if (entry.systemPrompt.length > MAX_SYSTEM_PROMPT_LENGTH) {
+            throw new Error(`${where}.systemPrompt is too long (max ${MAX_SYSTEM_PROMPT_LENGTH} characters).`);
+        }
+    }
+    if (entry.promptTemplate !== undefined && entry.promptTemplate !== null && !ID_PATTERN.test(entry.promptTemplate)) {
+        throw new Error(`${where}.promptTemplate must be a template id (file name in the prompts directory).`);
+    }
+    const prompt = validatePromptVariables(entry.promptVariables);
+    if (prompt.error) throw new Error(`${where}.${prompt.error}`);
+    const systemPrompt = entry.systemPrompt?.trim();
+
+    return {
+        id: entry.id,
+        name: typeof entry.name === 'string' && entry.name.trim() ? entry.name.trim() : entry.id,
+        description: typeof entry.description === 'string' ? entry.description.trim() : '',
+        threshold: entry.threshold ?? null,
+        promptTemplate: entry.promptTemplate || null,
+        promptVariables: systemPrompt ? { ...prompt.variables, persona: systemPrompt } : prompt.variables,
+    };
+}
+
+/**
+ * Read the collection definitions. A missing file means just the default
+ * collection; the default is added if the file does not list it.
+ * Throws on malformed entries or duplicate ids.
+ */
+export function loadCollectionConfig(path) {
+    const entries = path && existsSync(path) ? JSON.parse(readFileSync(path, 'utf-8')) : [];
+    if (!Array.isArray(entries)) throw new Error('The collections file must contain a JSON array.');
+
+    const configs = entries.map(validateCollection);
+    const ids = new Set();
+    for (const { id } of configs) {
+        if (ids.has(id)) throw new Error(`Duplicate collection id "${id}".`);
+        ids.add(id);
+    }
+    if (!ids.has(DEFAULT_COLLECTION)) {
+        configs.unshift(validateCollection({ id: DEFAULT_COLLECTION, name: 'Knowledge base' }, 0));
+    }
+    return configs;
+}
+
+/**
+ * Load every collection's knowledge base.
+ * @param {Object} options
+ * @param {Object} options.provider   - Embedding provider (utils/providers)
+ * @param {string} options.dataDir    - backend/data
+ * @param {string} [options.configPath] - Collection definitions (default: <dataDir>/collections.json)
+ * @param {Object} [options.chunking] - Per-type chunking config (utils/chunking.js)
+ * @returns {Array} [{ id, documents, chunks, missing }] where `missing` means no
+ *          vector store was found (the collection starts empty)
+ */
+export function initCollections({ provider, dataDir, configPath, chunking }) {
+    const configs = loadCollectionConfig(configPath || join(dataDir, 'collections.json'));
+    collections.clear();
+
+    return configs.map((config) => {
+        const { docsPath, vectorStorePath } = collectionPaths(dataDir, config.id);
+        let kb;
+        try {
+            kb = createKnowledgeBase({ provider, docsPath, vectorStorePath, chunking });
+        } catch (err) {
+            throw new Error(`collection "${config.id}": ${err.message}`);
+        }
+        collections.set(config.id, { ...config, kb });
+        return {
+            id: config.id,
+            documents: kb.documentCount(),
+            chunks: kb.getVectorStore().length,
+            missing: !existsSync(vectorStorePath),
+        };
+    });
+}
+
+/**
+ * A collection ({ id, name, description, threshold, promptTemplate, promptVariables, kb }), or null.
+ */
+export function getCollection(id = DEFAULT_COLLECTION) {
+    return collections.get(id) || null;
+}
+
+/**
+ * All collections with their current document and chunk counts.
+ */
+export function listCollections() {
+    return [...collections.values()].map(({ id, name, description, kb }) => ({
+        id,
+        name,
+        description,
+        documents: kb.documentCount(),
+        chunks: kb.getVectorStore().length,
+    }));
+}
+
+/**
+ * Express middleware: resolve `?collection=` (default: the default collection)
+ * into `req.collection`, or 404.
+ */
+export function collectionFromQuery(req, res, next) {
+    const collection = getCollection(req.query.collection ?? DEFAULT_COLLECTION);
+    if (!collection) {
+        return res.status(404).json({ error: 'Collection not found' });
+    }
+    req.collection = collection;
+    next();
+}
@@ -0,0 +1,115 @@
+// utils/conversationSummary.js
+// Rolling conversation summaries. Once a session's unsummarized history grows
+// past `triggerTokens`, every message except the newest `recentMessages` is
+// folded into the session summary, so long chats keep their early context
+// while the prompt stays within budget. Generative providers write the
+// summary; otherwise (or if the call fails) a deterministic digest of the
+// questions and answers is used.
+
+import { estimateTokens, splitSentences, usageTokens } from './text.js';
+import { truncateToTokens } from './tokenBudget.js';
+import { getHistory, getSummary, applySummary } from './sessionStore.js';
+import { logger } from './logger.js';
+
+const log = logger.child({ component: 'summary' });
+
+export const SUMMARY_DEFAULTS = {
+    triggerTokens: 1200, // unsummarized history size that triggers folding
+    recentMessages: 6, // newest messages always kept verbatim
+    maxSummaryTokens: 400,
+};
+
+const inFlight = new Set(); // sessions currently being summarized
+
+/**
+ * Summary settings from the environment (SUMMARY_TRIGGER_TOKENS,
+ * SUMMARY_RECENT_MESSAGES, SUMMARY_MAX_TOKENS).
+ */
+export function summarySettingsFromEnv(env = process.env) {
+    const num = (v, d) => (v !== undefined && v !== '' && Number(v) > 0 ? Math.floor(Number(v)) : d);
+    return {
+        triggerTokens: num(env.SUMMARY_TRIGGER_TOKENS, SUMMARY_DEFAULTS.triggerTokens),
+        recentMessages: num(env.SUMMARY_RECENT_MESSAGES, SUMMARY_DEFAULTS.recentMessages),
+        maxSummaryTokens: num(env.SUMMARY_MAX_TOKENS, SUMMARY_DEFAULTS.maxSummaryTokens),
+    };
+}
+
+function formatMessages(messages) {
+    return messages.map((m) => `${m.role === 'user' ? 'User' : 'Assistant'}: ${m.content}`).join('\n');
+}
+
+/**
+ * Deterministic summary: one line per question and the first sentence of each
+ * answer, appended to the previous summary. Keeps the newest lines when too long.
+ */
+export function digestConversation(previousSummary, messages, maxTokens = SUMMARY_DEFAULTS.maxSummaryTokens) {
+    const lines = previousSummary ? previousSummary.split('\n') : [];
+    for (const m of messages) {
+        const text = m.role === 'user' ? m.content : splitSentences(m.content)[0] || '';
+        const line = `- ${m.role === 'user' ? 'User asked' : 'Assistant answered'}: ${truncateToTokens(text.replace(/\s+/g, ' '), 40)}`;
+        lines.push(line);
+    }
+
+    while (lines.length > 1 && estimateTokens(lines.join('\n')) > maxTokens) lines.shift();
+    return truncateToTokens(lines.join('\n'), maxTokens, { keepEnd: true });
+}
+
+async function llmSummary(previousSummary, messages, provider, maxTokens) {
+    const prompt = `Summarize this support conversation so the summary can replace these messages in future prompts. Keep the user's goals, details they shared (plan, device, account state), the questions asked and the answers given. Use short bullet points, at most ${Math.floor(maxTokens * 0.75)} words.
+
+---
+PREVIOUS SUMMARY:
+${previousSummary || 'None.'}
+
+---
+MESSAGES:
+${formatMessages(messages)}
+
+SUMMARY:`;
+
+    const { text, usage } = await provider.generate({ prompt, question: '', chunks: [] });
+    const tokensUsed = usageTokens(usage);
+    if (!text || !text.trim()) throw Object.assign(new Error('empty summary'), { tokensUsed });
+    return { summary: truncateToTokens(text.trim(), maxTokens, { keepEnd: true }), tokensUsed };
+}
+
+/**
+ * Fold a session's older messages into its summary when the unsummarized
+ * history exceeds the trigger. Safe to call after every reply; runs at most
+ * once per session at a time.
+ * @returns {Promise<{ updated: boolean, tokensUsed: number }>} updated is true if the summary
+ *          changed; tokensUsed counts the summary call (0 for the digest)
+ */
+export async function maybeSummarizeSession(sessionId, provider, settings = SUMMARY_DEFAULTS) {
+    if (inFlight.has(sessionId)) return { updated: false, tokensUsed: 0 };
+
+    const history = getHistory(sessionId);
+    const foldCount = history.length - settings.recentMessages;
+    if (foldCount <= 0 || estimateTokens(formatMessages(history)) <= settings.triggerTokens) {
+        return { updated: false, tokensUsed: 0 };
+    }
+
+    inFlight.add(sessionId);
+    try {
+        const toFold = history.slice(0, foldCount);
+        const previous = getSummary(sessionId);
+
+        let summary;
+        let tokensUsed = 0;
+        if (provider?.generative !== false) {
+            try {
+                ({ summary, tokensUsed } = await llmSummary(previous, toFold, provider, settings.maxSummaryTokens));
+            } catch (err) {
+                tokensUsed = err.tokensUsed || 0;
+                log.warn('Conversation summary failed, using digest', { sessionId, err });
+            }
+        }
+        summary = summary || digestConversation(previous, toFold, settings.maxSummaryTokens);
+
+        const applied = applySummary(sessionId, summary, foldCount);
+        if (applied) log.info('Messages folded into the summary', { sessionId, messages: foldCount, tokensUsed });
+        return { updated: applied, tokensUsed };
+    } finally {
+        inFlight.delete(sessionId);
+    }
+}
@@ -0,0 +1,151 @@
+// utils/errors.js
+// Typed provider errors and their HTTP mapping. Raw provider failures (SDK
+// exceptions, HTTP errors, network errors) are converted once by
+// toProviderError; callers branch on the class (or `retryable`) instead of
+// searching error messages.
+
+/**
+ * Base class: `status` is the HTTP status the API answers with, `retryable`
+ * whether the same call may succeed if repeated, `retryAfterMs` the wait the
+ * provider asked for (null if it did not say).
+ */
+export class ProviderError extends Error {
+    constructor(message, { status = 502, retryable = false, retryAfterMs = null, cause } = {}) {
+        super(message, cause ? { cause } : undefined);
+        this.name = this.constructor.name;
+        this.status = status;
+        this.retryable = retryable;
+        this.retryAfterMs = retryAfterMs;
+    }
+
+    // Client-safe message
+    get clientMessage() {
+        return 'The AI provider returned an error. Please try again.';
+    }
+}
+
+export class AuthError extends ProviderError {
+    constructor(message, options = {}) {
+        super(message, { ...options, status: 401, retryable: false });
+    }
+
+    get clientMessage() {
+        return 'Invalid API key. Check your provider credentials.';
+    }
+}
+
+export class RateLimitError extends ProviderError {
+    constructor(message, options = {}) {
+        super(message, { ...options, status: 429, retryable: true });
+    }
+
+    get clientMessage() {
+        return 'Rate limit exceeded. Please try again later.';
+    }
+}
+
+export class TimeoutError extends ProviderError {
+    constructor(message, options = {}) {
+        super(message, { ...options, status: 504, retryable: true });
+    }
+
+    get clientMessage() {
+        return 'Request to AI provider timed out. Please retry.';
+    }
+}
+
+export class SafetyBlockError extends ProviderError {
+    constructor(message, options = {}) {
+        super(message, { ...options, status: 422, retryable: false });
+    }
+
+    get clientMessage() {
+        return "The AI provider's safety filters blocked this request. Please rephrase your question.";
+    }
+}
+
+export class UpstreamError extends ProviderError {
+    constructor(message, { retryable = true, ...options } = {}) {
+        super(message, { ...options, status: 502, retryable });
+    }
+
+    get clientMessage() {
+        return 'The AI provider is unavailable. Please try again.';
+    }
+}
+
+// Raised without calling the provider while its circuit breaker is open
+export class CircuitOpenError extends ProviderError {
+    constructor(message, options = {}) {
+        super(message, { ...options, status: 503, retryable: false });
+    }
+
+    get clientMessage() {
+        return 'The AI provider is temporarily unavailable. Please try again shortly.';
+    }
+}
+
+const SAFETY_PATTERN = /\b(SAFETY|PROHIBITED_CONTENT|BLOCKLIST|SPII|RECITATION)\b|response was blocked|candidate was blocked|content_filter/i;
+const AUTH_PATTERN = /API key|unauthori[sz]ed|permission denied|invalid authentication/i;
+const RATE_PATTERN = /quota|rate limit|RESOURCE_EXHAUSTED|too many requests/i;
+const TIMEOUT_PATTERN = /timeout|timed out|ETIMEDOUT|deadline exceeded/i;
+const NETWORK_PATTERN = /ECONNRESET|ECONNREFUSED|EAI_AGAIN|ENOTFOUND|fetch failed|socket hang up|overloaded|unavailable/i;
+
+// HTTP status of a raw error: a `status` field, or "[429 Too Many Requests]" (Gemini) / "429 ..." (openai provider)
+function statusOf(err) {
+    const status = err?.status ?? err?.statusCode;
+    if (Number.isInteger(status)) return status;
+    const match = (err?.message || '').match(/^\[?(\d{3})\b|\[(\d{3}) [A-Za-z ]+\]/);
+    return match ? Number(match[1] || match[2]) : null;
+}
+
+// Retry delay requested by the provider (Gemini RetryInfo "37s", or a retryAfter in seconds)
+function retryAfterOf(err) {
+    const info = (err?.errorDetails || []).find((d) => typeof d?.retryDelay === 'string');
+    if (info) return Math.round(parseFloat(info.retryDelay) * 1000) || null;
+    if (Number.isFinite(err?.retryAfter)) return err.retryAfter * 1000;
+    return null;
+}
+
+/**
+ * Convert any error from a provider call into a ProviderError subclass
+ * (errors that already are one are returned unchanged).
+ * @param {Error}  err
+ * @param {string} [context] - Prefix for the message, e.g. 'LLM API'
+ */
+export function toProviderError(err, context = 'Provider') {
+    if (err instanceof ProviderError) return err;
+
+    const detail = err?.message || String(err);
+    const message = `${context} error: ${detail}`;
+    const status = statusOf(err);
+    const options = { cause: err };
+
+    if (SAFETY_PATTERN.test(detail)) return new SafetyBlockError(message, options);
+    if (status === 401 || status === 403 || AUTH_PATTERN.test(detail)) return new AuthError(message, options);
+    if (status === 429 || RATE_PATTERN.test(detail)) {
+        return new RateLimitError(message, { ...options, retryAfterMs: retryAfterOf(err) });
+    }
+    if (status === 408 || status === 504 || err?.name === 'AbortError' || TIMEOUT_PATTERN.test(detail)) {
+        return new TimeoutError(message, options);
+    }
+    if ((status !== null && status >= 500) || NETWORK_PATTERN.test(detail) || NETWORK_PATTERN.test(err?.code || '')) {
+        return new UpstreamError(message, options);
+    }
+    // Other 4xx (bad request, unknown model, ...) will not succeed on a retry
+    return new UpstreamError(message, { ...options, retryable: false });
+}
+
+/**
+ * Map a pipeline error to an HTTP status and client-safe message. Errors that
+ * are not provider errors are internal (500).
+ * @returns {{ status: number, error: string, retryAfter?: number }} retryAfter in seconds, when known
+ */
+export function classifyPipelineError(err) {
+    if (!(err instanceof ProviderError)) {
+        return { status: 500, error: 'An internal error occurred. Please try again.' };
+    }
+    const classified = { status: err.status, error: err.clientMessage };
+    if (err.retryAfterMs) classified.retryAfter = Math.ceil(err.retryAfterMs / 1000);
+    return classified;
+}
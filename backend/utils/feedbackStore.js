@@ -0,0 +1,129 @@
+// utils/feedbackStore.js
+// Thumbs up/down (plus an optional comment) on assistant replies, kept in an
+// append-only JSONL file. Changing a rating appends a new line; on load the
+// last line per message wins. Each record carries what is needed to trace a
+// bad answer back to its documents: the question, the reply, the chunks in
+// the prompt with their scores and the prompt version.
+
+import { existsSync, readFileSync, mkdirSync } from 'fs';
+import { appendFile } from 'fs/promises';
+import { dirname } from 'path';
+import { logger } from './logger.js';
+
+const log = logger.child({ component: 'feedback' });
+
+export const FEEDBACK_RATINGS = ['up', 'down'];
+
+const CSV_COLUMNS = [
+    'updatedAt', 'rating', 'comment', 'collection', 'question', 'reply', 'docIds', 'chunkIds', 'scores',
+    'promptVersion', 'groundedness', 'fallback', 'sessionId', 'messageId',
+];
+
+const records = new Map(); // messageId -> latest record
+let filePath = null; // null = in memory only
+let writing = Promise.resolve();
+
+/**
+ * Load feedback from `path` (created on first write). Without a path,
+ * feedback is kept in memory only.
+ * @returns {number} Number of rated messages loaded
+ */
+export function initFeedbackStore({ path } = {}) {
+    records.clear();
+    filePath = path || null;
+    if (!filePath || !existsSync(filePath)) return 0;
+
+    const lines = readFileSync(filePath, 'utf-8').split('\n');
+    lines.forEach((line, i) => {
+        if (!line.trim()) return;
+        try {
+            const record = JSON.parse(line);
+            records.set(record.messageId, record);
+        } catch {
+            log.warn('Skipping malformed feedback line', { line: i + 1, file: filePath });
+        }
+    });
+    return records.size;
+}
+
+/**
+ * Store (or replace) the rating for a reply.
+ * @param {Object} entry - { sessionId, messageId, rating, comment, collection, question, reply, chunks,
+ *                           promptVersion, groundedness, fallback }
+ * @returns {Object} The stored record (with createdAt / updatedAt)
+ */
+export function recordFeedback(entry) {
+    const now = new Date().toISOString();
+    const record = { ...entry, createdAt: records.get(entry.messageId)?.createdAt || now, updatedAt: now };
+    records.set(record.messageId, record);
+
+    if (filePath) {
+        const line = `${JSON.stringify(record)}\n`;
+        writing = writing
+            .then(() => {
+                mkdirSync(dirname(filePath), { recursive: true });
+                return appendFile(filePath, line);
+            })
+            .catch((err) => log.error('Failed to persist feedback', { err }));
+    }
+    return record;
+}
+
+/**
+ * Latest feedback per reply, oldest first.
+ * @param {Object} [filter]
+ * @param {string} [filter.rating] - 'up' | 'down'
+ * @param {string} [filter.since]  - ISO date; only feedback updated at or after it
+ */
+export function listFeedback({ rating, since } = {}) {
+    return [...records.values()]
+        .filter((r) => !rating || r.rating === rating)
+        .filter((r) => !since || r.updatedAt >= since)
+        .sort((a, b) => a.updatedAt.localeCompare(b.updatedAt));
+}
+
+/**
+ * Number of rated replies by rating.
+ * @param {Object} [filter]
+ * @param {string} [filter.collection] - Only feedback on replies from this collection
+ * @param {string} [filter.since]      - ISO date; only feedback updated at or after it
+ */
+export function getFeedbackCounts({ collection, since } = {}) {
+    const counts = { up: 0, down: 0 };
+    for (const record of records.values()) {
+        if (collection !== undefined && record.collection !== collection) continue;
+        if (since && record.updatedAt < since) continue;
+        counts[record.rating]++;
+    }
+    return counts;
+}
+
+function csvCell(value) {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Records as CSV, one row per reply. Chunk ids, doc ids and scores are
+ * joined with ';' in prompt order.
+ */
+export function feedbackToCsv(list) {
+    const rows = list.map((r) => {
+        const chunks = r.chunks || [];
+        const row = {
+            ...r,
+            docIds: chunks.map((c) => c.docId).join(';'),
+            chunkIds: chunks.map((c) => c.id).join(';'),
+            scores: chunks.map((c) => c.score).join(';'),
+        };
+        return CSV_COLUMNS.map((column) => csvCell(row[column])).join(',');
+    });
+    return [CSV_COLUMNS.join(','), ...rows].join('\n') + '\n';
+}
+
+/**
+ * Records as JSONL, one reply per line.
+ */
+export function feedbackToJsonl(list) {
+    return list.map((r) => JSON.stringify(r)).join('\n') + (list.length ? '\n' : '');
+}
@@ -0,0 +1,55 @@
+// utils/fileStore.js
+// Crash-safe persistence: write to a temp file, then rename over the target.
+// rename() is atomic on the same filesystem, so readers never see a half-written file.
+
+import { writeFile, rename, unlink } from 'fs/promises';
+import { writeFileSync, renameSync, unlinkSync } from 'fs';
+
+function tmpPathFor(filePath) {
+    return `${filePath}.${process.pid}.${Date.now()}.tmp`;
+}
+
+/**
+ * Atomically write a string or Buffer to `filePath`.
+ */
+export async function writeFileAtomic(filePath, data) {
+    const tmpPath = tmpPathFor(filePath);
+    try {
+        await writeFile(tmpPath, data);
+        await rename(tmpPath, filePath);
+    } catch (err) {
+        await unlink(tmpPath).catch(() => {});
+        throw err;
+    }
+}
+
+/**
+ * Synchronous variant for scripts.
+ */
+export function writeFileAtomicSync(filePath, data) {
+    const tmpPath = tmpPathFor(filePath);
+    try {
+        writeFileSync(tmpPath, data);
+        renameSync(tmpPath, filePath);
+    } catch (err) {
+        try { unlinkSync(tmpPath); } catch { /* already gone */ }
+        throw err;
+    }
+}
+
+/**
+ * Atomically write `data` as JSON to `filePath`.
+ * @param {string}  filePath
+ * @param {*}       data
+ * @param {number}  [indent] - JSON indentation (0 for compact)
+ */
+export async function writeJsonAtomic(filePath, data, indent = 2) {
+    await writeFileAtomic(filePath, JSON.stringify(data, null, indent));
+}
+
+/**
+ * Synchronous variant for scripts.
+ */
+export function writeJsonAtomicSync(filePath, data, indent = 2) {
+    writeFileAtomicSync(filePath, JSON.stringify(data, null, indent));
+}
@@ -0,0 +1,184 @@
+// utils/groundedness.js
+// Post-generation faithfulness check. The reply is split into claims (one per
+// sentence or list item) and each claim is checked against the chunks that
+// were in the prompt:
+//   lexical   — share of the claim's terms found in a single chunk
+//   embedding — cosine similarity between the claim and a chunk's embedding
+//   llm       — optional judge that sees the context and the numbered claims
+// A claim counts as supported if any check passes (the judge, when it runs,
+// has the final word). `score` is the share of supported claims.
+
+import { tokenize, splitSentences, usageTokens } from './text.js';
+import { dotProduct, normalizeVector } from './vector_math.js';
+import { logger } from './logger.js';
+
+export const GROUNDEDNESS_MODES = ['off', 'heuristic', 'llm'];
+
+export const GROUNDEDNESS_DEFAULTS = {
+    mode: 'heuristic',
+    threshold: 0.5, // minimum score in strict mode
+    strict: false, // replace answers below the threshold with the fallback reply
+    minOverlap: 0.6, // lexical: share of claim terms found in one chunk
+    minSimilarity: null, // embedding: claim/chunk cosine; null = the retrieval threshold
+};
+
+const MIN_CLAIM_TERMS = 3; // shorter sentences ("Here's how:") are not checked
+const REFUSAL = /I don't have enough information in my knowledge base/i;
+const CITATION_MARKERS = /\s*\[\d+(?:\s*,\s*\d+)*\]/g;
+
+/**
+ * Groundedness settings from the environment (GROUNDEDNESS_CHECK,
+ * GROUNDEDNESS_THRESHOLD, GROUNDEDNESS_STRICT, GROUNDEDNESS_MIN_OVERLAP,
+ * GROUNDEDNESS_MIN_SIMILARITY). Throws on invalid values.
+ */
+export function groundednessSettingsFromEnv(env = process.env) {
+    const num = (v, d) => (v !== undefined && v !== '' ? Number(v) : d);
+    const settings = {
+        mode: (env.GROUNDEDNESS_CHECK || GROUNDEDNESS_DEFAULTS.mode).toLowerCase(),
+        threshold: num(env.GROUNDEDNESS_THRESHOLD, GROUNDEDNESS_DEFAULTS.threshold),
+        strict: env.GROUNDEDNESS_STRICT === 'true',
+        minOverlap: num(env.GROUNDEDNESS_MIN_OVERLAP, GROUNDEDNESS_DEFAULTS.minOverlap),
+        minSimilarity: num(env.GROUNDEDNESS_MIN_SIMILARITY, GROUNDEDNESS_DEFAULTS.minSimilarity),
+    };
+
+    if (!GROUNDEDNESS_MODES.includes(settings.mode)) {
+        throw new Error(`GROUNDEDNESS_CHECK must be one of: ${GROUNDEDNESS_MODES.join(', ')}.`);
+    }
+    for (const key of ['threshold', 'minOverlap']) {
+        if (!(settings[key] >= 0 && settings[key] <= 1)) {
+            throw new Error(`Groundedness ${key} must be between 0 and 1.`);
+        }
+    }
+    if (settings.minSimilarity !== null && !(settings.minSimilarity >= 0 && settings.minSimilarity <= 1)) {
+        throw new Error('GROUNDEDNESS_MIN_SIMILARITY must be between 0 and 1.');
+    }
+    return settings;
+}
+
+/**
+ * Checkable claims of a reply: sentences and list items without citation
+ * markers or bullets. Refusals and very short sentences are skipped.
+ * @returns {string[]}
+ */
+export function extractClaims(reply) {
+    return reply
+        .split('\n')
+        .flatMap((line) => splitSentences(line.replace(/^\s*(?:[-*•]|\d+[.)])\s+/, '')))
+        .map((sentence) => sentence.replace(CITATION_MARKERS, '').trim())
+        .filter((claim) => !REFUSAL.test(claim) && new Set(tokenize(claim)).size >= MIN_CLAIM_TERMS);
+}
+
+function lexicalSupport(claim, chunkTerms) {
+    const terms = [...new Set(tokenize(claim))];
+    let best = { overlap: 0, chunk: null };
+    chunkTerms.forEach((set, i) => {
+        const overlap = terms.filter((t) => set.has(t)).length / terms.length;
+        if (overlap > best.overlap) best = { overlap, chunk: i };
+    });
+    return best;
+}
+
+async function embeddingSupport(claim, chunkEmbeddings, provider) {
+    const claimUnit = normalizeVector(await provider.embed(claim));
+    let best = { similarity: 0, chunk: null };
+    chunkEmbeddings.forEach((embedding, i) => {
+        if (!embedding || embedding.length !== claimUnit.length) return;
+        const similarity = dotProduct(claimUnit, embedding);
+        if (similarity > best.similarity) best = { similarity, chunk: i };
+    });
+    return best;
+}
+
+async function llmJudge(claims, chunks, provider) {
+    const context = chunks.map((c, i) => `[${i + 1}] ${c.title}\n${c.content}`).join('\n\n');
+    const prompt = `You check whether an assistant's statements are supported by the context. A statement is SUPPORTED only if the context states or directly implies it; otherwise it is UNSUPPORTED.
+
+---
+CONTEXT:
+${context}
+
+---
+STATEMENTS:
+${claims.map((c, i) => `${i + 1}. ${c}`).join('\n')}
+
+Answer with one line per statement in the form "<number>: SUPPORTED" or "<number>: UNSUPPORTED" and nothing else.`;
+
+    const { text, usage } = await provider.generate({ prompt, question: '', chunks: [] });
+    const tokensUsed = usageTokens(usage);
+    const verdicts = new Map();
+    for (const match of (text || '').matchAll(/(\d+)\s*[:.)-]\s*(UNSUPPORTED|SUPPORTED)/gi)) {
+        verdicts.set(parseInt(match[1], 10) - 1, match[2].toUpperCase() === 'SUPPORTED');
+    }
+    if (verdicts.size === 0) throw Object.assign(new Error('judge returned no verdicts'), { tokensUsed });
+    return { verdicts, tokensUsed };
+}
+
+/**
+ * Check how well a reply is supported by the chunks in its prompt.
+ * @param {string} reply
+ * @param {Array}  chunks - Prompt chunks ({ title, content })
+ * @param {Object} options
+ * @param {Object} options.provider          - Used for claim embeddings and the LLM judge
+ * @param {Array}  [options.chunkEmbeddings] - Unit-length embedding per chunk (null where unknown)
+ * @param {number} options.minSimilarity     - Cosine a claim needs with one chunk
+ * @param {Object} [options.settings]        - GROUNDEDNESS_DEFAULTS overrides
+ * @param {Object} [options.log]             - Request logger (utils/logger.js)
+ * @returns {Promise<{ score: number, method: string, claims: Array, unsupported: string[], tokensUsed: number }>}
+ *          claims = [{ text, supported, overlap, similarity, source }] (source = 1-based chunk number);
+ *          tokensUsed counts the judge call (0 without one)
+ */
+export async function checkGroundedness(reply, chunks, { provider, chunkEmbeddings = [], minSimilarity, settings = {}, log = logger }) {
+    const { mode, minOverlap } = { ...GROUNDEDNESS_DEFAULTS, ...settings };
+    const chunkTerms = chunks.map((c) => new Set(tokenize(`${c.title} ${c.content}`)));
+    const canEmbed = chunkEmbeddings.some(Boolean);
+
+    const claims = [];
+    for (const text of extractClaims(reply)) {
+        const lexical = lexicalSupport(text, chunkTerms);
+        const claim = { text, supported: lexical.overlap >= minOverlap, overlap: lexical.overlap, similarity: null, source: lexical.chunk };
+
+        if (!claim.supported && canEmbed) {
+            try {
+                const semantic = await embeddingSupport(text, chunkEmbeddings, provider);
+                claim.similarity = semantic.similarity;
+                if (semantic.similarity >= minSimilarity) {
+                    claim.supported = true;
+                    claim.source = semantic.chunk;
+                }
+            } catch (err) {
+                log.warn('Groundedness: claim embedding failed', { err });
+            }
+        }
+        claims.push(claim);
+    }
+
+    let method = 'heuristic';
+    let tokensUsed = 0;
+    if (mode === 'llm' && claims.length > 0 && provider.generative !== false) {
+        try {
+            const judged = await llmJudge(claims.map((c) => c.text), chunks, provider);
+            tokensUsed = judged.tokensUsed;
+            judged.verdicts.forEach((supported, i) => {
+                if (claims[i]) claims[i].supported = supported;
+            });
+            method = 'llm';
+        } catch (err) {
+            tokensUsed = err.tokensUsed || 0;
+            log.warn('Groundedness judge failed, using heuristic checks', { err });
+        }
+    }
+
+    const supported = claims.filter((c) => c.supported).length;
+    return {
+        score: claims.length > 0 ? supported / claims.length : 1,
+        method,
+        claims: claims.map((c) => ({
+            ...c,
+            overlap: parseFloat(c.overlap.toFixed(4)),
+            similarity: c.similarity === null ? null : parseFloat(c.similarity.toFixed(4)),
+            source: c.source === null ? null : c.source + 1,
+        })),
+        unsupported: claims.filter((c) => !c.supported).map((c) => c.text),
+        tokensUsed,
+    };
+}
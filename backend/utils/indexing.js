@@ -0,0 +1,38 @@
+// utils/indexing.js
+// Content hashing and embedding reuse for incremental indexing
+
+import { createHash } from 'crypto';
+
+// The original ingest script only ever used this model and did not record it
+const LEGACY_EMBEDDING_MODEL = 'gemini-embedding-001';
+
+/**
+ * SHA-256 of a chunk's text.
+ */
+export function hashContent(text) {
+    return createHash('sha256').update(text).digest('hex');
+}
+
+/**
+ * Index existing entries by model + content hash so unchanged chunks can
+ * reuse their embeddings. Entries written before hashing was added are
+ * hashed on the fly.
+ * @param {Array[]} stores - One or more arrays of vector store entries
+ * @returns {Map<string, number[]>} key -> embedding
+ */
+export function buildEmbeddingCache(...stores) {
+    const cache = new Map();
+    for (const store of stores) {
+        for (const entry of store) {
+            if (!Array.isArray(entry.embedding) && !ArrayBuffer.isView(entry.embedding)) continue;
+            const model = entry.embeddingModel || LEGACY_EMBEDDING_MODEL;
+            const hash = entry.contentHash || hashContent(entry.content);
+            cache.set(cacheKey(model, hash), entry.embedding);
+        }
+    }
+    return cache;
+}
+
+export function cacheKey(embeddingModel, contentHash) {
+    return `${embeddingModel}:${contentHash}`;
+}
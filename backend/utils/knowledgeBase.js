@@ -0,0 +1,176 @@
+// utils/knowledgeBase.js
+// A knowledge base owns the documents (docs.json) and their embedded chunks
+// (vector_store.json plus its binary vector sidecar). Each collection
+// (utils/collections.js) has its own.
+// Document changes re-chunk and re-embed only the affected document, then swap
+// a new vectorStore array in — requests already in flight keep the old one.
+
+import { readFileSync, existsSync } from 'fs';
+import { mkdir } from 'fs/promises';
+import { dirname } from 'path';
+import { chunkDocument, DEFAULT_CHUNKING } from './chunking.js';
+import { writeJsonAtomic } from './fileStore.js';
+import { loadVectorStore, saveVectorStore } from './vectorStoreFile.js';
+import { normalizeVector } from './vector_math.js';
+import { hashContent, buildEmbeddingCache, cacheKey } from './indexing.js';
+import { shareAnnTraining } from './annIndex.js';
+
+/**
+ * Load docs.json and vector_store.json into memory.
+ * @param {Object} options
+ * @param {Object} options.provider        - Embedding provider (utils/providers)
+ * @param {string} options.docsPath        - Path to docs.json
+ * @param {string} options.vectorStorePath - Path to vector_store.json (a missing file is an empty store)
+ * @param {Object} [options.chunking]      - Per-type chunking config (utils/chunking.js)
+ */
+export function createKnowledgeBase({ provider, docsPath, vectorStorePath, chunking = DEFAULT_CHUNKING }) {
+    let documents = existsSync(docsPath) ? JSON.parse(readFileSync(docsPath, 'utf-8')) : [];
+    let vectorStore = existsSync(vectorStorePath) ? loadVectorStore(vectorStorePath) : [];
+    let version = 0; // bumped on every change; scopes cached answers (utils/cache.js)
+
+    // Mutations run one at a time so concurrent edits can't interleave file writes
+    let queue = Promise.resolve();
+    function serialize(task) {
+        const run = queue.then(task);
+        queue = run.catch(() => {});
+        return run;
+    }
+
+    function summarize(doc) {
+        return {
+            id: doc.id,
+            title: doc.title,
+            characters: doc.content.length,
+            metadata: doc.metadata || {},
+            chunks: vectorStore.filter((c) => c.docId === doc.id).length,
+            updatedAt: doc.updatedAt || null,
+        };
+    }
+
+    function documentExists(id) {
+        return documents.some((d) => d.id === id);
+    }
+
+    /**
+     * Chunk and embed a document, reusing embeddings of its unchanged chunks.
+     */
+    async function embedDocument(doc) {
+        const cache = buildEmbeddingCache(vectorStore.filter((c) => c.docId === doc.id));
+        const entries = [];
+        for (const chunk of chunkDocument(doc, chunking)) {
+            const contentHash = hashContent(chunk.content);
+            const key = cacheKey(provider.embeddingModel, contentHash);
+            // The server's provider retries transient failures itself (utils/providers/resilient.js)
+            const embedding = cache.get(key) || normalizeVector(await provider.embed(chunk.content));
+            entries.push({ ...chunk, contentHash, embeddingModel: provider.embeddingModel, embedding });
+        }
+        return entries;
+    }
+
+    async function commit(nextDocuments, nextVectorStore) {
+        await mkdir(dirname(vectorStorePath), { recursive: true });
+        await saveVectorStore(vectorStorePath, nextVectorStore);
+        await writeJsonAtomic(docsPath, nextDocuments, 4);
+        documents = nextDocuments;
+        shareAnnTraining(nextVectorStore, vectorStore);
+        vectorStore = nextVectorStore;
+        version++;
+    }
+
+    return {
+        /**
+         * Current vector store. Treat as read-only; it is replaced, never mutated.
+         */
+        getVectorStore() {
+            return vectorStore;
+        },
+
+        /**
+         * Number of changes since the knowledge base was loaded.
+         */
+        getVersion() {
+            return version;
+        },
+
+        documentCount() {
+            return documents.length;
+        },
+
+        /**
+         * List all documents (without content).
+         */
+        listDocuments() {
+            return documents.map(summarize);
+        },
+
+        /**
+         * Get one document with its content, or null.
+         */
+        getDocument(id) {
+            const doc = documents.find((d) => d.id === id);
+            return doc ? { ...doc, chunks: summarize(doc).chunks } : null;
+        },
+
+        /**
+         * Chunks of a document in order (without embeddings), or null if it does not exist.
+         */
+        getDocumentChunks(id) {
+            if (!documentExists(id)) return null;
+            return vectorStore
+                .filter((c) => c.docId === id)
+                .sort((a, b) => (a.chunkIndex ?? 0) - (b.chunkIndex ?? 0))
+                .map(describeChunk);
+        },
+
+        /**
+         * One chunk (without its embedding), or null.
+         */
+        getChunk(chunkId) {
+            const chunk = vectorStore.find((c) => c.id === chunkId);
+            return chunk ? describeChunk(chunk) : null;
+        },
+
+        documentExists,
+
+        /**
+         * Create or replace a document and re-index only its chunks.
+         * Embedding happens before anything is swapped, so a failure leaves the
+         * knowledge base untouched.
+         * @param {{ id: string, title: string, content: string, metadata?: Object }} doc
+         * @returns {Promise<Object>} The document summary
+         */
+        upsertDocument({ id, title, content, metadata = {} }) {
+            return serialize(async () => {
+                const doc = { id, title, content, metadata, updatedAt: new Date().toISOString() };
+                const entries = await embedDocument(doc);
+
+                const nextDocuments = documentExists(id)
+                    ? documents.map((d) => (d.id === id ? doc : d))
+                    : [...documents, doc];
+                const nextVectorStore = [...vectorStore.filter((c) => c.docId !== id), ...entries];
+
+                await commit(nextDocuments, nextVectorStore);
+                return summarize(doc);
+            });
+        },
+
+        /**
+         * Remove a document and its chunks. Resolves false if it did not exist.
+         */
+        deleteDocument(id) {
+            return serialize(async () => {
+                if (!documentExists(id)) return false;
+                await commit(
+                    documents.filter((d) => d.id !== id),
+                    vectorStore.filter((c) => c.docId !== id)
+                );
+                return true;
+            });
+        },
+    };
+}
+
+// Chunk as shown to admins: everything but the embedding
+function describeChunk({ embedding, ...chunk }) {
+    return chunk;
+}
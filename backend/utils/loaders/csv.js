@@ -0,0 +1,80 @@
+// utils/loaders/csv.js
+// FAQ spreadsheets (CSV) → one section per row, with the row number as location
+
+/**
+ * RFC 4180 CSV parser (quoted fields, escaped quotes, embedded newlines).
+ * @returns {string[][]}
+ */
+export function parseCsvRows(raw) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+    const text = raw.replace(/^\uFEFF/, '');
+
+    for (let i = 0; i < text.length; i++) {
+        const ch = text[i];
+        if (inQuotes) {
+            if (ch === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (ch === '"') {
+                inQuotes = false;
+            } else {
+                field += ch;
+            }
+        } else if (ch === '"') {
+            inQuotes = true;
+        } else if (ch === ',') {
+            row.push(field);
+            field = '';
+        } else if (ch === '\n' || ch === '\r') {
+            if (ch === '\r' && text[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += ch;
+        }
+    }
+    if (field || row.length) {
+        row.push(field);
+        rows.push(row);
+    }
+
+    return rows.filter((r) => r.some((cell) => cell.trim()));
+}
+
+const QUESTION_COLUMNS = ['question', 'q', 'title', 'faq'];
+const ANSWER_COLUMNS = ['answer', 'a', 'response', 'content', 'body'];
+
+/**
+ * @param {string} raw - File contents
+ * @param {string} fallbackTitle
+ * @returns {{ title: string, sections: Array<{ text: string, location: Object }> }}
+ */
+export function parseCsv(raw, fallbackTitle) {
+    const [header = [], ...rows] = parseCsvRows(raw);
+    const columns = header.map((h) => h.trim());
+    const lower = columns.map((h) => h.toLowerCase());
+    const qIdx = lower.findIndex((h) => QUESTION_COLUMNS.includes(h));
+    const aIdx = lower.findIndex((h) => ANSWER_COLUMNS.includes(h));
+
+    const sections = rows.map((cells, i) => {
+        // Row numbers are 1-based spreadsheet rows, counting the header
+        const location = { row: i + 2 };
+
+        if (qIdx !== -1 && aIdx !== -1) {
+            const question = (cells[qIdx] || '').trim();
+            return { text: `${question}\n${(cells[aIdx] || '').trim()}`, location: { ...location, heading: question } };
+        }
+        const text = columns
+            .map((col, c) => ((cells[c] || '').trim() ? `${col}: ${cells[c].trim()}` : ''))
+            .filter(Boolean)
+            .join('\n');
+        return { text, location };
+    });
+
+    return { title: fallbackTitle, sections: sections.filter((s) => s.text.trim()) };
+}
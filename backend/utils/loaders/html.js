@@ -0,0 +1,76 @@
+// utils/loaders/html.js
+// HTML help-center pages → sections split on <h1>–<h6>, boilerplate removed
+
+import { headingLocation } from './markdown.js';
+
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ', mdash: '—', ndash: '–', hellip: '…' };
+
+function decodeEntities(text) {
+    return text.replace(/&(#x[0-9a-f]+|#\d+|\w+);/gi, (whole, code) => {
+        if (code[0] === '#') {
+            const n = code[1].toLowerCase() === 'x' ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10);
+            return Number.isFinite(n) ? String.fromCodePoint(n) : whole;
+        }
+        return ENTITIES[code.toLowerCase()] ?? whole;
+    });
+}
+
+/**
+ * Convert an HTML fragment to plain text, keeping block boundaries as newlines.
+ */
+export function htmlToText(html) {
+    return decodeEntities(
+        html
+            .replace(/<br\s*\/?>/gi, '\n')
+            .replace(/<li[^>]*>/gi, '\n- ')
+            .replace(/<\/(p|div|tr|section|article|ul|ol|table|pre|blockquote)>/gi, '\n')
+            .replace(/<[^>]+>/g, '')
+    )
+        .replace(/[ \t]+/g, ' ')
+        .replace(/ *\n */g, '\n')
+        .replace(/\n{3,}/g, '\n\n')
+        .trim();
+}
+
+/**
+ * @param {string} raw - File contents
+ * @param {string} fallbackTitle
+ * @returns {{ title: string, sections: Array<{ text: string, location: Object }> }}
+ */
+export function parseHtml(raw, fallbackTitle) {
+    const titleTag = raw.match(/<title[^>]*>([\s\S]*?)<\/title>/i);
+    const bodyMatch = raw.match(/<body[^>]*>([\s\S]*)<\/body>/i);
+
+    // Prefer the main content region and drop page chrome
+    let body = bodyMatch ? bodyMatch[1] : raw;
+    const main = body.match(/<(main|article)[^>]*>([\s\S]*?)<\/\1>/i);
+    if (main) body = main[2];
+    body = body
+        .replace(/<!--[\s\S]*?-->/g, '')
+        .replace(/<(script|style|noscript|nav|header|footer|aside|form|svg)[^>]*>[\s\S]*?<\/\1>/gi, '');
+
+    const sections = [];
+    const headingStack = [];
+    let title = titleTag ? htmlToText(titleTag[1]) : '';
+    const headingRe = /<h([1-6])[^>]*>([\s\S]*?)<\/h\1>/gi;
+    let cursor = 0;
+    let match;
+
+    const flush = (html) => {
+        const text = htmlToText(html);
+        if (text) sections.push({ text, location: headingLocation(headingStack) });
+    };
+
+    while ((match = headingRe.exec(body)) !== null) {
+        flush(body.slice(cursor, match.index));
+        const level = Number(match[1]);
+        const text = htmlToText(match[2]);
+        if (level === 1 && !title) title = text;
+        while (headingStack.length && headingStack[headingStack.length - 1].level >= level) headingStack.pop();
+        headingStack.push({ level, text });
+        cursor = headingRe.lastIndex;
+    }
+    flush(body.slice(cursor));
+
+    return { title: title || fallbackTitle, sections };
+}
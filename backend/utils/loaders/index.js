@@ -0,0 +1,126 @@
+// utils/loaders/index.js
+// Turns files and directories into documents for chunking and embedding.
+// Every loader returns { title, sections: [{ text, location }] } where
+// location is e.g. { heading: 'Billing > Refunds' }, { page: 3 } or { row: 12 },
+// and optionally `metadata` (Markdown front matter; docs.json entries carry their own).
+
+import { readFile, readdir, stat } from 'fs/promises';
+import { basename, extname, join, relative, sep } from 'path';
+
+import { parseMarkdown } from './markdown.js';
+import { parseHtml } from './html.js';
+import { parseCsv } from './csv.js';
+import { validateMetadata } from '../metadataFilter.js';
+
+const LOADERS = {
+    '.md': { type: 'markdown', parse: (buf, title) => parseMarkdown(buf.toString('utf-8'), title) },
+    '.markdown': { type: 'markdown', parse: (buf, title) => parseMarkdown(buf.toString('utf-8'), title) },
+    '.html': { type: 'html', parse: (buf, title) => parseHtml(buf.toString('utf-8'), title) },
+    '.htm': { type: 'html', parse: (buf, title) => parseHtml(buf.toString('utf-8'), title) },
+    '.csv': { type: 'csv', parse: (buf, title) => parseCsv(buf.toString('utf-8'), title) },
+    '.txt': { type: 'text', parse: (buf, title) => ({ title, sections: [{ text: buf.toString('utf-8').trim(), location: {} }] }) },
+    // pdf-parse is only loaded when a PDF is actually ingested
+    '.pdf': { type: 'pdf', parse: async (buf, title) => (await import('./pdf.js')).parsePdf(buf, title) },
+};
+
+export const SUPPORTED_EXTENSIONS = [...Object.keys(LOADERS), '.json'];
+
+function toPosix(path) {
+    return path.split(sep).join('/');
+}
+
+function titleFromFilename(file) {
+    const name = basename(file, extname(file)).replace(/[-_]+/g, ' ').trim();
+    return name.charAt(0).toUpperCase() + name.slice(1);
+}
+
+async function expand(path) {
+    const info = await stat(path);
+    if (!info.isDirectory()) return [path];
+
+    const entries = await readdir(path, { withFileTypes: true });
+    const files = [];
+    for (const entry of entries.sort((a, b) => a.name.localeCompare(b.name))) {
+        if (entry.name.startsWith('.')) continue;
+        const full = join(path, entry.name);
+        if (entry.isDirectory()) files.push(...(await expand(full)));
+        else if (SUPPORTED_EXTENSIONS.includes(extname(entry.name).toLowerCase())) files.push(full);
+    }
+    return files;
+}
+
+// Reject documents whose metadata would be mis-filtered (e.g. visibility: "Internal")
+function withValidMetadata(doc) {
+    const { error, metadata } = validateMetadata(doc.metadata);
+    if (error) throw new Error(doc.id === doc.source ? error : `document "${doc.id}": ${error}`);
+    return { ...doc, metadata };
+}
+
+/**
+ * docs.json format: [{ id, title, content, metadata? }] — each entry is its own document.
+ */
+function loadJsonDocs(raw, source) {
+    return JSON.parse(raw).map((doc) =>
+        withValidMetadata({
+            ...doc,
+            id: String(doc.id),
+            source,
+            type: 'json',
+            sections: [{ text: doc.content, location: {} }],
+        })
+    );
+}
+
+/**
+ * Load one file into zero or more documents.
+ * @param {string} file
+ * @param {string} [baseDir] - Source paths and ids are recorded relative to this
+ */
+export async function loadFile(file, baseDir = process.cwd()) {
+    const ext = extname(file).toLowerCase();
+    // Files outside baseDir keep their absolute path rather than a ../../ chain
+    const rel = relative(baseDir, file);
+    const source = toPosix(rel.startsWith('..') ? file : rel);
+    const buffer = await readFile(file);
+
+    if (ext === '.json') return loadJsonDocs(buffer.toString('utf-8'), source);
+
+    const loader = LOADERS[ext];
+    if (!loader) throw new Error(`Unsupported file type "${ext}" (${source})`);
+
+    const { title, sections, metadata } = await loader.parse(buffer, titleFromFilename(file));
+    if (sections.length === 0) return [];
+
+    return [withValidMetadata({
+        id: source,
+        title,
+        content: sections.map((s) => s.text).join('\n\n'),
+        source,
+        type: loader.type,
+        sections,
+        metadata,
+    })];
+}
+
+/**
+ * Load every supported file under the given files/directories.
+ * Unsupported or unreadable files are reported through `onError` and skipped.
+ * @param {string[]} paths
+ * @param {Object}   [options]
+ * @param {string}   [options.baseDir]
+ * @param {Function} [options.onError] - (file, err) => void
+ * @returns {Promise<Array>} Documents: { id, title, content, source, type, sections, metadata }
+ */
+export async function loadSources(paths, { baseDir = process.cwd(), onError = () => {} } = {}) {
+    const documents = [];
+    for (const path of paths) {
+        for (const file of await expand(path)) {
+            try {
+                documents.push(...(await loadFile(file, baseDir)));
+            } catch (err) {
+                onError(file, err);
+            }
+        }
+    }
+    return documents;
+}
@@ -0,0 +1,88 @@
+// utils/loaders/markdown.js
+// Markdown → sections split on ATX headings (#, ##, ...), with the heading path as location
+
+/**
+ * Strip Markdown syntax down to readable text.
+ */
+export function markdownToText(md) {
+    return md
+        .replace(/```[^\n]*\n([\s\S]*?)```/g, '$1') // fenced code → its content
+        .replace(/!\[([^\]]*)\]\([^)]*\)/g, '$1') // images → alt text
+        .replace(/\[([^\]]+)\]\([^)]*\)/g, '$1') // links → link text
+        .replace(/`([^`]+)`/g, '$1') // inline code
+        .replace(/\*\*(.+?)\*\*|\b__(.+?)__\b/g, '$1$2') // bold
+        .replace(/\*(\S[^*]*?)\*|\b_(\S[^_]*?)_\b/g, '$1$2') // italics (not snake_case)
+        .replace(/^\s{0,3}>\s?/gm, '') // blockquotes
+        .replace(/^\s*([-*+]|\d+\.)\s+/gm, '- ') // normalise list markers
+        .replace(/^\s*(-{3,}|\*{3,}|_{3,})\s*$/gm, '') // horizontal rules
+        .replace(/<[^>]+>/g, '') // inline HTML
+        .replace(/\n{3,}/g, '\n\n')
+        .trim();
+}
+
+/**
+ * Split `---` front matter (one `key: value` per line, surrounding quotes
+ * stripped) from the rest of the file.
+ * @returns {{ meta: Object, body: string }}
+ */
+export function parseFrontMatter(raw) {
+    const match = raw.match(/^---\r?\n([\s\S]*?)\r?\n---\r?\n?/);
+    if (!match) return { meta: {}, body: raw };
+
+    const meta = {};
+    for (const line of match[1].split(/\r?\n/)) {
+        const kv = line.match(/^([\w-]+):\s*(.*)$/);
+        if (kv) meta[kv[1]] = kv[2].replace(/^["']|["']$/g, '');
+    }
+    return { meta, body: raw.slice(match[0].length) };
+}
+
+/**
+ * Location for text under the given stack of open headings.
+ */
+export function headingLocation(headingStack) {
+    return headingStack.length ? { heading: headingStack.map((h) => h.text).join(' > ') } : {};
+}
+
+/**
+ * @param {string} raw      - File contents
+ * @param {string} fallbackTitle
+ * @returns {{ title: string, sections: Array<{ text: string, location: Object }>, metadata: Object }}
+ */
+export function parseMarkdown(raw, fallbackTitle) {
+    const { meta, body } = parseFrontMatter(raw);
+    const sections = [];
+    const headingStack = [];
+    let buffer = [];
+    let title = meta.title;
+    let inFence = false;
+
+    const flush = () => {
+        const text = markdownToText(buffer.join('\n'));
+        if (text) {
+            sections.push({ text, location: headingLocation(headingStack) });
+        }
+        buffer = [];
+    };
+
+    for (const line of body.split(/\r?\n/)) {
+        if (/^\s*```/.test(line)) inFence = !inFence;
+        const heading = !inFence && line.match(/^(#{1,6})\s+(.*?)\s*#*\s*$/);
+        if (!heading) {
+            buffer.push(line);
+            continue;
+        }
+
+        flush();
+        const level = heading[1].length;
+        const text = markdownToText(heading[2]);
+        if (level === 1 && !title) title = text;
+        while (headingStack.length && headingStack[headingStack.length - 1].level >= level) headingStack.pop();
+        headingStack.push({ level, text });
+    }
+    flush();
+
+    // Other front-matter keys (category, product, language, ...) become document metadata
+    const { title: _title, ...metadata } = meta;
+    return { title: title || fallbackTitle, sections, metadata };
+}
@@ -0,0 +1,41 @@
+// utils/loaders/pdf.js
+// PDF text layer → one section per page, with the page number as location.
+// Scanned PDFs without a text layer produce no sections (no OCR).
+
+// Import the library entry directly: the package index runs a self-test in ESM contexts
+import pdfParse from 'pdf-parse/lib/pdf-parse.js';
+
+/**
+ * @param {Buffer} buffer - File contents
+ * @param {string} fallbackTitle
+ * @returns {Promise<{ title: string, sections: Array<{ text: string, location: Object }> }>}
+ */
+export async function parsePdf(buffer, fallbackTitle) {
+    const pages = [];
+
+    // pdf.js 1.x misreads Node Buffers (Buffer#slice shares memory); hand it a plain Uint8Array
+    const result = await pdfParse(new Uint8Array(buffer), {
+        pagerender: async (pageData) => {
+            const content = await pageData.getTextContent({ normalizeWhitespace: true });
+            let lastY;
+            let text = '';
+            for (const item of content.items) {
+                text += lastY === undefined || lastY === item.transform[5] ? item.str : `\n${item.str}`;
+                lastY = item.transform[5];
+            }
+            pages.push({ page: pageData.pageIndex + 1, text });
+            return text;
+        },
+    });
+
+    const sections = pages
+        .sort((a, b) => a.page - b.page)
+        .map(({ page, text }) => ({
+            // Re-join words hyphenated across line breaks, then collapse whitespace
+            text: text.replace(/(\w)-\n(\w)/g, '$1$2').replace(/[ \t]+/g, ' ').replace(/\n{3,}/g, '\n\n').trim(),
+            location: { page },
+        }))
+        .filter((s) => s.text);
+
+    return { title: result.info?.Title?.trim() || fallbackTitle, sections };
+}
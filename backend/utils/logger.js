@@ -0,0 +1,87 @@
+// utils/logger.js
+// Structured logging. Every entry is one JSON line on stdout (stderr for warn
+// and error) with `time`, `level`, `msg` and the logger's bound fields, e.g.
+//   {"time":"…","level":"info","msg":"Chat answered","requestId":"…","sessionId":"…","latencyMs":812}
+// LOG_FORMAT=pretty prints the same entries as readable lines for local
+// development. Request handlers log through `req.log`, a child logger bound
+// to the request id (see server.js), so every line of a request can be found.
+
+export const LOG_LEVELS = ['debug', 'info', 'warn', 'error'];
+export const LOG_FORMATS = ['json', 'pretty'];
+
+export const LOG_DEFAULTS = {
+    level: 'info',
+    format: 'json',
+};
+
+/**
+ * Logging settings from the environment (LOG_LEVEL, LOG_FORMAT). Throws on
+ * invalid values.
+ */
+export function loggingSettingsFromEnv(env = process.env) {
+    const settings = {
+        level: env.LOG_LEVEL || LOG_DEFAULTS.level,
+        format: env.LOG_FORMAT || LOG_DEFAULTS.format,
+    };
+    if (!LOG_LEVELS.includes(settings.level)) throw new Error(`LOG_LEVEL must be one of: ${LOG_LEVELS.join(', ')}.`);
+    if (!LOG_FORMATS.includes(settings.format)) throw new Error(`LOG_FORMAT must be one of: ${LOG_FORMATS.join(', ')}.`);
+    return settings;
+}
+
+let settings = { ...LOG_DEFAULTS };
+
+/**
+ * Apply logging settings to every logger (including ones created before).
+ */
+export function configureLogging(overrides = {}) {
+    settings = { ...LOG_DEFAULTS, ...overrides };
+}
+
+// Errors don't serialize to JSON on their own
+function serializeValue(value) {
+    if (!(value instanceof Error)) return value;
+    return {
+        name: value.name,
+        message: value.message,
+        ...(value.status !== undefined ? { status: value.status } : {}),
+        ...(settings.level === 'debug' ? { stack: value.stack } : {}),
+    };
+}
+
+const PRETTY_ICONS = { debug: '🔍', info: 'ℹ️ ', warn: '⚠️ ', error: '❌' };
+
+function formatPretty({ time, level, msg, ...fields }) {
+    const details = Object.entries(fields)
+        .map(([key, value]) => `${key}=${typeof value === 'string' ? value : JSON.stringify(value)}`)
+        .join(' ');
+    return `[${time}] ${PRETTY_ICONS[level]} ${msg}${details ? `  ${details}` : ''}`;
+}
+
+function write(level, bindings, msg, fields) {
+    if (LOG_LEVELS.indexOf(level) < LOG_LEVELS.indexOf(settings.level)) return;
+
+    const entry = { time: new Date().toISOString(), level, msg, ...bindings };
+    for (const [key, value] of Object.entries(fields || {})) {
+        if (value !== undefined) entry[key] = serializeValue(value);
+    }
+    const line = settings.format === 'pretty' ? formatPretty(entry) : JSON.stringify(entry);
+    (level === 'warn' || level === 'error' ? process.stderr : process.stdout).write(`${line}\n`);
+}
+
+/**
+ * Create a logger whose entries carry `bindings`.
+ * @param {Object} [bindings] - Fields added to every entry (e.g. { component: 'sessions' })
+ * @returns {Object} { debug, info, warn, error } as (msg, fields?) => void, and child(bindings)
+ */
+export function createLogger(bindings = {}) {
+    const log = (level) => (msg, fields) => write(level, bindings, msg, fields);
+    return {
+        debug: log('debug'),
+        info: log('info'),
+        warn: log('warn'),
+        error: log('error'),
+        child: (extra) => createLogger({ ...bindings, ...extra }),
+    };
+}
+
+export const logger = createLogger();
@@ -0,0 +1,159 @@
+// utils/metadataFilter.js
+// Document metadata (category, product, language, updatedAt, visibility, or
+// any other key) is copied onto every chunk at ingest, and retrieval can be
+// restricted with a filter expression over it:
+//   { "category": "billing" }                               equality
+//   { "language": { "in": ["en", "de"] } }                  membership
+//   { "updatedAt": { "gte": "2025-01-01", "lt": "2026-01-01" } }  range
+// Conditions on different fields are ANDed. Operators: eq, ne, in, nin, gt,
+// gte, lt, lte. Ranges compare numbers numerically and strings
+// lexicographically (so ISO dates work). Array-valued metadata matches when
+// any element does (eq, in, ranges) or when none does (ne, nin). A chunk
+// without the field only matches ne / nin.
+
+export const FILTER_OPERATORS = ['eq', 'ne', 'in', 'nin', 'gt', 'gte', 'lt', 'lte'];
+export const VISIBILITIES = ['public', 'internal'];
+
+const FIELD_PATTERN = /^[A-Za-z_][\w.-]{0,63}$/;
+const MAX_FIELDS = 20;
+const MAX_LIST = 100;
+
+const isScalar = (v) => typeof v === 'string' || typeof v === 'number' || typeof v === 'boolean';
+
+/**
+ * Validate document metadata. Values are scalars or arrays of scalars;
+ * `visibility` must be one of VISIBILITIES and `updatedAt` an ISO date.
+ * Returns { error } or { metadata }.
+ */
+export function validateMetadata(metadata) {
+    if (metadata === undefined || metadata === null) return { metadata: {} };
+    if (typeof metadata !== 'object' || Array.isArray(metadata)) {
+        return { error: 'metadata must be an object.' };
+    }
+    const entries = Object.entries(metadata);
+    if (entries.length > MAX_FIELDS) {
+        return { error: `metadata has too many fields (max ${MAX_FIELDS}).` };
+    }
+    for (const [key, value] of entries) {
+        if (!FIELD_PATTERN.test(key)) return { error: `metadata key "${key}" is not a valid field name.` };
+        const ok = isScalar(value) || (Array.isArray(value) && value.length <= MAX_LIST && value.every(isScalar));
+        if (!ok) return { error: `metadata.${key} must be a string, number, boolean or an array of them.` };
+    }
+    if (metadata.visibility !== undefined && !VISIBILITIES.includes(metadata.visibility)) {
+        return { error: `metadata.visibility must be one of: ${VISIBILITIES.join(', ')}.` };
+    }
+    if (metadata.updatedAt !== undefined && Number.isNaN(Date.parse(metadata.updatedAt))) {
+        return { error: 'metadata.updatedAt must be an ISO date.' };
+    }
+    return { metadata: { ...metadata } };
+}
+
+/**
+ * Metadata stored on a document's chunks: its metadata plus `updatedAt`
+ * when the document has one and the metadata does not.
+ */
+export function chunkMetadata(doc) {
+    const metadata = { ...doc.metadata };
+    if (metadata.updatedAt === undefined && doc.updatedAt) metadata.updatedAt = doc.updatedAt;
+    return metadata;
+}
+
+function parseCondition(field, spec) {
+    if (isScalar(spec)) return [{ field, op: 'eq', value: spec }];
+    if (!spec || typeof spec !== 'object' || Array.isArray(spec) || Object.keys(spec).length === 0) {
+        return { error: `filter.${field} must be a value or an object of operators (${FILTER_OPERATORS.join(', ')}).` };
+    }
+
+    const conditions = [];
+    for (const [op, value] of Object.entries(spec)) {
+        if (!FILTER_OPERATORS.includes(op)) {
+            return { error: `filter.${field}: unknown operator "${op}". Use: ${FILTER_OPERATORS.join(', ')}.` };
+        }
+        if (op === 'in' || op === 'nin') {
+            if (!Array.isArray(value) || value.length === 0 || value.length > MAX_LIST || !value.every(isScalar)) {
+                return { error: `filter.${field}.${op} must be a non-empty array of values (max ${MAX_LIST}).` };
+            }
+        } else if (op === 'eq' || op === 'ne') {
+            if (!isScalar(value)) return { error: `filter.${field}.${op} must be a string, number or boolean.` };
+        } else if (typeof value !== 'string' && typeof value !== 'number') {
+            return { error: `filter.${field}.${op} must be a string or number.` };
+        }
+        conditions.push({ field, op, value });
+    }
+    return conditions;
+}
+
+/**
+ * Validate a filter expression (see the header). Returns { error } or
+ * { filter } where `filter` is a list of { field, op, value } conditions,
+ * or null when no filter was given.
+ */
+export function parseFilter(expr) {
+    if (expr === undefined || expr === null) return { filter: null };
+    if (typeof expr !== 'object' || Array.isArray(expr)) {
+        return { error: 'filter must be an object of metadata conditions.' };
+    }
+    const fields = Object.keys(expr);
+    if (fields.length > MAX_FIELDS) {
+        return { error: `filter has too many fields (max ${MAX_FIELDS}).` };
+    }
+
+    const filter = [];
+    for (const field of fields) {
+        if (!FIELD_PATTERN.test(field)) return { error: `filter field "${field}" is not a valid field name.` };
+        const conditions = parseCondition(field, expr[field]);
+        if (conditions.error) return conditions;
+        filter.push(...conditions);
+    }
+    return { filter: filter.length > 0 ? filter : null };
+}
+
+function compare(actual, op, value) {
+    if (typeof actual !== typeof value || (typeof actual !== 'string' && typeof actual !== 'number')) return false;
+    switch (op) {
+        case 'gt': return actual > value;
+        case 'gte': return actual >= value;
+        case 'lt': return actual < value;
+        default: return actual <= value;
+    }
+}
+
+function matchesValue(actual, { op, value }) {
+    switch (op) {
+        case 'eq': return actual === value;
+        case 'in': return value.includes(actual);
+        default: return compare(actual, op, value);
+    }
+}
+
+function matchesCondition(metadata, condition) {
+    const actual = metadata?.[condition.field];
+    const values = actual === undefined ? [] : Array.isArray(actual) ? actual : [actual];
+
+    if (condition.op === 'ne') return !values.includes(condition.value);
+    if (condition.op === 'nin') return !values.some((v) => condition.value.includes(v));
+    return values.some((v) => matchesValue(v, condition));
+}
+
+/**
+ * Whether chunk metadata satisfies every condition of a parsed filter.
+ */
+export function matchesFilter(metadata, filter) {
+    return !filter || filter.every((condition) => matchesCondition(metadata, condition));
+}
+
+/**
+ * AND parsed filters together (null entries are ignored); null if none remain.
+ */
+export function combineFilters(...filters) {
+    const combined = filters.filter(Boolean).flat();
+    return combined.length > 0 ? combined : null;
+}
+
+/**
+ * Filter hiding `visibility: "internal"` chunks, or null when the caller may
+ * see them. Chunks without a visibility are public.
+ */
+export function visibilityFilter(canSeeInternal) {
+    return canSeeInternal ? null : [{ field: 'visibility', op: 'ne', value: 'internal' }];
+}
@@ -0,0 +1,154 @@
+// utils/metrics.js
+// In-process Prometheus metrics, served by GET /metrics in the text
+// exposition format (version 0.0.4). Counters and histograms are updated as
+// requests finish; gauges are read from a callback at scrape time.
+//   rag_http_requests_total{method,route,status}        counter
+//   rag_http_request_duration_seconds{method,route}     histogram
+//   rag_chat_requests_total{collection,stream,outcome,prompt_version}  counter
+//                                                       (outcome: answered | fallback | cached | error)
+//   rag_chat_duration_seconds{stream}                   histogram
+//   rag_stage_duration_seconds{stage}                   histogram (pipeline spans, utils/tracing.js)
+//   rag_tokens_total{collection}                        counter
+//   rag_active_sessions, rag_chunks                     gauges
+// The fallback rate is rag_chat_requests_total{outcome="fallback"} over all chat requests;
+// prompt_version compares prompt templates (empty when the request failed).
+
+const LATENCY_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30];
+const STAGE_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+const escapeLabel = (value) => String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+
+function labelString(labels) {
+    const pairs = Object.entries(labels).map(([k, v]) => `${k}="${escapeLabel(v)}"`);
+    return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+}
+
+// Series are keyed by their label values in `labelNames` order
+function seriesKey(labelNames, labels) {
+    return JSON.stringify(labelNames.map((name) => labels[name] ?? ''));
+}
+
+function seriesLabels(labelNames, key) {
+    const values = JSON.parse(key);
+    return Object.fromEntries(labelNames.map((name, i) => [name, values[i]]));
+}
+
+const header = (name, help, type) => [`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`];
+
+/**
+ * Create an empty metrics registry.
+ */
+export function createRegistry() {
+    const metrics = [];
+
+    return {
+        counter(name, help, labelNames = []) {
+            const series = new Map();
+            metrics.push(() => [
+                ...header(name, help, 'counter'),
+                ...[...series].map(([key, value]) => `${name}${labelString(seriesLabels(labelNames, key))} ${value}`),
+            ]);
+            return {
+                inc(labels = {}, amount = 1) {
+                    const key = seriesKey(labelNames, labels);
+                    series.set(key, (series.get(key) || 0) + amount);
+                },
+            };
+        },
+
+        histogram(name, help, labelNames = [], buckets = LATENCY_BUCKETS) {
+            const series = new Map(); // key -> { counts (per bucket, cumulative at render), sum, count }
+            metrics.push(() => {
+                const lines = header(name, help, 'histogram');
+                for (const [key, { counts, sum, count }] of series) {
+                    const labels = seriesLabels(labelNames, key);
+                    let cumulative = 0;
+                    buckets.forEach((le, i) => {
+                        cumulative += counts[i];
+                        lines.push(`${name}_bucket${labelString({ ...labels, le })} ${cumulative}`);
+                    });
+                    lines.push(`${name}_bucket${labelString({ ...labels, le: '+Inf' })} ${count}`);
+                    lines.push(`${name}_sum${labelString(labels)} ${sum}`);
+                    lines.push(`${name}_count${labelString(labels)} ${count}`);
+                }
+                return lines;
+            });
+            return {
+                observe(labels, value) {
+                    const key = seriesKey(labelNames, labels);
+                    if (!series.has(key)) series.set(key, { counts: buckets.map(() => 0), sum: 0, count: 0 });
+                    const entry = series.get(key);
+                    const bucket = buckets.findIndex((le) => value <= le);
+                    if (bucket >= 0) entry.counts[bucket]++;
+                    entry.sum += value;
+                    entry.count++;
+                },
+            };
+        },
+
+        /**
+         * Gauge read at scrape time: `collect()` returns a number, or
+         * [{ labels, value }] for labelled series.
+         */
+        gauge(name, help, collect) {
+            metrics.push(() => {
+                const value = collect();
+                const samples = Array.isArray(value) ? value : [{ labels: {}, value }];
+                return [...header(name, help, 'gauge'), ...samples.map((s) => `${name}${labelString(s.labels)} ${s.value}`)];
+            });
+        },
+
+        render() {
+            return `${metrics.flatMap((collect) => collect()).join('\n')}\n`;
+        },
+    };
+}
+
+/**
+ * The server's metrics. `gauges` supplies the values read at scrape time.
+ * @param {Object}   gauges
+ * @param {Function} gauges.activeSessions - () => number
+ * @param {Function} gauges.chunks         - () => [{ collection, chunks }]
+ */
+export function createServerMetrics({ activeSessions, chunks }) {
+    const registry = createRegistry();
+    const httpRequests = registry.counter('rag_http_requests_total', 'HTTP requests by route and status.', ['method', 'route', 'status']);
+    const httpDuration = registry.histogram('rag_http_request_duration_seconds', 'HTTP request latency.', ['method', 'route']);
+    const chatRequests = registry.counter('rag_chat_requests_total', 'Chat requests by outcome and prompt template version.', [
+        'collection',
+        'stream',
+        'outcome',
+        'prompt_version',
+    ]);
+    const chatDuration = registry.histogram('rag_chat_duration_seconds', 'End-to-end chat latency.', ['stream']);
+    const stageDuration = registry.histogram('rag_stage_duration_seconds', 'RAG pipeline stage latency.', ['stage'], STAGE_BUCKETS);
+    const tokens = registry.counter('rag_tokens_total', 'LLM tokens used (prompt + completion).', ['collection']);
+    registry.gauge('rag_active_sessions', 'Sessions currently held.', activeSessions);
+    registry.gauge('rag_chunks', 'Embedded chunks per collection.', () =>
+        chunks().map(({ collection, chunks: value }) => ({ labels: { collection }, value }))
+    );
+
+    return {
+        /**
+         * Record a finished HTTP request (route = matched route pattern, not the raw path).
+         */
+        observeHttp({ method, route, status, durationMs }) {
+            httpRequests.inc({ method, route, status });
+            httpDuration.observe({ method, route }, durationMs / 1000);
+        },
+
+        /**
+         * Record a chat request: its outcome, latency, token usage and pipeline spans.
+         * @param {Object} chat - { collection, stream, result (null on error), latencyMs, spans }
+         */
+        observeChat({ collection, stream, result, latencyMs, spans = [] }) {
+            const outcome = !result ? 'error' : result.cached ? 'cached' : result.fallback ? 'fallback' : 'answered';
+            chatRequests.inc({ collection, stream, outcome, prompt_version: result?.promptVersion || '' });
+            chatDuration.observe({ stream }, latencyMs / 1000);
+            if (result?.tokensUsed) tokens.inc({ collection }, result.tokensUsed);
+            for (const span of spans) stageDuration.observe({ stage: span.name }, span.durationMs / 1000);
+        },
+
+        render: () => registry.render(),
+    };
+}
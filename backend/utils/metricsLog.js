@@ -0,0 +1,88 @@
+// utils/metricsLog.js
+// One entry per chat request (/api/chat and /api/chat/stream), appended to a
+// JSONL file and kept in memory for the admin insights (utils/usageInsights.js).
+// Only the newest `maxEntries` are held in memory; the file keeps everything.
+// Entry: { timestamp, requestId, sessionId, messageId, stream, query, rewrittenQuery, status,
+//          errorStatus, fallback, promptVersion, model, cached, chunks: [{ id, docId, score }], topScore,
+//          tokensUsed, latencyMs, groundedness }
+
+import { existsSync, readFileSync, mkdirSync } from 'fs';
+import { appendFile } from 'fs/promises';
+import { dirname } from 'path';
+import { logger } from './logger.js';
+
+export const METRICS_DEFAULTS = {
+    maxEntries: 50000,
+};
+
+let entries = [];
+let filePath = null; // null = in memory only
+let settings = { ...METRICS_DEFAULTS };
+let writing = Promise.resolve();
+
+/**
+ * Load the newest entries from `path` (created on first write).
+ * @returns {number} Number of entries loaded
+ */
+export function initMetricsLog({ path, maxEntries } = {}) {
+    settings = { ...METRICS_DEFAULTS, ...(maxEntries ? { maxEntries } : {}) };
+    filePath = path || null;
+    entries = [];
+    if (!filePath || !existsSync(filePath)) return 0;
+
+    for (const line of readFileSync(filePath, 'utf-8').split('\n')) {
+        if (!line.trim()) continue;
+        try {
+            entries.push(JSON.parse(line));
+        } catch { /* partial line from a crash */ }
+    }
+    entries = entries.slice(-settings.maxEntries);
+    return entries.length;
+}
+
+/**
+ * Record one chat request.
+ * @param {Object} entry - See the entry shape above; timestamp is added
+ */
+export function recordChatMetrics(entry) {
+    const record = { timestamp: new Date().toISOString(), ...entry };
+    entries.push(record);
+    if (entries.length > settings.maxEntries) entries.splice(0, entries.length - settings.maxEntries);
+
+    if (filePath) {
+        const line = `${JSON.stringify(record)}\n`;
+        writing = writing
+            .then(() => {
+                mkdirSync(dirname(filePath), { recursive: true });
+                return appendFile(filePath, line);
+            })
+            .catch((err) => logger.error('Failed to write metrics log', { component: 'metrics-log', err }));
+    }
+}
+
+/**
+ * Entries recorded at or after `since` (ISO string), oldest first.
+ */
+export function getMetricsEntries(since = null) {
+    return since ? entries.filter((e) => e.timestamp >= since) : entries;
+}
+
+/**
+ * Summarise a pipeline result for the metrics log.
+ */
+export function chatMetricsFromResult(result) {
+    const chunks = (result.sources || []).map(({ id, docId, score }) => ({ id, docId, score }));
+    const scores = (result.scores || []).map((s) => s.score);
+    return {
+        status: 'ok',
+        rewrittenQuery: result.rewrittenQuery,
+        fallback: result.fallback,
+        promptVersion: result.promptVersion ?? null,
+        model: result.model ?? null,
+        cached: result.cached ?? false,
+        chunks,
+        topScore: scores.length > 0 ? Math.max(...scores) : null,
+        tokensUsed: result.tokensUsed,
+        groundedness: result.groundedness ?? null,
+    };
+}
@@ -0,0 +1,178 @@
+// utils/promptTemplates.js
+// Prompt templates live in backend/prompts/<id>.md (PROMPT_TEMPLATES_DIR): front
+// matter with the template's `version`, `description`, `fallback` reply and
+// default variable values, then the prompt body. `{{name}}` placeholders are
+// filled per request:
+//   context, history, question     — built by the pipeline (utils/rag.js)
+//   persona, productName, tone,
+//   contact                        — front matter defaults, overridable per
+//                                    collection (promptVariables / systemPrompt)
+// A reply records the template's version as `promptVersion`
+// ("<id>-v<version>+<hash>"): the hash covers the prompt, fallback and defaults,
+// so an edit that forgets to bump `version` still gets a version of its own. Templates are chosen per
+// collection (`promptTemplate`) or per request, and reloaded from disk by
+// POST /api/admin/prompts/reload without a restart.
+
+import { createHash } from 'crypto';
+import { readFileSync, readdirSync, existsSync } from 'fs';
+import { join, dirname, basename } from 'path';
+import { fileURLToPath } from 'url';
+import { parseFrontMatter } from './loaders/markdown.js';
+
+export const RUNTIME_VARIABLES = ['context', 'history', 'question'];
+export const PROMPT_VARIABLES = ['persona', 'productName', 'tone', 'contact'];
+
+export const DEFAULT_PROMPT_TEMPLATE = 'support';
+export const DEFAULT_TEMPLATES_DIR = join(dirname(fileURLToPath(import.meta.url)), '..', 'prompts');
+
+const ID_PATTERN = /^[a-z0-9][a-z0-9_-]{0,63}$/;
+const PLACEHOLDER = /\{\{\s*(\w+)\s*\}\}/g;
+const MAX_VARIABLE_LENGTH = 4000;
+
+let settings = { dir: DEFAULT_TEMPLATES_DIR, defaultTemplate: DEFAULT_PROMPT_TEMPLATE, required: [] };
+let templates = null; // id -> template, loaded on first use
+
+const placeholders = (text) => [...text.matchAll(PLACEHOLDER)].map((m) => m[1]);
+
+/**
+ * Parse one template file. Throws when a placeholder is unknown, a required
+ * placeholder is missing or a variable the template uses has no default.
+ * @returns {Object} { id, version, description, prompt, fallback, defaults, file }
+ *          where version is "<id>-v<n>+<first 8 hex digits of the content hash>"
+ */
+export function parsePromptTemplate(raw, file) {
+    const id = basename(file, '.md');
+    if (!ID_PATTERN.test(id)) throw new Error(`${file}: file name must be lowercase letters, digits, "-" or "_".`);
+
+    const { meta, body } = parseFrontMatter(raw);
+    const version = Number(meta.version);
+    if (!Number.isInteger(version) || version < 1) throw new Error(`${file}: version must be a positive integer.`);
+    if (!meta.fallback) throw new Error(`${file}: a fallback reply is required.`);
+
+    const prompt = body.trim();
+    const used = placeholders(prompt);
+    for (const name of RUNTIME_VARIABLES) {
+        if (!used.includes(name)) throw new Error(`${file}: the prompt must contain {{${name}}}.`);
+    }
+    const defaults = Object.fromEntries(PROMPT_VARIABLES.filter((name) => meta[name]).map((name) => [name, meta[name]]));
+    for (const name of [...used, ...placeholders(meta.fallback)]) {
+        if (!RUNTIME_VARIABLES.includes(name) && !PROMPT_VARIABLES.includes(name)) {
+            throw new Error(`${file}: unknown variable {{${name}}}. Use: ${[...RUNTIME_VARIABLES, ...PROMPT_VARIABLES].join(', ')}.`);
+        }
+        if (PROMPT_VARIABLES.includes(name) && defaults[name] === undefined) {
+            throw new Error(`${file}: {{${name}}} needs a default ("${name}:" in the front matter).`);
+        }
+    }
+    if (placeholders(meta.fallback).some((name) => RUNTIME_VARIABLES.includes(name))) {
+        throw new Error(`${file}: the fallback reply may only use ${PROMPT_VARIABLES.join(', ')}.`);
+    }
+
+    const hash = createHash('sha256').update(JSON.stringify([prompt, meta.fallback, defaults])).digest('hex').slice(0, 8);
+    return { id, version: `${id}-v${version}+${hash}`, description: meta.description || '', prompt, fallback: meta.fallback, defaults, file };
+}
+
+/**
+ * Read every *.md template in `dir`. Throws if one is invalid or a required id is missing.
+ * @returns {Map<string, Object>} id -> template
+ */
+export function loadPromptTemplates(dir, required = []) {
+    if (!existsSync(dir)) throw new Error(`Prompt template directory not found: ${dir}`);
+    const loaded = new Map();
+    for (const name of readdirSync(dir).filter((f) => f.endsWith('.md')).sort()) {
+        const template = parsePromptTemplate(readFileSync(join(dir, name), 'utf-8'), name);
+        loaded.set(template.id, template);
+    }
+    for (const id of required) {
+        if (!loaded.has(id)) throw new Error(`Prompt template "${id}" not found in ${dir}.`);
+    }
+    return loaded;
+}
+
+/**
+ * Load the templates and set the default.
+ * @param {Object} [options]
+ * @param {string} [options.dir]             - Template directory (default backend/prompts)
+ * @param {string} [options.defaultTemplate] - Used when neither request nor collection picks one
+ * @param {Array}  [options.required]        - Template ids that must exist (e.g. ones collections use)
+ * @returns {Array} listPromptTemplates()
+ */
+export function initPromptTemplates({ dir = DEFAULT_TEMPLATES_DIR, defaultTemplate = DEFAULT_PROMPT_TEMPLATE, required = [] } = {}) {
+    const next = { dir, defaultTemplate, required: [...new Set([defaultTemplate, ...required])] };
+    templates = loadPromptTemplates(next.dir, next.required);
+    settings = next;
+    return listPromptTemplates();
+}
+
+/**
+ * Re-read the template directory. On error the loaded templates stay in use
+ * and the error is thrown.
+ * @returns {Array} listPromptTemplates()
+ */
+export function reloadPromptTemplates() {
+    templates = loadPromptTemplates(settings.dir, settings.required);
+    return listPromptTemplates();
+}
+
+function loadedTemplates() {
+    if (!templates) templates = loadPromptTemplates(settings.dir, [settings.defaultTemplate]);
+    return templates;
+}
+
+/**
+ * A template by id (default: the default template), or null.
+ */
+export function getPromptTemplate(id = settings.defaultTemplate) {
+    return loadedTemplates().get(id) || null;
+}
+
+export function getDefaultPromptTemplate() {
+    return settings.defaultTemplate;
+}
+
+/**
+ * Summaries of the loaded templates, default first.
+ */
+export function listPromptTemplates() {
+    return [...loadedTemplates().values()]
+        .map(({ id, version, description, defaults }) => ({ id, version, description, defaults, default: id === settings.defaultTemplate }))
+        .sort((a, b) => b.default - a.default || a.id.localeCompare(b.id));
+}
+
+/**
+ * Validate prompt variable overrides (collection `promptVariables`).
+ * Returns { error } or { variables }.
+ */
+export function validatePromptVariables(variables) {
+    if (variables === undefined || variables === null) return { variables: {} };
+    if (typeof variables !== 'object' || Array.isArray(variables)) return { error: 'promptVariables must be an object.' };
+    for (const [name, value] of Object.entries(variables)) {
+        if (!PROMPT_VARIABLES.includes(name)) {
+            return { error: `promptVariables.${name} is not a prompt variable. Use: ${PROMPT_VARIABLES.join(', ')}.` };
+        }
+        if (typeof value !== 'string' || !value.trim() || value.length > MAX_VARIABLE_LENGTH) {
+            return { error: `promptVariables.${name} must be a non-empty string (max ${MAX_VARIABLE_LENGTH} characters).` };
+        }
+    }
+    return { variables: Object.fromEntries(Object.entries(variables).map(([k, v]) => [k, v.trim()])) };
+}
+
+// Single pass, so {{...}} inside a substituted value (e.g. the user's question) is left alone
+function fill(text, values) {
+    return text.replace(PLACEHOLDER, (match, name) => values[name] ?? match);
+}
+
+/**
+ * The prompt with every placeholder filled.
+ * @param {Object} prompt - { template, variables } (variables override the template defaults)
+ * @param {Object} runtime - { context, history, question }
+ */
+export function renderPrompt({ template, variables = {} }, runtime) {
+    return fill(template.prompt, { ...template.defaults, ...variables, ...runtime });
+}
+
+/**
+ * The template's fallback reply with its variables filled.
+ */
+export function renderFallback({ template, variables = {} }) {
+    return fill(template.fallback, { ...template.defaults, ...variables });
+}
@@ -0,0 +1,69 @@
+// utils/providers/gemini.js
+// Google Gemini implementation of the provider interface
+
+import { GoogleGenerativeAI } from '@google/generative-ai';
+
+function toUsage(usageMetadata) {
+    return {
+        promptTokens: usageMetadata?.promptTokenCount || 0,
+        completionTokens: usageMetadata?.candidatesTokenCount || 0,
+    };
+}
+
+/**
+ * Create a Gemini provider.
+ * @param {Object} options
+ * @param {string} options.apiKey          - GEMINI_API_KEY
+ * @param {string} [options.embeddingModel] - Embedding model id
+ * @param {string} [options.chatModel]      - Chat model id
+ * @param {number} [options.temperature]
+ * @param {number} [options.maxOutputTokens]
+ */
+export function createGeminiProvider({
+    apiKey,
+    embeddingModel = 'gemini-embedding-001',
+    chatModel = 'gemini-2.5-flash',
+    temperature = 0.2,
+    maxOutputTokens = 1024,
+}) {
+    if (!apiKey) {
+        throw new Error('GEMINI_API_KEY is not set. Copy .env.example → .env and add your key.');
+    }
+
+    const genAI = new GoogleGenerativeAI(apiKey);
+    const embedder = genAI.getGenerativeModel({ model: embeddingModel });
+    const chat = genAI.getGenerativeModel({
+        model: chatModel,
+        generationConfig: { temperature, maxOutputTokens },
+    });
+
+    return {
+        name: 'gemini',
+        embeddingModel,
+        chatModel,
+        defaultThreshold: 0.65,
+
+        async embed(text, { signal } = {}) {
+            const result = await embedder.embedContent(text, { signal });
+            return result.embedding.values;
+        },
+
+        async generate({ prompt, signal }) {
+            const result = await chat.generateContent(prompt, { signal });
+            return { text: result.response.text(), usage: toUsage(result.response.usageMetadata) };
+        },
+
+        async generateStream({ prompt, signal }, onToken) {
+            const result = await chat.generateContentStream(prompt, { signal });
+            let text = '';
+            for await (const chunk of result.stream) {
+                const delta = chunk.text();
+                if (!delta) continue;
+                text += delta;
+                onToken(delta);
+            }
+            const response = await result.response;
+            return { text, usage: toUsage(response.usageMetadata) };
+        },
+    };
+}
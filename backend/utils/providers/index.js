@@ -0,0 +1,72 @@
+// utils/providers/index.js
+// Provider registry. A provider implements:
+//   name, embeddingModel, chatModel, defaultThreshold
+//   generative (optional, default true) — false if generate() can only quote context
+//   embed(text, { signal })              -> Promise<number[]>
+//   generate(request)                    -> Promise<{ text, usage: { promptTokens, completionTokens } }>
+//   generateStream(request, onToken)     -> same, calling onToken(delta) as text arrives
+// where request = { prompt, question, chunks, signal }. `signal` (optional
+// AbortSignal) is aborted when the call's deadline passes; HTTP providers pass
+// it to their requests.
+// The server wraps the provider with deadlines, retries, circuit breakers and
+// chat model fallbacks (createResilientProviderFromEnv, ./resilient.js).
+
+import { createGeminiProvider } from './gemini.js';
+import { createOpenAIProvider } from './openai.js';
+import { createLocalProvider } from './local.js';
+import { createResilientProvider, resilienceSettingsFromEnv } from './resilient.js';
+
+function numberOr(value, fallback) {
+    const n = parseFloat(value);
+    return Number.isFinite(n) ? n : fallback;
+}
+
+/**
+ * Build the provider selected by LLM_PROVIDER (gemini | openai | local).
+ * @param {Object} [env] - Defaults to process.env
+ */
+export function createProvider(env = process.env) {
+    const name = (env.LLM_PROVIDER || 'gemini').toLowerCase();
+    const generation = {
+        temperature: numberOr(env.LLM_TEMPERATURE, 0.2),
+        maxOutputTokens: numberOr(env.LLM_MAX_OUTPUT_TOKENS, 1024),
+    };
+
+    switch (name) {
+        case 'gemini':
+            return createGeminiProvider({
+                apiKey: env.GEMINI_API_KEY,
+                embeddingModel: env.EMBEDDING_MODEL || undefined,
+                chatModel: env.CHAT_MODEL || undefined,
+                ...generation,
+            });
+        case 'openai':
+            return createOpenAIProvider({
+                baseUrl: env.OPENAI_BASE_URL,
+                apiKey: env.OPENAI_API_KEY,
+                embeddingModel: env.EMBEDDING_MODEL,
+                chatModel: env.CHAT_MODEL,
+                ...generation,
+            });
+        case 'local':
+            return createLocalProvider({ dimensions: numberOr(env.LOCAL_EMBEDDING_DIM, 384) });
+        default:
+            throw new Error(`Unknown LLM_PROVIDER "${name}". Use gemini, openai or local.`);
+    }
+}
+
+/**
+ * createProvider plus deadlines, retries, circuit breakers and the fallback
+ * chat models listed in CHAT_MODEL_FALLBACKS (comma-separated, tried in order).
+ * @param {Object} [env] - Defaults to process.env
+ */
+export function createResilientProviderFromEnv(env = process.env) {
+    const providers = [createProvider(env)];
+    for (const model of (env.CHAT_MODEL_FALLBACKS || '').split(',').map((m) => m.trim())) {
+        if (!model) continue;
+        const fallback = createProvider({ ...env, CHAT_MODEL: model });
+        // Skip repeats (and providers without a configurable chat model, like local)
+        if (!providers.some((p) => p.chatModel === fallback.chatModel)) providers.push(fallback);
+    }
+    return createResilientProvider(providers, resilienceSettingsFromEnv(env));
+}
@@ -0,0 +1,103 @@
+// utils/providers/local.js
+// Deterministic offline provider for development and CI — no network calls.
+// Embeddings: feature-hashed unigrams + bigrams, L2-normalized.
+// Generation: extractive — returns the context sentences that best match the question,
+// each cited with its context block number.
+
+import { tokenize, splitSentences, estimateTokens } from '../text.js';
+
+const NO_ANSWER =
+    "I don't have enough information in my knowledge base to answer that question accurately. Please contact support for further help.";
+const MAX_ANSWER_SENTENCES = 3;
+
+// 32-bit FNV-1a
+function hash(str) {
+    let h = 0x811c9dc5;
+    for (let i = 0; i < str.length; i++) {
+        h ^= str.charCodeAt(i);
+        h = Math.imul(h, 0x01000193);
+    }
+    return h >>> 0;
+}
+
+function hashEmbed(text, dimensions) {
+    const vector = new Array(dimensions).fill(0);
+    const tokens = tokenize(text);
+    const features = [...tokens, ...tokens.slice(1).map((t, i) => `${tokens[i]}_${t}`)];
+
+    const counts = new Map();
+    for (const f of features) counts.set(f, (counts.get(f) || 0) + 1);
+
+    for (const [feature, tf] of counts) {
+        const h = hash(feature);
+        const sign = h & 0x80000000 ? -1 : 1;
+        vector[h % dimensions] += sign * (1 + Math.log(tf));
+    }
+
+    const norm = Math.sqrt(vector.reduce((sum, v) => sum + v * v, 0));
+    return norm > 0 ? vector.map((v) => v / norm) : vector;
+}
+
+/**
+ * Pick the sentences from the retrieved chunks with the highest overlap with
+ * the question, kept in their original order.
+ */
+function extractAnswer(question, chunks) {
+    const queryTerms = new Set(tokenize(question));
+    const candidates = [];
+
+    chunks.forEach((chunk, chunkIdx) => {
+        splitSentences(chunk.content).forEach((sentence, sentenceIdx) => {
+            const terms = tokenize(sentence);
+            const overlap = terms.filter((t) => queryTerms.has(t)).length;
+            if (overlap === 0) return;
+            candidates.push({ sentence, chunkIdx, sentenceIdx, score: overlap / Math.sqrt(terms.length) });
+        });
+    });
+
+    const best = candidates
+        .sort((a, b) => b.score - a.score)
+        .slice(0, MAX_ANSWER_SENTENCES)
+        .sort((a, b) => a.chunkIdx - b.chunkIdx || a.sentenceIdx - b.sentenceIdx);
+
+    // Cite the context block each sentence came from, before its closing punctuation
+    return best.length > 0
+        ? best.map((c) => c.sentence.replace(/([.!?]*)$/, ` [${c.chunkIdx + 1}]$1`)).join(' ')
+        : NO_ANSWER;
+}
+
+/**
+ * Create the offline provider.
+ * @param {Object} [options]
+ * @param {number} [options.dimensions] - Embedding size (default 384)
+ */
+export function createLocalProvider({ dimensions = 384 } = {}) {
+    function answer({ prompt, question, chunks = [] }) {
+        const text = extractAnswer(question || '', chunks);
+        return { text, usage: { promptTokens: estimateTokens(prompt), completionTokens: estimateTokens(text) } };
+    }
+
+    return {
+        name: 'local',
+        embeddingModel: `local-hash-${dimensions}`,
+        chatModel: 'local-extractive',
+        // Can only quote the context, not write new text (e.g. query rewrites)
+        generative: false,
+        // Hashed bag-of-words vectors score much lower than neural embeddings
+        defaultThreshold: 0.15,
+
+        async embed(text) {
+            return hashEmbed(text, dimensions);
+        },
+
+        async generate(request) {
+            return answer(request);
+        },
+
+        async generateStream(request, onToken) {
+            const result = answer(request);
+            for (const sentence of splitSentences(result.text)) onToken(`${sentence} `);
+            return result;
+        },
+    };
+}
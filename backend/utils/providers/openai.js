@@ -0,0 +1,133 @@
+// utils/providers/openai.js
+// OpenAI-compatible HTTP provider (OpenAI, Ollama, vLLM, LM Studio, ...)
+// Uses the /embeddings and /chat/completions endpoints.
+
+import { logger } from '../logger.js';
+
+const log = logger.child({ component: 'provider' });
+
+function toUsage(usage) {
+    return {
+        promptTokens: usage?.prompt_tokens || 0,
+        completionTokens: usage?.completion_tokens || 0,
+    };
+}
+
+/**
+ * Create an OpenAI-compatible provider.
+ * @param {Object} options
+ * @param {string} options.baseUrl          - e.g. http://localhost:11434/v1
+ * @param {string} [options.apiKey]         - Sent as a Bearer token when set
+ * @param {string} options.embeddingModel   - Embedding model id
+ * @param {string} options.chatModel        - Chat model id
+ * @param {number} [options.temperature]
+ * @param {number} [options.maxOutputTokens]
+ */
+export function createOpenAIProvider({
+    baseUrl,
+    apiKey,
+    embeddingModel,
+    chatModel,
+    temperature = 0.2,
+    maxOutputTokens = 1024,
+}) {
+    if (!baseUrl) throw new Error('OPENAI_BASE_URL is not set.');
+    if (!embeddingModel || !chatModel) {
+        throw new Error('EMBEDDING_MODEL and CHAT_MODEL must be set for the openai provider.');
+    }
+
+    const root = baseUrl.replace(/\/+$/, '');
+    const headers = { 'Content-Type': 'application/json' };
+    if (apiKey) headers.Authorization = `Bearer ${apiKey}`;
+
+    async function post(path, body, signal) {
+        const res = await fetch(`${root}${path}`, {
+            method: 'POST',
+            headers,
+            body: JSON.stringify(body),
+            signal,
+        });
+        if (!res.ok) {
+            const detail = await res.text().catch(() => '');
+            const err = new Error(`${res.status} ${res.statusText} from ${path}: ${detail.slice(0, 200)}`);
+            err.status = res.status;
+            const retryAfter = Number(res.headers.get('retry-after'));
+            if (retryAfter > 0) err.retryAfter = retryAfter;
+            throw err;
+        }
+        return res;
+    }
+
+    // Mapped to SafetyBlockError by utils/errors.js, like Gemini's safety blocks
+    const contentFilterError = () => new Error(`Response was blocked by the content_filter of ${chatModel}`);
+
+    function chatBody(prompt, stream) {
+        return {
+            model: chatModel,
+            messages: [{ role: 'user', content: prompt }],
+            temperature,
+            max_tokens: maxOutputTokens,
+            stream,
+            ...(stream ? { stream_options: { include_usage: true } } : {}),
+        };
+    }
+
+    return {
+        name: 'openai',
+        embeddingModel,
+        chatModel,
+        defaultThreshold: 0.65,
+
+        async embed(text, { signal } = {}) {
+            const res = await post('/embeddings', { model: embeddingModel, input: text }, signal);
+            const data = await res.json();
+            return data.data[0].embedding;
+        },
+
+        async generate({ prompt, signal }) {
+            const res = await post('/chat/completions', chatBody(prompt, false), signal);
+            const data = await res.json();
+            if (data.choices[0]?.finish_reason === 'content_filter') throw contentFilterError();
+            return { text: data.choices[0]?.message?.content || '', usage: toUsage(data.usage) };
+        },
+
+        async generateStream({ prompt, signal }, onToken) {
+            const res = await post('/chat/completions', chatBody(prompt, true), signal);
+            const decoder = new TextDecoder();
+            let buffer = '';
+            let text = '';
+            let usage;
+
+            // Works for both node-fetch (Node stream) and native fetch (web stream)
+            for await (const part of res.body) {
+                buffer += typeof part === 'string' ? part : decoder.decode(part, { stream: true });
+                const lines = buffer.split('\n');
+                buffer = lines.pop();
+
+                for (const line of lines) {
+                    const trimmed = line.trim();
+                    if (!trimmed.startsWith('data:')) continue;
+                    const payload = trimmed.slice(5).trim();
+                    if (payload === '[DONE]') continue;
+
+                    let event;
+                    try {
+                        event = JSON.parse(payload);
+                    } catch {
+                        log.warn('Skipped an unparseable stream event', { chatModel, payload: payload.slice(0, 200) });
+                        continue;
+                    }
+                    if (event.usage) usage = event.usage;
+                    if (event.choices?.[0]?.finish_reason === 'content_filter') throw contentFilterError();
+                    const delta = event.choices?.[0]?.delta?.content;
+                    if (delta) {
+                        text += delta;
+                        onToken(delta);
+                    }
+                }
+            }
+
+            return { text, usage: toUsage(usage) };
+        },
+    };
+}
@@ -0,0 +1,262 @@
+// utils/providers/resilient.js
+// Wraps providers with the failure handling the server needs:
+//   deadlines       — every call is aborted after LLM_TIMEOUT_MS /
+//                     EMBEDDING_TIMEOUT_MS (streams: without a new token);
+//                     providers get an AbortSignal per attempt and close
+//                     the upstream request when it fires
+//   retries         — retryable errors (utils/errors.js) are retried with
+//                     jittered exponential backoff
+//   circuit breaker — after CIRCUIT_FAILURE_THRESHOLD failed calls in a row a
+//                     model is skipped for CIRCUIT_COOLDOWN_SECONDS, then one
+//                     trial call decides whether it is back
+//   model fallback  — generation falls through CHAT_MODEL_FALLBACKS when a
+//                     model times out, is rate limited, unavailable or open
+// Embeddings always use the primary provider: another model would not match
+// the stored vectors. A stream that has already emitted text is never
+// retried or handed to another model.
+
+import { withRetry } from '../retry.js';
+import { toProviderError, TimeoutError, CircuitOpenError } from '../errors.js';
+import { logger } from '../logger.js';
+
+const log = logger.child({ component: 'provider' });
+
+export const RESILIENCE_DEFAULTS = {
+    timeoutMs: 30000, // generation deadline (streams: longest wait for the next token)
+    embedTimeoutMs: 10000,
+    retries: 2, // per model, after the first attempt
+    baseDelayMs: 400,
+    maxDelayMs: 4000,
+    failureThreshold: 5, // consecutive failed calls that open a circuit
+    cooldownMs: 30000,
+};
+
+/**
+ * Resilience settings from the environment (LLM_TIMEOUT_MS,
+ * EMBEDDING_TIMEOUT_MS, LLM_RETRIES, CIRCUIT_FAILURE_THRESHOLD,
+ * CIRCUIT_COOLDOWN_SECONDS). Throws on invalid values.
+ */
+export function resilienceSettingsFromEnv(env = process.env) {
+    const num = (v, d) => (v !== undefined && v !== '' ? Number(v) : d);
+    const settings = {
+        ...RESILIENCE_DEFAULTS,
+        timeoutMs: num(env.LLM_TIMEOUT_MS, RESILIENCE_DEFAULTS.timeoutMs),
+        embedTimeoutMs: num(env.EMBEDDING_TIMEOUT_MS, RESILIENCE_DEFAULTS.embedTimeoutMs),
+        retries: num(env.LLM_RETRIES, RESILIENCE_DEFAULTS.retries),
+        failureThreshold: num(env.CIRCUIT_FAILURE_THRESHOLD, RESILIENCE_DEFAULTS.failureThreshold),
+        cooldownMs: num(env.CIRCUIT_COOLDOWN_SECONDS, RESILIENCE_DEFAULTS.cooldownMs / 1000) * 1000,
+    };
+    for (const key of ['timeoutMs', 'embedTimeoutMs', 'failureThreshold']) {
+        if (!Number.isInteger(settings[key]) || settings[key] < 1) throw new Error(`Resilience ${key} must be a positive integer.`);
+    }
+    if (!Number.isInteger(settings.retries) || settings.retries < 0) {
+        throw new Error('LLM_RETRIES must be a non-negative integer.');
+    }
+    if (!(settings.cooldownMs > 0)) throw new Error('CIRCUIT_COOLDOWN_SECONDS must be positive.');
+    return settings;
+}
+
+/**
+ * Circuit breaker: closed (calls pass) → open after `failureThreshold`
+ * consecutive failures (calls are refused) → half-open after `cooldownMs`
+ * (one trial call; success closes the circuit, failure opens it again).
+ */
+export function createCircuitBreaker({ failureThreshold, cooldownMs }) {
+    let state = 'closed';
+    let failures = 0;
+    let openedAt = 0;
+    let trialInFlight = false;
+
+    return {
+        /**
+         * Whether a call may go ahead now (claims the trial call when half-open).
+         */
+        allow(now = Date.now()) {
+            if (state === 'open' && now - openedAt >= cooldownMs) state = 'half-open';
+            if (state === 'closed') return true;
+            if (state === 'half-open' && !trialInFlight) {
+                trialInFlight = true;
+                return true;
+            }
+            return false;
+        },
+
+        success() {
+            state = 'closed';
+            failures = 0;
+            trialInFlight = false;
+        },
+
+        failure(now = Date.now()) {
+            failures++;
+            trialInFlight = false;
+            if (state === 'half-open' || failures >= failureThreshold) {
+                state = 'open';
+                openedAt = now;
+            }
+        },
+
+        // Milliseconds until an open circuit allows a trial call
+        retryAfterMs(now = Date.now()) {
+            return state === 'open' ? Math.max(0, cooldownMs - (now - openedAt)) : 0;
+        },
+
+        snapshot(now = Date.now()) {
+            const current = state === 'open' && now - openedAt >= cooldownMs ? 'half-open' : state;
+            return { state: current, failures };
+        },
+    };
+}
+
+/**
+ * Run `call(alive, signal)` with a deadline. `alive()` restarts the deadline
+ * (for streams: call it on every token) and returns false once the deadline
+ * has passed, so late output can be dropped. When the deadline passes,
+ * `signal` is aborted so the provider can close its request; late results
+ * and errors are ignored.
+ */
+function withDeadline(call, ms, label) {
+    const controller = new AbortController();
+    return new Promise((resolve, reject) => {
+        let settled = false;
+        let timer;
+        const arm = () => {
+            clearTimeout(timer);
+            timer = setTimeout(() => {
+                settled = true;
+                const err = new TimeoutError(`${label} timed out after ${ms}ms`);
+                controller.abort(err);
+                reject(err);
+            }, ms);
+        };
+        const alive = () => {
+            if (!settled) arm();
+            return !settled;
+        };
+        const settle = (fn) => (value) => {
+            if (settled) return;
+            settled = true;
+            clearTimeout(timer);
+            fn(value);
+        };
+
+        arm();
+        Promise.resolve()
+            .then(() => call(alive, controller.signal))
+            .then(settle(resolve), settle(reject));
+    });
+}
+
+// Failures that say nothing about the model's health (bad credentials, blocked content) don't trip the breaker
+const tripsBreaker = (err) => err.retryable || err.status === 502;
+
+// Generation errors another model might not have
+const canFallBack = (err) => err.retryable || err instanceof CircuitOpenError || err.status === 502;
+
+/**
+ * Wrap a primary provider and its fallback chat models.
+ * @param {Array}  providers  - [primary, ...fallbacks]; fallbacks differ only in chat model
+ * @param {Object} [settings] - RESILIENCE_DEFAULTS overrides
+ * @returns {Object} A provider (same interface) whose generate results also carry `model`,
+ *          plus `fallbackModels`, the resolved `resilience` settings and `circuits()` for /health
+ */
+export function createResilientProvider(providers, settings = {}) {
+    const options = { ...RESILIENCE_DEFAULTS, ...settings };
+    const [primary] = providers;
+    const breaker = () => createCircuitBreaker(options);
+    const embedBreaker = breaker();
+    const chatBreakers = providers.map(breaker);
+
+    const retrying = (label, isRetryable = (err) => err.retryable) => ({
+        retries: options.retries,
+        baseDelayMs: options.baseDelayMs,
+        maxDelayMs: options.maxDelayMs,
+        isRetryable,
+        onRetry: (err, attempt, delay) => log.warn(`${label} failed, retrying`, { attempt, delayMs: delay, err }),
+    });
+
+    // One call through a breaker: deadline + retries, typed errors out
+    async function guarded(circuit, label, context, timeoutMs, call, retryable) {
+        if (!circuit.allow()) {
+            throw new CircuitOpenError(`${label} circuit is open`, { retryAfterMs: circuit.retryAfterMs() || null });
+        }
+        try {
+            const result = await withRetry(async () => {
+                try {
+                    return await withDeadline(call, timeoutMs, label);
+                } catch (err) {
+                    throw toProviderError(err, context);
+                }
+            }, retrying(label, retryable));
+            circuit.success();
+            return result;
+        } catch (err) {
+            if (tripsBreaker(err)) circuit.failure();
+            else circuit.success();
+            throw err;
+        }
+    }
+
+    // Try each chat model in turn; `stream` says whether output already reached the client
+    async function generateWithFallback(run, stream = { emitted: false }) {
+        let lastError;
+        for (const [i, provider] of providers.entries()) {
+            const label = `Chat model ${provider.chatModel}`;
+            try {
+                const response = await guarded(
+                    chatBreakers[i],
+                    label,
+                    'LLM API',
+                    options.timeoutMs,
+                    (alive, signal) => run(provider, alive, signal),
+                    (err) => err.retryable && !stream.emitted
+                );
+                return { ...response, model: provider.chatModel };
+            } catch (err) {
+                lastError = err;
+                const next = providers[i + 1];
+                if (stream.emitted || !next || !canFallBack(err)) throw err;
+                log.warn(`${label} failed, falling back`, { fallbackModel: next.chatModel, err });
+            }
+        }
+        throw lastError;
+    }
+
+    return {
+        ...primary,
+        fallbackModels: providers.slice(1).map((p) => p.chatModel),
+        resilience: options,
+
+        embed(text) {
+            const label = `Embedding model ${primary.embeddingModel}`;
+            return guarded(embedBreaker, label, 'Embedding API', options.embedTimeoutMs, (_alive, signal) => primary.embed(text, { signal }));
+        },
+
+        generate(request) {
+            return generateWithFallback((provider, _alive, signal) => provider.generate({ ...request, signal }));
+        },
+
+        generateStream(request, onToken) {
+            const stream = { emitted: false };
+            return generateWithFallback(
+                (provider, alive, signal) =>
+                    provider.generateStream({ ...request, signal }, (delta) => {
+                        if (!alive()) return;
+                        stream.emitted = true;
+                        onToken(delta);
+                    }),
+                stream
+            );
+        },
+
+        /**
+         * Circuit states for /health.
+         */
+        circuits() {
+            return [
+                { model: primary.embeddingModel, kind: 'embedding', ...embedBreaker.snapshot() },
+                ...providers.map((p, i) => ({ model: p.chatModel, kind: 'chat', ...chatBreakers[i].snapshot() })),
+            ];
+        },
+    };
+}
@@ -0,0 +1,106 @@
+// utils/queryRewrite.js
+// Query condensation: turns a follow-up ("what about the annual one?") plus
+// recent history into a standalone search query before retrieval.
+//   off       — search with the raw message
+//   heuristic — deterministic: follow-ups borrow the key terms of the previous question
+//   llm       — the chat model rewrites the query (falls back to heuristic on failure)
+// The answer prompt always uses the user's original message.
+
+import { contentWords, usageTokens } from './text.js';
+import { logger } from './logger.js';
+
+export const QUERY_REWRITE_MODES = ['off', 'heuristic', 'llm'];
+export const DEFAULT_QUERY_REWRITE = 'heuristic';
+
+const HISTORY_MESSAGES = 4; // last 2 exchanges
+const MAX_BORROWED_TERMS = 8;
+const MAX_QUERY_LENGTH = 300;
+
+// Openers and pronouns that lean on the previous turn
+const FOLLOW_UP_PATTERN =
+    /^\s*(and|but|also|so|then|what about|how about|what if|same)\b|\b(it|its|that|this|those|these|they|them|their|one|ones|there)\b/i;
+
+function isFollowUp(message) {
+    return FOLLOW_UP_PATTERN.test(message) || contentWords(message).length <= 2;
+}
+
+/**
+ * Append the previous question's key terms to a follow-up message.
+ */
+function heuristicRewrite(message, history) {
+    const previous = [...history].reverse().find((m) => m.role === 'user');
+    if (!previous || !isFollowUp(message)) return message;
+
+    const present = new Set(contentWords(message).map((w) => w.toLowerCase()));
+    const borrowed = [];
+    for (const word of contentWords(previous.content)) {
+        const key = word.toLowerCase();
+        if (present.has(key)) continue;
+        present.add(key);
+        borrowed.push(word);
+        if (borrowed.length === MAX_BORROWED_TERMS) break;
+    }
+
+    return borrowed.length ? `${message} ${borrowed.join(' ')}` : message;
+}
+
+function buildRewritePrompt(message, history) {
+    const conversation = history
+        .slice(-HISTORY_MESSAGES)
+        .map((m) => `${m.role === 'user' ? 'User' : 'Assistant'}: ${m.content}`)
+        .join('\n');
+
+    return `Rewrite the user's latest message as a standalone search query for a support knowledge base, using the conversation for context. Keep product names and key terms. If the message is already standalone, return it unchanged. Reply with the query only.
+
+---
+CONVERSATION:
+${conversation}
+
+---
+LATEST MESSAGE:
+${message}
+
+STANDALONE QUERY:`;
+}
+
+// Tokens of a call whose output was unusable are still reported (err.tokensUsed)
+async function llmRewrite(message, history, provider) {
+    const { text, usage } = await provider.generate({ prompt: buildRewritePrompt(message, history), question: message, chunks: [] });
+    const tokensUsed = usageTokens(usage);
+    const query = (text || '')
+        .split('\n')
+        .map((l) => l.trim())
+        .find(Boolean)
+        ?.replace(/^["'`]+|["'`]+$/g, '');
+
+    if (!query || query.length > MAX_QUERY_LENGTH) throw Object.assign(new Error('unusable rewrite'), { tokensUsed });
+    return { query, tokensUsed };
+}
+
+/**
+ * Build the search query for the latest message.
+ * @param {string} message  - The user's current message
+ * @param {Array}  history  - Previous messages ({ role, content })
+ * @param {Object} options
+ * @param {string} options.mode      - One of QUERY_REWRITE_MODES
+ * @param {Object} [options.provider] - Needed for 'llm' mode
+ * @param {Object} [options.log]      - Request logger (utils/logger.js)
+ * @returns {Promise<{ query: string, mode: string, tokensUsed: number }>} `mode` is the one that
+ *          actually ran; `tokensUsed` counts the rewrite call (0 without one)
+ */
+export async function rewriteQuery(message, history, { mode = DEFAULT_QUERY_REWRITE, provider, log = logger } = {}) {
+    if (mode === 'off' || history.length === 0) return { query: message, mode: 'off', tokensUsed: 0 };
+
+    // Extractive providers cannot write new text
+    let tokensUsed = 0;
+    if (mode === 'llm' && provider && provider.generative !== false) {
+        try {
+            return { ...(await llmRewrite(message, history, provider)), mode: 'llm' };
+        } catch (err) {
+            tokensUsed = err.tokensUsed || 0;
+            log.warn('Query rewrite failed, using heuristic', { err });
+        }
+    }
+
+    return { query: heuristicRewrite(message, history), mode: 'heuristic', tokensUsed };
+}
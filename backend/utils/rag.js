@@ -1,127 +1,398 @@
 // rag.js — Core RAG Pipeline
-// 1. Embed the user query
-// 2. Retrieve top-K relevant chunks via cosine similarity
-// 3. Build an augmented prompt
-// 4. Call Gemini LLM and return structured result
-
-import { GoogleGenerativeAI } from '@google/generative-ai';
-import { retrieveTopK } from './vector_math.js';
-
-const EMBEDDING_MODEL = 'gemini-embedding-001';
-const CHAT_MODEL = 'gemini-2.5-flash';
-const TEMPERATURE = 0.2;
-const TOP_K_RESULTS = 3;
-
-let genAI;
-let embeddingModel;
-let chatModel;
-
-export function initRAG(apiKey) {
-    genAI = new GoogleGenerativeAI(apiKey);
-    embeddingModel = genAI.getGenerativeModel({ model: EMBEDDING_MODEL });
-    chatModel = genAI.getGenerativeModel({
-        model: CHAT_MODEL,
-        generationConfig: {
-            temperature: TEMPERATURE,
-            maxOutputTokens: 1024,
-        },
-    });
+// 0. Condense follow-ups into a standalone search query (utils/queryRewrite.js)
+// 1. Embed the search query
+//    (first-turn questions may be answered from the semantic answer cache, utils/cache.js)
+// 2. Retrieve the top candidate chunks (cosine similarity fused with BM25),
+//    optionally reranked with MMR diversity (utils/rerank.js)
+// 3. Build an augmented prompt from the request's template (utils/promptTemplates.js)
+//    within the token budget (utils/tokenBudget.js)
+// 4. Call the configured LLM provider and return structured result
+// 5. Check the answer's [n] citations against the retrieved chunks
+// 6. Score how well the answer is grounded in those chunks (utils/groundedness.js)
+// Each stage is timed as a span of the request's trace (utils/tracing.js).
+
+import { retrieve, storedEmbeddings, DEFAULT_RETRIEVAL } from './retrieval.js';
+import { RERANK_DEFAULTS, retrieveReranked } from './rerank.js';
+import { resolveCitations } from './citations.js';
+import { rewriteQuery, DEFAULT_QUERY_REWRITE } from './queryRewrite.js';
+import { PROMPT_BUDGET_DEFAULTS, fitChunks, fitHistory } from './tokenBudget.js';
+import { GROUNDEDNESS_DEFAULTS, checkGroundedness } from './groundedness.js';
+import { estimateTokens, usageTokens } from './text.js';
+import { toProviderError } from './errors.js';
+import { normalizeVector } from './vector_math.js';
+import { CACHE_DEFAULTS, createEmbeddingCache, createAnswerCache } from './cache.js';
+import { createTrace } from './tracing.js';
+import { getPromptTemplate, renderPrompt, renderFallback } from './promptTemplates.js';
+
+let provider;
+let budget = { ...PROMPT_BUDGET_DEFAULTS };
+let groundedness = { ...GROUNDEDNESS_DEFAULTS };
+let rerank = { ...RERANK_DEFAULTS };
+let embeddingCache = createEmbeddingCache();
+let answerCache = null;
+
+/**
+ * Initialise the pipeline with an embedding/generation provider
+ * (see utils/providers/index.js).
+ * @param {Object} [options]
+ * @param {Object} [options.promptBudget] - Token budget overrides (utils/tokenBudget.js)
+ * @param {Object} [options.groundedness] - Groundedness check settings (utils/groundedness.js)
+ * @param {Object} [options.rerank]       - Default reranking settings (utils/rerank.js)
+ * @param {Object} [options.cache]        - Embedding / answer cache settings (utils/cache.js)
+ */
+export function initRAG(ragProvider, { promptBudget, groundedness: groundednessSettings, rerank: rerankSettings, cache } = {}) {
+    provider = ragProvider;
+    budget = { ...PROMPT_BUDGET_DEFAULTS, ...promptBudget };
+    groundedness = { ...GROUNDEDNESS_DEFAULTS, ...groundednessSettings };
+    rerank = { ...RERANK_DEFAULTS, ...rerankSettings };
+
+    const caching = { ...CACHE_DEFAULTS, ...cache };
+    embeddingCache = createEmbeddingCache({ maxEntries: caching.embeddingEntries, ttlMs: caching.embeddingTtlMs });
+    answerCache = caching.answers
+        ? createAnswerCache({ maxEntries: caching.answerEntries, ttlMs: caching.answerTtlMs, similarity: caching.answerSimilarity })
+        : null;
+}
+
+/**
+ * Hit/miss counters of the query embedding cache and the answer cache (null when off).
+ */
+export function getCacheStats() {
+    return { embeddings: embeddingCache.stats(), answers: answerCache ? answerCache.stats() : null };
 }
 
+const formatChunk = (chunk, i) =>
+    `[${i + 1}] (Source: "${chunk.title}", Relevance: ${(chunk.score * 100).toFixed(1)}%)\n${chunk.content}`;
+const formatMessage = (m) => `${m.role === 'user' ? 'User' : 'Assistant'}: ${m.content}`;
+const SUMMARY_LABEL = 'Summary of earlier conversation:';
+
+// The default template when the caller did not resolve one
+const defaultPrompt = () => ({ template: getPromptTemplate(), variables: {} });
+
 /**
- * Build the augmented prompt from retrieved context and conversation history.
+ * Build the augmented prompt within the token budget: ranked chunks fill the
+ * context share (the last one trimmed if needed), then the conversation
+ * summary and the newest turns fill the rest.
+ * @param {Object} prompt - { template, variables } (utils/promptTemplates.js)
+ * @returns {{ prompt: string, chunks: Array }} `chunks` = the chunks actually
+ *          included, numbered [1]..[n] in the prompt
  */
-function buildPrompt(retrievedChunks, history, userMessage) {
+function buildPrompt(retrievedChunks, history, userMessage, summary, prompt) {
+    const skeleton = estimateTokens(renderPrompt(prompt, { context: '', history: '', question: userMessage }));
+    const available = Math.max(0, budget.maxPromptTokens - skeleton);
+
     // Format retrieved context
+    const context = fitChunks(retrievedChunks, Math.floor(available * budget.contextShare), formatChunk, budget);
     const contextBlock =
-        retrievedChunks.length > 0
-            ? retrievedChunks
-                .map((chunk, i) => `[${i + 1}] (Source: "${chunk.title}", Relevance: ${(chunk.score * 100).toFixed(1)}%)\n${chunk.content}`)
-                .join('\n\n')
-            : 'No relevant context found.';
-
-    // Format conversation history
-    const historyBlock =
+        context.chunks.length > 0 ? context.chunks.map(formatChunk).join('\n\n') : 'No relevant context found.';
+
+    // Format conversation history (summary of older turns + newest turns verbatim)
+    const historyBudget = available - context.used - (summary ? estimateTokens(SUMMARY_LABEL) + 1 : 0);
+    const fitted = fitHistory(summary, history, historyBudget, formatMessage);
+    const historyLines = [
+        ...(fitted.summary ? [`${SUMMARY_LABEL}\n${fitted.summary}`] : []),
+        ...fitted.messages.map(formatMessage),
+    ];
+    const historyBlock = historyLines.length > 0 ? historyLines.join('\n') : 'No previous conversation.';
+
+    return {
+        prompt: renderPrompt(prompt, { context: contextBlock, history: historyBlock, question: userMessage }),
+        chunks: context.chunks,
+    };
+}
+
+/**
+ * Answer cache scope of a request, or null when its answer must not be
+ * shared: follow-ups depend on the conversation, and keyword-only searches
+ * have no query embedding to compare. The scope covers the collection and
+ * knowledge base version (`options.cacheScope`), every retrieval setting and
+ * the prompt template version and variables.
+ */
+function answerScope(history, threshold, options, prompt) {
+    const { retrieval = DEFAULT_RETRIEVAL, rerank: rerankSettings = rerank } = options;
+    if (!answerCache || !options.cacheScope || history.length > 0 || options.summary || retrieval.mode === 'keyword') {
+        return null;
+    }
+    const { mode, candidates, candidateMargin, mmrLambda } = rerankSettings;
+    const settings = {
+        threshold,
+        retrieval,
+        rerank: { mode, candidates, candidateMargin, mmrLambda },
+        filter: options.filter || null,
+        prompt: { version: prompt.template.version, variables: prompt.variables },
+    };
+    return `${options.cacheScope}|${JSON.stringify(settings)}`;
+}
+
+/**
+ * Rewrite the query if it is a follow-up, embed it (unless keyword-only) and
+ * return the top-K eligible chunks plus the query that was searched. With
+ * reranking on, the top-K of the reranked candidate set (utils/rerank.js).
+ * A cached answer for the same question is returned as `cached` instead.
+ * `tokensUsed` counts the rewrite and rerank model calls.
+ */
+async function retrieveContext(userMessage, vectorStore, history, threshold, options, trace, prompt) {
+    const { retrieval = DEFAULT_RETRIEVAL, queryRewrite = DEFAULT_QUERY_REWRITE, rerank: rerankSettings = rerank } = options;
+    const { log } = trace;
+    const { query, tokensUsed: rewriteTokens } =
         history.length > 0
-            ? history
-                .map((m) => `${m.role === 'user' ? 'User' : 'Assistant'}: ${m.content}`)
-                .join('\n')
-            : 'No previous conversation.';
+            ? await trace.span('rewrite', () => rewriteQuery(userMessage, history, { mode: queryRewrite, provider, log }))
+            : { query: userMessage, tokensUsed: 0 };
+    const rewrittenQuery = query !== userMessage ? query : null;
+
+    let queryEmbedding = null;
+    if (retrieval.mode !== 'keyword') {
+        queryEmbedding = await trace.span('embed', async () => {
+            try {
+                return await embeddingCache.embed(provider, query);
+            } catch (err) {
+                throw toProviderError(err, 'Embedding API');
+            }
+        });
+    }
 
-    return `You are a helpful, accurate support assistant. Your responses must be based ONLY on the provided context below. 
-If the context does not contain enough information to answer the question, honestly say: "I don't have enough information in my knowledge base to answer that question accurately. Please contact support for further help."
-Do NOT make up information or use outside knowledge.
+    const scope = answerScope(history, threshold, options, prompt);
+    const answerKey = scope ? { scope, embedding: normalizeVector(queryEmbedding) } : null;
+    const hit = answerKey && answerCache.find(answerKey.scope, answerKey.embedding);
+    if (hit) return { cached: hit.result, rewrittenQuery, tokensUsed: rewriteTokens };
 
----
-CONTEXT FROM KNOWLEDGE BASE:
-${contextBlock}
+    const filter = options.filter || null;
+    if (rerankSettings.mode === 'off') {
+        const chunks = await trace.span('retrieve', () =>
+            retrieve(queryEmbedding, query, vectorStore, { ...retrieval, k: budget.maxChunks, threshold, filter })
+        );
+        return { chunks, rewrittenQuery, rerank: null, answerKey, tokensUsed: rewriteTokens };
+    }
+
+    const reranked = await trace.span('retrieve', () =>
+        retrieveReranked(queryEmbedding, query, vectorStore, { threshold, retrieval, filter, settings: rerankSettings, provider, log })
+    );
+    const tokensUsed = rewriteTokens + reranked.tokensUsed;
+    if (reranked.chunks.length === 0) return { chunks: [], rewrittenQuery, rerank: null, answerKey, tokensUsed };
+    return { chunks: reranked.chunks.slice(0, budget.maxChunks), rewrittenQuery, rerank: reranked, answerKey, tokensUsed };
+}
 
----
-CONVERSATION HISTORY:
-${historyBlock}
+// Debug view of a rerank: every candidate with its ranks and whether it made the prompt
+function rerankReport(reranked, topChunks) {
+    if (!reranked) return null;
+    const inPrompt = new Set(topChunks.map((c) => c.id));
+    return {
+        method: reranked.method,
+        candidates: reranked.chunks.map((c) => ({
+            id: c.id,
+            title: c.title,
+            preRank: c.preRank,
+            postRank: c.postRank,
+            fusedScore: parseFloat(c.fusedScore.toFixed(4)),
+            rerankScore: parseFloat(c.rerankScore.toFixed(4)),
+            inPrompt: inPrompt.has(c.id),
+        })),
+    };
+}
 
----
-USER QUESTION:
-${userMessage}
+// `tokensUsed` = tokens of the model calls made before falling back (rewrite, rerank)
+function fallbackResult(rewrittenQuery, prompt, tokensUsed = 0) {
+    return {
+        reply: renderFallback(prompt),
+        rewrittenQuery,
+        tokensUsed,
+        retrievedChunks: 0,
+        scores: [],
+        sources: [],
+        groundedness: null,
+        unsupported: [],
+        promptVersion: prompt.template.version,
+        model: null,
+        fallback: true,
+        rerank: null,
+        cached: false,
+    };
+}
 
-ANSWER:`;
+// A cached answer costs no generation tokens this time, only the calls made before the lookup
+function cachedResult(result, tokensUsed = 0) {
+    return { ...result, tokensUsed, cached: true };
+}
+
+// Keep answers (not fallbacks) for later first-turn questions
+function rememberAnswer(answerKey, result) {
+    if (answerKey && !result.fallback) answerCache.store(answerKey.scope, answerKey.embedding, result);
+    return result;
+}
+
+// `auxTokens` = tokens of the rewrite and rerank calls, added to the generation's
+function buildResult({ text, usage, model }, topChunks, rewrittenQuery, reranked, prompt, auxTokens) {
+    const { reply, sources } = resolveCitations(text, topChunks);
+    return {
+        reply,
+        rewrittenQuery,
+        tokensUsed: usageTokens(usage) + auxTokens,
+        retrievedChunks: topChunks.length,
+        scores: topChunks.map((c) => ({
+            title: c.title,
+            score: parseFloat(c.score.toFixed(4)),
+            keywordScore: parseFloat(c.keywordScore.toFixed(4)),
+            fusedScore: parseFloat(c.fusedScore.toFixed(4)),
+            ...(c.rerankScore !== undefined
+                ? { rerankScore: parseFloat(c.rerankScore.toFixed(4)), preRank: c.preRank, postRank: c.postRank }
+                : {}),
+        })),
+        sources,
+        groundedness: null,
+        unsupported: [],
+        promptVersion: prompt.template.version,
+        model: model || provider.chatModel,
+        fallback: false,
+        rerank: rerankReport(reranked, topChunks),
+        cached: false,
+    };
+}
+
+/**
+ * Attach the groundedness score and unsupported claims to a result. In strict
+ * mode an answer scoring below the threshold is replaced by the fallback reply
+ * (the score and claims are kept so the rejection is visible). Tokens of the
+ * judge call are added to the result's.
+ */
+async function verifyResult(result, topChunks, vectorStore, threshold, trace, prompt) {
+    if (groundedness.mode === 'off') return result;
+
+    const check = await trace.span('groundedness', () =>
+        checkGroundedness(result.reply, topChunks, {
+            provider,
+            chunkEmbeddings: storedEmbeddings(topChunks, vectorStore),
+            minSimilarity: groundedness.minSimilarity ?? threshold,
+            settings: groundedness,
+            log: trace.log,
+        })
+    );
+    const verified = {
+        ...result,
+        tokensUsed: result.tokensUsed + check.tokensUsed,
+        groundedness: parseFloat(check.score.toFixed(4)),
+        unsupported: check.unsupported,
+    };
+
+    if (groundedness.strict && check.score < groundedness.threshold) {
+        trace.log.warn('Answer withheld', { groundedness: verified.groundedness, threshold: groundedness.threshold });
+        return {
+            ...fallbackResult(result.rewrittenQuery, prompt),
+            tokensUsed: verified.tokensUsed,
+            retrievedChunks: result.retrievedChunks,
+            scores: result.scores,
+            groundedness: verified.groundedness,
+            unsupported: verified.unsupported,
+            promptVersion: result.promptVersion,
+            model: result.model,
+            rerank: result.rerank,
+        };
+    }
+    return verified;
 }
 
 /**
  * Main RAG pipeline function.
  * @param {string}   userMessage  - The user's current question
  * @param {Array}    vectorStore  - Array of embedded document chunks
- * @param {Array}    history      - Conversation history (role, content)
+ * @param {Array}    history      - Unsummarized conversation history (role, content), oldest first
  * @param {number}   threshold    - Minimum cosine similarity score
- * @returns {Object} { reply, tokensUsed, retrievedChunks, scores }
+ * @param {Object}   [options]
+ * @param {Object}   [options.retrieval]    - Retrieval mode/fusion settings (utils/retrieval.js)
+ * @param {string}   [options.queryRewrite] - off | heuristic | llm (utils/queryRewrite.js)
+ * @param {string}   [options.summary]      - Rolling summary of older turns (utils/conversationSummary.js)
+ * @param {Object}   [options.prompt]       - { template, variables } (utils/promptTemplates.js); default template if omitted
+ * @param {Array}    [options.filter]       - Parsed metadata filter (utils/metadataFilter.js)
+ * @param {Object}   [options.rerank]       - Reranking settings (utils/rerank.js); default from initRAG
+ * @param {string}   [options.cacheScope]   - Collection + knowledge base version; enables the answer cache
+ * @param {Object}   [options.trace]        - Request trace (utils/tracing.js); stages are recorded as its spans
+ * @returns {Object} { reply, rewrittenQuery, tokensUsed, retrievedChunks, scores, sources, groundedness, unsupported,
+ *                   promptVersion, model, fallback, rerank, cached }
+ *                   where rewrittenQuery is the search query when it differs from userMessage, else null,
+ *                   promptVersion is the template version ("<id>-v<n>+<hash>") that produced the reply or fallback,
+ *                   groundedness is null when the check is off or no answer was generated,
+ *                   rerank ({ method, candidates }) is null unless reranking ran,
+ *                   model is the chat model that answered (null for fallbacks),
+ *                   cached is true when the reply came from the answer cache,
+ *                   and tokensUsed covers every model call of the request (rewrite, rerank, generation, judge)
+ * @throws {ProviderError} Typed provider failure (utils/errors.js)
  */
-export async function runRAGPipeline(userMessage, vectorStore, history, threshold = 0.65) {
-    // Step 1: Embed the user query
-    let queryEmbedding;
-    try {
-        const embedResult = await embeddingModel.embedContent(userMessage);
-        queryEmbedding = embedResult.embedding.values;
-    } catch (err) {
-        throw new Error(`Embedding API error: ${err.message}`);
-    }
+export async function runRAGPipeline(userMessage, vectorStore, history, threshold = 0.65, options = {}) {
+    const { trace = createTrace(), prompt = defaultPrompt() } = options;
 
-    // Step 2: Retrieve top-K relevant chunks
-    const topChunks = retrieveTopK(queryEmbedding, vectorStore, TOP_K_RESULTS, threshold);
+    // Step 0-2: Condense follow-ups, embed the search query and retrieve top-K relevant chunks
+    const context = await retrieveContext(userMessage, vectorStore, history, threshold, options, trace, prompt);
+    const { chunks: candidates, rewrittenQuery, rerank: reranked } = context;
+
+    if (context.cached) {
+        return cachedResult(context.cached, context.tokensUsed);
+    }
 
     // Step 3: If no chunks meet threshold, return a safe fallback
-    if (topChunks.length === 0) {
-        return {
-            reply:
-                "I'm sorry, I couldn't find relevant information in my knowledge base to answer your question. For more help, please contact our support team at support@company.com.",
-            tokensUsed: 0,
-            retrievedChunks: 0,
-            scores: [],
-            fallback: true,
-        };
+    if (candidates.length === 0) {
+        return fallbackResult(rewrittenQuery, prompt, context.tokensUsed);
     }
 
-    // Step 4: Build augmented prompt
-    const prompt = buildPrompt(topChunks, history, userMessage);
+    // Step 4: Build augmented prompt within the token budget
+    const { prompt: promptText, chunks: topChunks } = buildPrompt(candidates, history, userMessage, options.summary, prompt);
 
     // Step 5: Call LLM
-    let llmResponse;
-    try {
-        const result = await chatModel.generateContent(prompt);
-        llmResponse = result.response;
-    } catch (err) {
-        throw new Error(`LLM API error: ${err.message}`);
+    const llmResponse = await trace.span('generate', async () => {
+        try {
+            return await provider.generate({ prompt: promptText, question: userMessage, chunks: topChunks });
+        } catch (err) {
+            throw toProviderError(err, 'LLM API');
+        }
+    });
+
+    // Step 6: Check the answer against the chunks it was given
+    const result = buildResult(llmResponse, topChunks, rewrittenQuery, reranked, prompt, context.tokensUsed);
+    return rememberAnswer(context.answerKey, await verifyResult(result, topChunks, vectorStore, threshold, trace, prompt));
+}
+
+/**
+ * Streaming variant of runRAGPipeline. Calls `onToken` with each text delta
+ * as the LLM produces it and resolves with the same result shape once the
+ * reply is complete. The fallback reply and cached answers are emitted as a single delta.
+ * Streamed deltas are the raw LLM output; the resolved `reply` may differ
+ * when invalid citation markers were removed or, in strict groundedness
+ * mode, when the answer was replaced by the fallback.
+ * @param {Object}   [options]
+ * @param {Function} [options.onToken]   - Called with each text delta (string)
+ * @param {Object}   [options.retrieval] - Retrieval mode/fusion settings
+ * @param {string}   [options.queryRewrite] - off | heuristic | llm
+ * @param {string}   [options.summary]   - Rolling summary of older turns
+ * @param {Object}   [options.prompt]    - Prompt template and variables
+ * @param {Array}    [options.filter]    - Parsed metadata filter
+ * @param {Object}   [options.rerank]    - Reranking settings
+ * @param {string}   [options.cacheScope] - Collection + knowledge base version
+ * @param {Object}   [options.trace]     - Request trace
+ */
+export async function runRAGPipelineStream(userMessage, vectorStore, history, threshold = 0.65, options = {}) {
+    const { onToken = () => {}, trace = createTrace(), prompt = defaultPrompt() } = options;
+    const context = await retrieveContext(userMessage, vectorStore, history, threshold, options, trace, prompt);
+    const { chunks: candidates, rewrittenQuery, rerank: reranked } = context;
+
+    if (context.cached) {
+        const result = cachedResult(context.cached, context.tokensUsed);
+        onToken(result.reply);
+        return result;
     }
 
-    const reply = llmResponse.text();
-    const usageMetadata = llmResponse.usageMetadata;
+    if (candidates.length === 0) {
+        const result = fallbackResult(rewrittenQuery, prompt, context.tokensUsed);
+        onToken(result.reply);
+        return result;
+    }
 
-    return {
-        reply,
-        tokensUsed: usageMetadata
-            ? (usageMetadata.promptTokenCount || 0) + (usageMetadata.candidatesTokenCount || 0)
-            : 0,
-        retrievedChunks: topChunks.length,
-        scores: topChunks.map((c) => ({ title: c.title, score: parseFloat(c.score.toFixed(4)) })),
-        fallback: false,
-    };
+    const { prompt: promptText, chunks: topChunks } = buildPrompt(candidates, history, userMessage, options.summary, prompt);
+
+    const llmResponse = await trace.span('generate', async () => {
+        try {
+            return await provider.generateStream({ prompt: promptText, question: userMessage, chunks: topChunks }, onToken);
+        } catch (err) {
+            throw toProviderError(err, 'LLM API');
+        }
+    });
+
+    const result = buildResult(llmResponse, topChunks, rewrittenQuery, reranked, prompt, context.tokensUsed);
+    return rememberAnswer(context.answerKey, await verifyResult(result, topChunks, vectorStore, threshold, trace, prompt));
 }
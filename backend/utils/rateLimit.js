@@ -0,0 +1,181 @@
+// utils/rateLimit.js
+// Token-bucket request limits per API key and per client IP, plus daily token
+// quotas per owner. Responses carry the IETF RateLimit headers
+// (RateLimit-Policy, RateLimit-Limit, RateLimit-Remaining, RateLimit-Reset)
+// for whichever limit is closest to running out, and Retry-After on 429.
+// State is in memory: limits and quotas are per server process and quota
+// usage resets on restart. Without authentication every client is the same
+// local principal, so requests are limited per IP and quotas counted per IP.
+
+import { isAuthEnabled } from './auth.js';
+
+export const RATE_LIMIT_DEFAULTS = {
+    keyPerMinute: 30, // requests per API key (bucket capacity = one minute's worth)
+    ipPerMinute: 60, // requests per client IP
+    dailyTokens: 200000, // tokens per owner per UTC day; 0 = unlimited
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Rate limit settings from the environment (RATE_LIMIT_PER_MINUTE,
+ * RATE_LIMIT_IP_PER_MINUTE, DAILY_TOKEN_QUOTA). 0 disables a limit.
+ * Throws on invalid values.
+ */
+export function rateLimitSettingsFromEnv(env = process.env) {
+    const num = (v, d) => (v !== undefined && v !== '' ? Number(v) : d);
+    const settings = {
+        keyPerMinute: num(env.RATE_LIMIT_PER_MINUTE, RATE_LIMIT_DEFAULTS.keyPerMinute),
+        ipPerMinute: num(env.RATE_LIMIT_IP_PER_MINUTE, RATE_LIMIT_DEFAULTS.ipPerMinute),
+        dailyTokens: num(env.DAILY_TOKEN_QUOTA, RATE_LIMIT_DEFAULTS.dailyTokens),
+    };
+    for (const [key, value] of Object.entries(settings)) {
+        if (!Number.isInteger(value) || value < 0) throw new Error(`Rate limit ${key} must be a non-negative integer.`);
+    }
+    return settings;
+}
+
+/**
+ * Token bucket keyed by an arbitrary string. A full bucket holds `capacity`
+ * requests and refills continuously at `capacity` per `windowMs`.
+ */
+export function createTokenBucket({ capacity, windowMs = 60 * 1000 }) {
+    const buckets = new Map(); // key -> { tokens, updatedAt }
+    const refillPerMs = capacity / windowMs;
+
+    function refill(key, now) {
+        const bucket = buckets.get(key) || { tokens: capacity, updatedAt: now };
+        bucket.tokens = Math.min(capacity, bucket.tokens + (now - bucket.updatedAt) * refillPerMs);
+        bucket.updatedAt = now;
+        buckets.set(key, bucket);
+        return bucket;
+    }
+
+    return {
+        capacity,
+        windowMs,
+
+        /**
+         * Take one token. Returns { allowed, limit, remaining, resetSeconds }
+         * where resetSeconds is the time until the next token is available.
+         */
+        take(key, now = Date.now()) {
+            const bucket = refill(key, now);
+            const allowed = bucket.tokens >= 1;
+            if (allowed) bucket.tokens -= 1;
+            return {
+                allowed,
+                limit: capacity,
+                remaining: Math.floor(bucket.tokens),
+                resetSeconds: bucket.tokens >= 1 ? 0 : Math.ceil((1 - bucket.tokens) / refillPerMs / 1000),
+            };
+        },
+
+        // Forget buckets that have refilled completely (they behave like new ones)
+        prune(now = Date.now()) {
+            for (const [key, bucket] of buckets) {
+                if (bucket.tokens + (now - bucket.updatedAt) * refillPerMs >= capacity) buckets.delete(key);
+            }
+        },
+    };
+}
+
+// ── Daily token quotas ─────────────────────────────────────────────────────
+const usage = new Map(); // owner -> { day, tokens }
+
+const today = (now = Date.now()) => new Date(now).toISOString().slice(0, 10);
+const secondsUntilMidnight = (now = Date.now()) => Math.ceil((DAY_MS - (now % DAY_MS)) / 1000);
+
+/**
+ * Who a request's token use is counted against: the principal, or the client
+ * IP when authentication is off.
+ */
+export function usageOwner(req) {
+    return isAuthEnabled() ? req.principal.id : `ip:${req.ip}`;
+}
+
+/**
+ * Tokens an owner has used today (UTC).
+ */
+export function getTokenUsage(owner, now = Date.now()) {
+    const entry = usage.get(owner);
+    return entry && entry.day === today(now) ? entry.tokens : 0;
+}
+
+/**
+ * Add to an owner's token use for today.
+ */
+export function addTokenUsage(owner, tokens, now = Date.now()) {
+    if (!tokens) return;
+    usage.set(owner, { day: today(now), tokens: getTokenUsage(owner, now) + tokens });
+}
+
+// ── Middleware ────────────────────────────────────────────────────────────
+function setRateLimitHeaders(res, policies, binding) {
+    res.setHeader('RateLimit-Policy', policies.join(', '));
+    res.setHeader('RateLimit-Limit', binding.limit);
+    res.setHeader('RateLimit-Remaining', Math.max(0, binding.remaining));
+    res.setHeader('RateLimit-Reset', binding.resetSeconds);
+}
+
+/**
+ * Express middleware enforcing the per-key and per-IP request limits (use
+ * after requireAuth). Unauthenticated deployments are limited by IP only.
+ */
+export function createRateLimiter(settings = RATE_LIMIT_DEFAULTS) {
+    const byKey = settings.keyPerMinute > 0 ? createTokenBucket({ capacity: settings.keyPerMinute }) : null;
+    const byIp = settings.ipPerMinute > 0 ? createTokenBucket({ capacity: settings.ipPerMinute }) : null;
+    setInterval(() => {
+        byKey?.prune();
+        byIp?.prune();
+    }, 5 * 60 * 1000).unref();
+
+    return function rateLimit(req, res, next) {
+        const results = [];
+        const policies = [];
+        if (byKey && req.principal && isAuthEnabled()) {
+            results.push(byKey.take(`key:${req.principal.id}`));
+            policies.push(`${byKey.capacity};w=60`);
+        }
+        if (byIp) {
+            results.push(byIp.take(`ip:${req.ip}`));
+            policies.push(`${byIp.capacity};w=60`);
+        }
+        if (results.length === 0) return next();
+
+        // Report the limit closest to running out
+        const blocked = results.find((r) => !r.allowed);
+        const binding = blocked || results.reduce((a, b) => (b.remaining / b.limit < a.remaining / a.limit ? b : a));
+        setRateLimitHeaders(res, policies, binding);
+
+        if (blocked) {
+            res.setHeader('Retry-After', Math.max(1, blocked.resetSeconds));
+            return res.status(429).json({ error: 'Too many requests. Please slow down and try again shortly.' });
+        }
+        next();
+    };
+}
+
+/**
+ * Express middleware rejecting requests from owners who used up their daily
+ * token quota (principal.dailyTokens, else `settings.dailyTokens`; per IP when
+ * authentication is off, see usageOwner). Usage is
+ * counted after each reply (addTokenUsage), so the last reply of the day may
+ * overshoot the quota slightly.
+ */
+export function createTokenQuota(settings = RATE_LIMIT_DEFAULTS) {
+    return function tokenQuota(req, res, next) {
+        const quota = req.principal.dailyTokens ?? settings.dailyTokens;
+        if (!quota) return next();
+
+        const used = getTokenUsage(usageOwner(req));
+        const reset = secondsUntilMidnight();
+        res.setHeader('X-Token-Quota-Limit', quota);
+        res.setHeader('X-Token-Quota-Remaining', Math.max(0, quota - used));
+        if (used < quota) return next();
+
+        setRateLimitHeaders(res, [`${quota};w=86400;comment="tokens"`], { limit: quota, remaining: 0, resetSeconds: reset });
+        res.setHeader('Retry-After', reset);
+        res.status(429).json({ error: 'Daily token quota exceeded. It resets at midnight UTC.' });
+    };
+}
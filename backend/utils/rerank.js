@@ -0,0 +1,306 @@
+// utils/rerank.js
+// Second retrieval stage. Instead of handing the top few fused hits straight
+// to the prompt, the pipeline fetches a wider candidate set (RERANK_CANDIDATES,
+// down to `candidateMargin` below the similarity threshold), scores each
+// candidate against the query with a reranker and orders them with maximal
+// marginal relevance (MMR) so near-duplicate chunks do not crowd out the one
+// that answers the question.
+//   lexical  — local: query term and phrase coverage blended with the cosine score
+//   llm      — the chat model scores every candidate 0-10 (falls back to lexical)
+//   endpoint — external rerank API (Cohere / Jina style, RERANK_URL)
+// Every candidate reports its rank before (`preRank`) and after (`postRank`)
+// reranking.
+
+import { tokenize, usageTokens } from './text.js';
+import { dotProduct } from './vector_math.js';
+import { retrieve, isEligible, storedEmbeddings, DEFAULT_RETRIEVAL } from './retrieval.js';
+import { logger } from './logger.js';
+
+export const RERANK_MODES = ['off', 'lexical', 'llm', 'endpoint'];
+
+export const RERANK_DEFAULTS = {
+    mode: 'off',
+    candidates: 20, // chunks fetched for reranking
+    candidateMargin: 0.1, // how far below the threshold (and minKeywordScore) candidates may score
+    mmrLambda: 0.7, // MMR trade-off: 1 = relevance only, 0 = diversity only
+    url: null, // endpoint: POST { model, query, documents, top_n }
+    model: null,
+    apiKey: null,
+    timeoutMs: 10000,
+};
+
+const MAX_CANDIDATES = 50;
+const LLM_PASSAGE_CHARS = 800;
+
+/**
+ * Rerank settings from the environment (RERANK_MODE, RERANK_CANDIDATES,
+ * RERANK_CANDIDATE_MARGIN, RERANK_MMR_LAMBDA, RERANK_URL, RERANK_MODEL,
+ * RERANK_API_KEY, RERANK_TIMEOUT_MS). Throws on invalid values.
+ */
+export function rerankSettingsFromEnv(env = process.env) {
+    const num = (v, d) => (v !== undefined && v !== '' ? Number(v) : d);
+    const { options, error } = resolveRerankOptions(
+        {
+            mode: (env.RERANK_MODE || RERANK_DEFAULTS.mode).toLowerCase(),
+            candidates: num(env.RERANK_CANDIDATES, RERANK_DEFAULTS.candidates),
+            candidateMargin: num(env.RERANK_CANDIDATE_MARGIN, RERANK_DEFAULTS.candidateMargin),
+            mmrLambda: num(env.RERANK_MMR_LAMBDA, RERANK_DEFAULTS.mmrLambda),
+        },
+        {
+            ...RERANK_DEFAULTS,
+            url: env.RERANK_URL || null,
+            model: env.RERANK_MODEL || null,
+            apiKey: env.RERANK_API_KEY || null,
+            timeoutMs: num(env.RERANK_TIMEOUT_MS, RERANK_DEFAULTS.timeoutMs),
+        }
+    );
+    if (error) throw new Error(error);
+    if (!Number.isInteger(options.timeoutMs) || options.timeoutMs < 1) {
+        throw new Error('RERANK_TIMEOUT_MS must be a positive integer.');
+    }
+    return options;
+}
+
+/**
+ * Validate and merge per-request rerank options ({ mode, candidates,
+ * candidateMargin, mmrLambda }) over the defaults. The endpoint URL and key
+ * only come from the environment. Returns { error } or { options }.
+ */
+export function resolveRerankOptions(input, defaults = RERANK_DEFAULTS) {
+    if (input === undefined || input === null) return { options: { ...defaults } };
+    if (typeof input !== 'object' || Array.isArray(input)) {
+        return { error: 'rerank must be an object.' };
+    }
+
+    const { mode, candidates, candidateMargin, mmrLambda } = { ...defaults, ...input };
+    const options = { ...defaults, mode, candidates, candidateMargin, mmrLambda };
+    if (!RERANK_MODES.includes(options.mode)) {
+        return { error: `rerank.mode must be one of: ${RERANK_MODES.join(', ')}.` };
+    }
+    if (options.mode === 'endpoint' && !options.url) {
+        return { error: 'rerank.mode "endpoint" needs RERANK_URL to be set.' };
+    }
+    if (!Number.isInteger(options.candidates) || options.candidates < 1 || options.candidates > MAX_CANDIDATES) {
+        return { error: `rerank.candidates must be an integer between 1 and ${MAX_CANDIDATES}.` };
+    }
+    for (const key of ['candidateMargin', 'mmrLambda']) {
+        if (typeof options[key] !== 'number' || options[key] < 0 || options[key] > 1) {
+            return { error: `rerank.${key} must be a number between 0 and 1.` };
+        }
+    }
+    return { options };
+}
+
+// ── Rerankers: (query, candidates) -> relevance in [0, 1] per candidate ─────
+function bigrams(terms) {
+    return new Set(terms.slice(1).map((t, i) => `${terms[i]} ${t}`));
+}
+
+/**
+ * Share of the query's terms (and adjacent term pairs) found in each chunk,
+ * blended with its cosine score so paraphrases are not lost entirely.
+ */
+export function lexicalScores(query, candidates) {
+    const queryTerms = tokenize(query);
+    const terms = new Set(queryTerms);
+    const pairs = bigrams(queryTerms);
+
+    return candidates.map((c) => {
+        const chunkTerms = tokenize(`${c.title} ${c.content}`);
+        const present = new Set(chunkTerms);
+        const coverage = terms.size > 0 ? [...terms].filter((t) => present.has(t)).length / terms.size : 0;
+        const chunkPairs = bigrams(chunkTerms);
+        const phrase = pairs.size > 0 ? [...pairs].filter((p) => chunkPairs.has(p)).length / pairs.size : coverage;
+        return 0.5 * coverage + 0.2 * phrase + 0.3 * Math.max(0, c.vectorScore);
+    });
+}
+
+async function llmScores(query, candidates, provider) {
+    const passages = candidates
+        .map((c, i) => `[${i + 1}] ${c.title}\n${c.content.slice(0, LLM_PASSAGE_CHARS)}`)
+        .join('\n\n');
+    const prompt = `Rate how well each passage answers the search query, from 0 (irrelevant) to 10 (answers it completely). Judge each passage on its own.
+
+---
+QUERY:
+${query}
+
+---
+PASSAGES:
+${passages}
+
+Answer with one line per passage in the form "<number>: <score>" and nothing else.`;
+
+    const { text, usage } = await provider.generate({ prompt, question: '', chunks: [] });
+    const tokensUsed = usageTokens(usage);
+    const scores = new Array(candidates.length).fill(0);
+    let parsed = 0;
+    for (const match of (text || '').matchAll(/\[?(\d+)\]?\s*[:.)-]\s*(\d+(?:\.\d+)?)/g)) {
+        const i = parseInt(match[1], 10) - 1;
+        if (i < 0 || i >= candidates.length) continue;
+        scores[i] = Math.min(10, parseFloat(match[2])) / 10;
+        parsed++;
+    }
+    if (parsed === 0) throw Object.assign(new Error('reranker returned no scores'), { tokensUsed });
+    return { scores, tokensUsed };
+}
+
+const sigmoid = (x) => 1 / (1 + Math.exp(-x));
+
+async function endpointScores(query, candidates, settings) {
+    const headers = { 'Content-Type': 'application/json' };
+    if (settings.apiKey) headers.Authorization = `Bearer ${settings.apiKey}`;
+
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), settings.timeoutMs);
+    let body;
+    try {
+        const res = await fetch(settings.url, {
+            method: 'POST',
+            headers,
+            signal: controller.signal,
+            body: JSON.stringify({
+                ...(settings.model ? { model: settings.model } : {}),
+                query,
+                documents: candidates.map((c) => `${c.title}\n${c.content}`),
+                top_n: candidates.length,
+            }),
+        });
+        if (!res.ok) {
+            const detail = await res.text().catch(() => '');
+            throw new Error(`${res.status} ${res.statusText}: ${detail.slice(0, 200)}`);
+        }
+        body = await res.json();
+    } catch (err) {
+        throw new Error(err.name === 'AbortError' ? `timeout after ${settings.timeoutMs}ms` : err.message);
+    } finally {
+        clearTimeout(timer);
+    }
+
+    // { results: [{ index, relevance_score }] } (Cohere, Jina), { data: [...] } or a bare [{ index, score }]
+    const results = Array.isArray(body) ? body : body?.results || body?.data;
+    if (!Array.isArray(results)) throw new Error('unexpected rerank response');
+
+    const raw = new Array(candidates.length).fill(null);
+    for (const r of results) {
+        const score = r.relevance_score ?? r.score;
+        if (Number.isInteger(r.index) && r.index >= 0 && r.index < raw.length && typeof score === 'number') raw[r.index] = score;
+    }
+    // Some servers return raw logits; squash those into 0..1
+    const probabilities = raw.every((score) => score === null || (score >= 0 && score <= 1));
+    return raw.map((score) => (score === null ? 0 : probabilities ? score : sigmoid(score)));
+}
+
+// ── MMR ─────────────────────────────────────────────────────────────────────
+function jaccard(a, b) {
+    if (a.size === 0 || b.size === 0) return 0;
+    let shared = 0;
+    for (const t of a) if (b.has(t)) shared++;
+    return shared / (a.size + b.size - shared);
+}
+
+/**
+ * Order candidates by maximal marginal relevance: each pick maximises
+ * lambda * relevance - (1 - lambda) * (similarity to the closest pick so far).
+ * Similarity is the cosine of the chunk embeddings, or term overlap where an
+ * embedding is missing.
+ * @returns {number[]} Candidate indexes in MMR order
+ */
+export function mmrOrder(relevance, embeddings, termSets, lambda) {
+    const similarity = (i, j) =>
+        embeddings[i] && embeddings[j] && embeddings[i].length === embeddings[j].length
+            ? dotProduct(embeddings[i], embeddings[j])
+            : jaccard(termSets[i], termSets[j]);
+
+    const remaining = new Set(relevance.keys());
+    const maxSimilarity = new Array(relevance.length).fill(0);
+    const order = [];
+    while (remaining.size > 0) {
+        let best = -1;
+        let bestScore = -Infinity;
+        for (const i of remaining) {
+            const score = lambda * relevance[i] - (1 - lambda) * maxSimilarity[i];
+            if (score > bestScore) {
+                best = i;
+                bestScore = score;
+            }
+        }
+        order.push(best);
+        remaining.delete(best);
+        for (const i of remaining) maxSimilarity[i] = Math.max(maxSimilarity[i], similarity(i, best));
+    }
+    return order;
+}
+
+/**
+ * Rerank retrieval candidates and order them with MMR.
+ * @param {string} query       - The search query
+ * @param {Array}  candidates  - Retrieval results, best first (utils/retrieval.js)
+ * @param {Object} options
+ * @param {Object} options.provider   - Used by the llm reranker
+ * @param {Object} options.settings   - RERANK_DEFAULTS overrides
+ * @param {Array}  [options.embeddings] - Unit-length embedding per candidate (null where unknown)
+ * @param {Object} [options.log]        - Request logger (utils/logger.js)
+ * @returns {Promise<{ method: string, chunks: Array, tokensUsed: number }>} All candidates in their
+ *          new order, each with `rerankScore`, `preRank` (1-based retrieval rank) and `postRank`;
+ *          `method` is the reranker that produced the scores, `tokensUsed` counts the llm reranker call
+ */
+export async function rerankCandidates(query, candidates, { provider, settings, embeddings = [], log = logger }) {
+    const { mode, mmrLambda } = { ...RERANK_DEFAULTS, ...settings };
+
+    let method = mode;
+    let scores;
+    let tokensUsed = 0;
+    try {
+        if (mode === 'llm' && provider.generative !== false) ({ scores, tokensUsed } = await llmScores(query, candidates, provider));
+        else if (mode === 'endpoint') scores = await endpointScores(query, candidates, settings);
+    } catch (err) {
+        tokensUsed = err.tokensUsed || 0;
+        log.warn('Reranker failed, using lexical scores', { mode, err });
+    }
+    if (!scores) {
+        method = 'lexical';
+        scores = lexicalScores(query, candidates);
+    }
+
+    const termSets = candidates.map((c) => new Set(tokenize(`${c.title} ${c.content}`)));
+    const order = mmrOrder(scores, embeddings, termSets, mmrLambda);
+    return {
+        method,
+        chunks: order.map((i, rank) => ({
+            ...candidates[i],
+            rerankScore: scores[i],
+            preRank: i + 1,
+            postRank: rank + 1,
+        })),
+        tokensUsed,
+    };
+}
+
+/**
+ * Retrieve the candidate set for a query and rerank it. Candidates may score
+ * up to `candidateMargin` below the similarity threshold and minKeywordScore,
+ * but they are only used when at least one meets the normal thresholds, so
+ * reranking never turns a fallback into an answer.
+ * @param {number[]} queryVector - Query embedding (unused in keyword mode)
+ * @param {string}   query       - Search query text
+ * @param {Array}    documents   - Vector store entries
+ * @param {Object}   options     - { threshold, retrieval, filter, settings, provider, log }
+ * @returns {Promise<{ method: string, chunks: Array, tokensUsed: number }>} As rerankCandidates; no chunks
+ *          when none is eligible
+ */
+export async function retrieveReranked(queryVector, query, documents, options) {
+    const { threshold, retrieval = DEFAULT_RETRIEVAL, filter = null, settings, provider, log } = options;
+    const margin = settings.candidateMargin;
+    const candidates = retrieve(queryVector, query, documents, {
+        ...retrieval,
+        k: settings.candidates,
+        threshold: Math.max(0, threshold - margin),
+        minKeywordScore: Math.max(0, (retrieval.minKeywordScore ?? DEFAULT_RETRIEVAL.minKeywordScore) - margin),
+        filter,
+    });
+    if (!candidates.some((c) => isEligible(c, threshold, retrieval))) {
+        return { method: settings.mode, chunks: [], tokensUsed: 0 };
+    }
+    return rerankCandidates(query, candidates, { provider, settings, embeddings: storedEmbeddings(candidates, documents), log });
+}
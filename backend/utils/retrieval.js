@@ -0,0 +1,205 @@
+// utils/retrieval.js
+// Hybrid retrieval: cosine similarity fused with BM25 keyword scores.
+//   mode   — 'vector' (cosine only), 'keyword' (BM25 only) or 'hybrid'
+//   fusion — 'rrf' (reciprocal rank fusion) or 'weighted' (blend of normalized scores)
+// A chunk is eligible when its cosine score meets the similarity threshold or
+// its normalized BM25 score meets `minKeywordScore`, so short keyword queries
+// ("bill info") can still match when their embedding scores low.
+// An optional metadata filter (utils/metadataFilter.js) removes chunks before
+// anything is ranked or normalized.
+
+import { dotProduct, normalizeVector } from './vector_math.js';
+import { getBM25Index, scoreBM25 } from './bm25.js';
+import { getAnnIndex, searchAnnIndex, getAnnSettings } from './annIndex.js';
+import { matchesFilter } from './metadataFilter.js';
+
+export const RETRIEVAL_MODES = ['vector', 'keyword', 'hybrid'];
+export const FUSION_METHODS = ['rrf', 'weighted'];
+
+export const DEFAULT_RETRIEVAL = {
+    mode: 'hybrid',
+    fusion: 'rrf',
+    vectorWeight: 0.6,
+    keywordWeight: 0.4,
+    rrfK: 60,
+    minKeywordScore: 0.5,
+};
+
+/**
+ * Validate and merge per-request retrieval options over defaults.
+ * Returns { error } or { options }.
+ */
+export function resolveRetrievalOptions(input, defaults = DEFAULT_RETRIEVAL) {
+    if (input === undefined || input === null) return { options: { ...defaults } };
+    if (typeof input !== 'object' || Array.isArray(input)) {
+        return { error: 'retrieval must be an object.' };
+    }
+
+    const options = { ...defaults, ...input };
+    if (!RETRIEVAL_MODES.includes(options.mode)) {
+        return { error: `retrieval.mode must be one of: ${RETRIEVAL_MODES.join(', ')}.` };
+    }
+    if (!FUSION_METHODS.includes(options.fusion)) {
+        return { error: `retrieval.fusion must be one of: ${FUSION_METHODS.join(', ')}.` };
+    }
+    for (const key of ['vectorWeight', 'keywordWeight', 'minKeywordScore']) {
+        if (typeof options[key] !== 'number' || options[key] < 0 || options[key] > 1) {
+            return { error: `retrieval.${key} must be a number between 0 and 1.` };
+        }
+    }
+    if (!Number.isInteger(options.rrfK) || options.rrfK < 1) {
+        return { error: 'retrieval.rrfK must be a positive integer.' };
+    }
+    return { options };
+}
+
+/**
+ * Retrieval defaults from the environment (RETRIEVAL_MODE, RETRIEVAL_FUSION, ...).
+ */
+export function retrievalDefaultsFromEnv(env = process.env) {
+    const num = (v, d) => (v !== undefined && v !== '' && Number.isFinite(Number(v)) ? Number(v) : d);
+    return {
+        mode: env.RETRIEVAL_MODE || DEFAULT_RETRIEVAL.mode,
+        fusion: env.RETRIEVAL_FUSION || DEFAULT_RETRIEVAL.fusion,
+        vectorWeight: num(env.RETRIEVAL_VECTOR_WEIGHT, DEFAULT_RETRIEVAL.vectorWeight),
+        keywordWeight: num(env.RETRIEVAL_KEYWORD_WEIGHT, DEFAULT_RETRIEVAL.keywordWeight),
+        rrfK: num(env.RETRIEVAL_RRF_K, DEFAULT_RETRIEVAL.rrfK),
+        minKeywordScore: num(env.RETRIEVAL_MIN_KEYWORD_SCORE, DEFAULT_RETRIEVAL.minKeywordScore),
+    };
+}
+
+// Filters matching less than this share of the store are searched exactly:
+// the ANN shortlist would hold too few allowed chunks
+const MIN_ANN_FILTER_SHARE = 0.1;
+
+/**
+ * Cosine score of every document (0 for ones the ANN index did not return or
+ * the filter excluded). Stored embeddings are unit length, so cosine is a dot
+ * product with the normalized query. Filtered searches over-fetch from the ANN
+ * index (more clusters, a longer shortlist) in proportion to the share of
+ * chunks the filter allows; very selective filters, or a shortlist with fewer
+ * than k allowed chunks, fall back to exact search.
+ */
+function vectorScoresFor(queryVector, documents, k, allowed) {
+    const scores = new Float64Array(documents.length);
+    const queryUnit = normalizeVector(queryVector);
+
+    const allowedCount = allowed ? allowed.filter(Boolean).length : documents.length;
+    const share = documents.length > 0 ? allowedCount / documents.length : 0;
+    const ann = share >= MIN_ANN_FILTER_SHARE ? getAnnIndex(documents) : null;
+    if (ann) {
+        const nprobe = Math.min(ann.centroids.length, Math.ceil(getAnnSettings().nprobe / share));
+        const limit = Math.ceil(Math.max(k * 10, 100) / share);
+        let hits = 0;
+        for (const { i, score } of searchAnnIndex(ann, documents, queryUnit, { nprobe, limit })) {
+            if (allowed && !allowed[i]) continue;
+            scores[i] = score;
+            hits++;
+        }
+        if (hits >= Math.min(k, allowedCount)) return scores;
+        scores.fill(0);
+    }
+
+    documents.forEach((doc, i) => {
+        if (!allowed || allowed[i]) scores[i] = dotProduct(queryUnit, doc.embedding);
+    });
+    return scores;
+}
+
+/**
+ * Whether a retrieved chunk meets the eligibility rule above: cosine score at
+ * least `threshold`, or a BM25 match with normalized score at least
+ * `minKeywordScore`.
+ */
+export function isEligible(chunk, threshold, options = {}) {
+    const { mode, minKeywordScore } = { ...DEFAULT_RETRIEVAL, ...options };
+    const vectorOk = mode !== 'keyword' && chunk.vectorScore >= threshold;
+    const keywordOk = mode !== 'vector' && chunk.keywordScore > 0 && chunk.keywordScore >= minKeywordScore;
+    return vectorOk || keywordOk;
+}
+
+/**
+ * Stored embedding of each retrieved chunk (null where the store has none).
+ */
+export function storedEmbeddings(chunks, documents) {
+    const wanted = new Set(chunks.map((c) => c.id));
+    const byId = new Map();
+    for (const doc of documents) {
+        if (wanted.has(doc.id)) byId.set(doc.id, doc.embedding);
+    }
+    return chunks.map((c) => byId.get(c.id) || null);
+}
+
+// 1-based ranks by descending score; entries below `min` get no rank
+function ranks(scores, min) {
+    const order = [...scores.keys()]
+        .filter((i) => scores[i] >= min)
+        .sort((a, b) => scores[b] - scores[a]);
+    const rank = new Map();
+    order.forEach((i, r) => rank.set(i, r + 1));
+    return rank;
+}
+
+/**
+ * Rank chunks for a query.
+ * @param {number[]} queryVector - Query embedding (unused in keyword mode)
+ * @param {string}   queryText   - Raw query text for BM25
+ * @param {Array}    documents   - Vector store entries with unit-length embeddings
+ * @param {Object}   options     - { k, threshold, filter, ...DEFAULT_RETRIEVAL } where `filter` is a
+ *                                 parsed metadata filter (utils/metadataFilter.js) or null
+ * @returns {Array} Top-k chunks: { id, docId, title, content, score, vectorScore, keywordScore, fusedScore }
+ *                  where `score` is the cosine similarity (shown to the LLM as relevance).
+ */
+export function retrieve(queryVector, queryText, documents, options) {
+    const { k = 3, threshold = 0.65, filter = null, mode, fusion, vectorWeight, keywordWeight, rrfK, minKeywordScore } = {
+        ...DEFAULT_RETRIEVAL,
+        ...options,
+    };
+    const allowed = filter ? documents.map((doc) => matchesFilter(doc.metadata, filter)) : null;
+
+    const vectorScores =
+        mode === 'keyword' ? new Float64Array(documents.length) : vectorScoresFor(queryVector, documents, k, allowed);
+    const bm25 = mode === 'vector' ? new Float64Array(documents.length) : scoreBM25(getBM25Index(documents), queryText);
+    if (allowed) {
+        allowed.forEach((ok, i) => {
+            if (!ok) bm25[i] = 0;
+        });
+    }
+    const maxBm25 = bm25.reduce((max, s) => Math.max(max, s), 0);
+    const keywordScores = [...bm25].map((s) => (maxBm25 > 0 ? s / maxBm25 : 0));
+
+    // Only hits count towards RRF: cosine above the threshold, any BM25 match
+    const vectorRank = mode === 'keyword' ? new Map() : ranks(vectorScores, threshold);
+    const keywordRank = mode === 'vector' ? new Map() : ranks(keywordScores, Number.MIN_VALUE);
+
+    const results = [];
+    documents.forEach((doc, i) => {
+        if (allowed && !allowed[i]) return;
+        if (!isEligible({ vectorScore: vectorScores[i], keywordScore: keywordScores[i] }, threshold, { mode, minKeywordScore })) {
+            return;
+        }
+
+        let fusedScore;
+        if (mode === 'vector') fusedScore = vectorScores[i];
+        else if (mode === 'keyword') fusedScore = keywordScores[i];
+        else if (fusion === 'weighted') fusedScore = vectorWeight * vectorScores[i] + keywordWeight * keywordScores[i];
+        else {
+            fusedScore =
+                (vectorRank.has(i) ? vectorWeight / (rrfK + vectorRank.get(i)) : 0) +
+                (keywordRank.has(i) ? keywordWeight / (rrfK + keywordRank.get(i)) : 0);
+        }
+
+        results.push({
+            id: doc.id,
+            docId: doc.docId,
+            title: doc.title,
+            content: doc.content,
+            score: mode === 'keyword' ? keywordScores[i] : vectorScores[i],
+            vectorScore: vectorScores[i],
+            keywordScore: keywordScores[i],
+            fusedScore,
+        });
+    });
+
+    return results.sort((a, b) => b.fusedScore - a.fusedScore).slice(0, k);
+}
@@ -0,0 +1,52 @@
+// utils/retry.js
+// Retry with exponential backoff and jitter for transient provider errors
+
+const TRANSIENT_PATTERN = /\b(429|500|502|503|504)\b|quota|rate|timeout|timed out|ETIMEDOUT|ECONNRESET|ECONNREFUSED|EAI_AGAIN|fetch failed|socket hang up|overloaded|unavailable/i;
+
+/**
+ * Whether an error looks transient (rate limit, timeout, network, 5xx).
+ * Typed provider errors (utils/errors.js) say so themselves.
+ */
+export function isTransientError(err) {
+    if (typeof err?.retryable === 'boolean') return err.retryable;
+    const status = err?.status ?? err?.statusCode;
+    if (status === 429 || status >= 500) return true;
+    return TRANSIENT_PATTERN.test(err?.code || '') || TRANSIENT_PATTERN.test(err?.message || '');
+}
+
+export function sleep(ms) {
+    return new Promise((r) => setTimeout(r, ms));
+}
+
+/**
+ * Call `fn` until it succeeds, retrying retryable errors with exponential
+ * backoff (baseDelayMs * 2^attempt, capped, with ±50% jitter). An error's
+ * `retryAfterMs` raises the delay; if it exceeds maxDelayMs the error is
+ * thrown instead of waiting that long.
+ * @param {Function} fn - async (attempt) => result
+ * @param {Object}   [options]
+ * @param {number}   [options.retries]     - Retries after the first attempt (default 4)
+ * @param {number}   [options.baseDelayMs] - Default 500
+ * @param {number}   [options.maxDelayMs]  - Default 15000
+ * @param {Function} [options.isRetryable] - Default isTransientError
+ * @param {Function} [options.onRetry]     - (err, attempt, delayMs) => void
+ */
+export async function withRetry(fn, {
+    retries = 4,
+    baseDelayMs = 500,
+    maxDelayMs = 15000,
+    isRetryable = isTransientError,
+    onRetry = () => {},
+} = {}) {
+    for (let attempt = 0; ; attempt++) {
+        try {
+            return await fn(attempt);
+        } catch (err) {
+            if (attempt >= retries || !isRetryable(err) || err.retryAfterMs > maxDelayMs) throw err;
+            const backoff = Math.min(maxDelayMs, baseDelayMs * 2 ** attempt) * (0.5 + Math.random());
+            const delay = Math.max(backoff, err.retryAfterMs || 0);
+            onRetry(err, attempt + 1, Math.round(delay));
+            await sleep(delay);
+        }
+    }
+}
@@ -1,48 +1,326 @@
-// Session store: in-memory Map of sessionId -> messages[]
-// Each message: { role: 'user' | 'model', content: string, timestamp: Date }
+// Session store: sessionId -> { owner, collection, title, messages, summary, summarizedCount, createdAt, lastActiveAt }
+// Each message: { id, role: 'user' | 'model', content: string, timestamp: ISO string, ...meta }
+// `owner` is the authenticated principal that created the session (utils/auth.js);
+// sessions persisted before authentication have none. `collection` is the
+// knowledge base (utils/collections.js) the conversation searches; null = default.
+// The title is generated from the first user message unless renamed.
+// The first `summarizedCount` messages are folded into `summary`
+// (utils/conversationSummary.js); the rest form the prompt history.
+// The working set is an in-process Map kept in least-recently-used order; a
+// storage backend (utils/sessions/) persists it. Sessions idle for longer than
+// the TTL expire, and the least recently used session is evicted once
+// `maxSessions` is reached. A background sweeper drops expired sessions.
+
+import { v4 as uuidv4 } from 'uuid';
+import { createMemorySessionStorage } from './sessions/memory.js';
+import { logger } from './logger.js';
+
+const log = logger.child({ component: 'sessions' });
+
+const MAX_STORED_MESSAGES = 200; // Older messages are dropped from storage
+const MAX_TITLE_LENGTH = 60;
+
+export const SESSION_DEFAULTS = {
+    ttlMs: 24 * 60 * 60 * 1000, // 24h idle
+    maxSessions: 1000,
+    sweepIntervalMs: 60 * 1000,
+};
 
 const sessions = new Map();
-const MAX_HISTORY_PAIRS = 5; // Keep last 5 user+model pairs = 10 messages
+let storage = createMemorySessionStorage();
+let settings = { ...SESSION_DEFAULTS };
+let sweeper = null;
+
+/**
+ * Session settings from the environment (SESSION_TTL_MINUTES, SESSION_MAX,
+ * SESSION_SWEEP_INTERVAL_SECONDS).
+ */
+export function sessionSettingsFromEnv(env = process.env) {
+    const num = (v, d) => (v !== undefined && v !== '' && Number(v) > 0 ? Number(v) : d);
+    return {
+        ttlMs: num(env.SESSION_TTL_MINUTES, SESSION_DEFAULTS.ttlMs / 60000) * 60000,
+        maxSessions: Math.floor(num(env.SESSION_MAX, SESSION_DEFAULTS.maxSessions)),
+        sweepIntervalMs: num(env.SESSION_SWEEP_INTERVAL_SECONDS, SESSION_DEFAULTS.sweepIntervalMs / 1000) * 1000,
+    };
+}
+
+/**
+ * Load persisted sessions from `sessionStorage` and start the sweeper.
+ * Without a call to this the store is in-memory with default settings.
+ * @param {Object} [options]
+ * @param {Object} [options.storage] - Backend from utils/sessions (default: memory)
+ * @param {number} [options.ttlMs]
+ * @param {number} [options.maxSessions]
+ * @param {number} [options.sweepIntervalMs]
+ */
+export function initSessionStore({ storage: sessionStorage, ...options } = {}) {
+    closeSessionStore();
+    storage = sessionStorage || createMemorySessionStorage();
+    settings = { ...SESSION_DEFAULTS, ...options };
+    sessions.clear();
+
+    const persisted = storage.load().sort(([, a], [, b]) => Date.parse(a.lastActiveAt) - Date.parse(b.lastActiveAt));
+    for (const [id, session] of persisted) sessions.set(id, session);
+    const expired = sweepExpiredSessions();
+    evictOverflow();
+
+    sweeper = setInterval(sweepExpiredSessions, settings.sweepIntervalMs);
+    sweeper.unref();
+
+    return { loaded: sessions.size, expired };
+}
+
+/**
+ * Stop the sweeper and write pending changes (call on shutdown).
+ */
+export function closeSessionStore() {
+    if (sweeper) clearInterval(sweeper);
+    sweeper = null;
+    storage.flush();
+}
+
+function isExpired(session, now = Date.now()) {
+    return now - Date.parse(session.lastActiveAt) > settings.ttlMs;
+}
+
+function removeSession(sessionId) {
+    sessions.delete(sessionId);
+    storage.remove(sessionId);
+}
+
+// Live session or undefined; expired sessions are dropped on access
+function lookup(sessionId) {
+    const session = sessions.get(sessionId);
+    if (session && isExpired(session)) {
+        removeSession(sessionId);
+        return undefined;
+    }
+    return session;
+}
+
+// Mark as most recently used (Map order = LRU order) and persist
+function touch(sessionId, session) {
+    session.lastActiveAt = new Date().toISOString();
+    sessions.delete(sessionId);
+    sessions.set(sessionId, session);
+    storage.save(sessionId, session);
+}
+
+function evictOverflow() {
+    for (const sessionId of sessions.keys()) {
+        if (sessions.size <= settings.maxSessions) break;
+        removeSession(sessionId);
+        log.info('Session evicted', { sessionId, limit: settings.maxSessions });
+    }
+}
 
 /**
- * Get conversation history for a session (last N pairs).
+ * Drop every session idle for longer than the TTL.
+ * @returns {number} Number of sessions removed
+ */
+export function sweepExpiredSessions() {
+    const now = Date.now();
+    let removed = 0;
+    for (const [sessionId, session] of sessions) {
+        if (isExpired(session, now)) {
+            removeSession(sessionId);
+            removed++;
+        }
+    }
+    if (removed > 0) log.info('Expired sessions swept', { removed });
+    return removed;
+}
+
+/**
+ * Get conversation history for a session: the messages not yet folded into
+ * its summary. The prompt builder fits them into the token budget.
  */
 export function getHistory(sessionId) {
-    if (!sessions.has(sessionId)) return [];
-    const messages = sessions.get(sessionId);
-    // Return last MAX_HISTORY_PAIRS*2 messages
-    return messages.slice(-(MAX_HISTORY_PAIRS * 2));
+    const session = lookup(sessionId);
+    if (!session) return [];
+    return session.messages.slice(session.summarizedCount || 0);
+}
+
+/**
+ * Rolling summary of the session's older messages, or null.
+ */
+export function getSummary(sessionId) {
+    return lookup(sessionId)?.summary || null;
+}
+
+/**
+ * Replace the summary after folding the `foldedCount` oldest unsummarized
+ * messages into it. Returns false if the session no longer exists.
+ */
+export function applySummary(sessionId, summary, foldedCount) {
+    const session = lookup(sessionId);
+    if (!session) return false;
+    session.summary = summary;
+    session.summarizedCount = Math.min((session.summarizedCount || 0) + foldedCount, session.messages.length);
+    storage.save(sessionId, session);
+    return true;
+}
+
+/**
+ * Conversation title from its first question: first line, trimmed to
+ * MAX_TITLE_LENGTH at a word boundary.
+ */
+export function generateTitle(text) {
+    const line = text.split('\n').find((l) => l.trim()) || '';
+    const clean = line.replace(/\s+/g, ' ').trim();
+    if (clean.length <= MAX_TITLE_LENGTH) return clean;
+    const cut = clean.slice(0, MAX_TITLE_LENGTH);
+    return `${cut.slice(0, cut.lastIndexOf(' ') > 20 ? cut.lastIndexOf(' ') : MAX_TITLE_LENGTH)}…`;
 }
 
 /**
  * Add a message to a session's history.
+ * @param {Object} [meta]   - Extra fields stored on the message (e.g. sources, tokensUsed)
+ * @param {Object} [origin] - { owner, collection } of the session, used if it expired or
+ *                            was evicted since the request started and has to be recreated
+ * @returns {Object} The stored message (with its generated id)
  */
-export function addMessage(sessionId, role, content) {
-    if (!sessions.has(sessionId)) {
-        sessions.set(sessionId, []);
+export function addMessage(sessionId, role, content, meta = {}, origin = {}) {
+    const session = lookup(sessionId) || newSession(origin);
+    if (!session.title && role === 'user') session.title = generateTitle(content);
+    const message = { id: uuidv4(), ...meta, role, content, timestamp: new Date().toISOString() };
+    session.messages.push(message);
+    if (session.messages.length > MAX_STORED_MESSAGES) {
+        const dropped = session.messages.length - MAX_STORED_MESSAGES;
+        session.messages.splice(0, dropped);
+        session.summarizedCount = Math.max(0, (session.summarizedCount || 0) - dropped);
     }
-    sessions.get(sessionId).push({ role, content, timestamp: new Date().toISOString() });
+    touch(sessionId, session);
+    evictOverflow();
+    return message;
+}
+
+/**
+ * A model reply and the user message it answered, or null if either the
+ * session or the reply does not exist.
+ * @returns {{ reply: Object, question: string|null }|null}
+ */
+export function findReply(sessionId, messageId) {
+    const session = lookup(sessionId);
+    const index = session ? session.messages.findIndex((m) => m.id === messageId && m.role === 'model') : -1;
+    if (index < 0) return null;
+    const question = session.messages[index - 1]?.role === 'user' ? session.messages[index - 1].content : null;
+    return { reply: session.messages[index], question };
+}
+
+/**
+ * Record the user's rating on a reply so it shows when the conversation is reopened.
+ * @returns {boolean} false if the reply does not exist
+ */
+export function setReplyFeedback(sessionId, messageId, feedback) {
+    const found = findReply(sessionId, messageId);
+    if (!found) return false;
+    found.reply.feedback = feedback;
+    touch(sessionId, lookup(sessionId));
+    return true;
+}
+
+function newSession({ owner = null, collection = null } = {}) {
+    const now = new Date().toISOString();
+    return { owner, collection, title: null, messages: [], summary: null, summarizedCount: 0, createdAt: now, lastActiveAt: now };
 }
 
 /**
  * Create a new empty session.
+ * @param {Object} [options]
+ * @param {string|null} [options.owner]      - Principal id the session belongs to
+ * @param {string|null} [options.collection] - Collection it searches (null = default)
+ */
+export function createSession(sessionId, options = {}) {
+    touch(sessionId, newSession(options));
+    evictOverflow();
+}
+
+/**
+ * Delete a session and its messages.
+ * @returns {boolean} false if it did not exist
+ */
+export function deleteSession(sessionId) {
+    if (!lookup(sessionId)) return false;
+    removeSession(sessionId);
+    return true;
+}
+
+/**
+ * Rename a session. Returns the summary, or null if it does not exist.
+ */
+export function renameSession(sessionId, title) {
+    const session = lookup(sessionId);
+    if (!session) return null;
+    session.title = title;
+    touch(sessionId, session);
+    return summarize(sessionId, session);
+}
+
+/**
+ * All messages of a session, or null if it does not exist.
+ */
+export function getMessages(sessionId) {
+    const session = lookup(sessionId);
+    return session ? session.messages : null;
+}
+
+function summarize(sessionId, session) {
+    return {
+        id: sessionId,
+        title: session.title || 'New conversation',
+        collection: session.collection || null,
+        messageCount: session.messages.length,
+        createdAt: session.createdAt,
+        lastActiveAt: session.lastActiveAt,
+    };
+}
+
+/**
+ * Owner of a live session: the principal id, null if it has none, or
+ * undefined if the session does not exist.
+ */
+export function getSessionOwner(sessionId) {
+    const session = lookup(sessionId);
+    return session ? session.owner ?? null : undefined;
+}
+
+/**
+ * Collection a live session searches (null = default), or undefined if the
+ * session does not exist.
+ */
+export function getSessionCollection(sessionId) {
+    const session = lookup(sessionId);
+    return session ? session.collection || null : undefined;
+}
+
+/**
+ * Summary of one live session, or null.
  */
-export function createSession(sessionId) {
-    sessions.set(sessionId, []);
+export function getSessionInfo(sessionId) {
+    const session = lookup(sessionId);
+    return session ? summarize(sessionId, session) : null;
 }
 
 /**
- * Clear all messages for a session (start fresh).
+ * Summaries of live sessions that have messages, most recently active first.
+ * @param {Object} [filter]
+ * @param {string} [filter.owner] - Only sessions owned by this principal
  */
-export function clearSession(sessionId) {
-    sessions.set(sessionId, []);
+export function listSessions({ owner } = {}) {
+    const now = Date.now();
+    return [...sessions]
+        .filter(([, session]) => session.messages.length > 0 && !isExpired(session, now))
+        .filter(([, session]) => owner === undefined || session.owner === owner)
+        .map(([sessionId, session]) => summarize(sessionId, session))
+        .reverse();
 }
 
 /**
  * Check if a session exists.
  */
 export function sessionExists(sessionId) {
-    return sessions.has(sessionId);
+    return lookup(sessionId) !== undefined;
 }
 
 /**
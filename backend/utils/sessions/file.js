@@ -0,0 +1,61 @@
+// utils/sessions/file.js
+// Persists sessions to a single JSON file. Changes are batched and written
+// atomically at most once per `flushDelayMs`; flush() writes synchronously
+// (used on shutdown).
+
+import { readFileSync, existsSync } from 'fs';
+import { writeJsonAtomic, writeJsonAtomicSync } from '../fileStore.js';
+import { logger } from '../logger.js';
+
+/**
+ * @param {Object} options
+ * @param {string} options.path           - JSON file (created on first write)
+ * @param {number} [options.flushDelayMs] - Batch window for writes (default 1000)
+ */
+export function createFileSessionStorage({ path, flushDelayMs = 1000 }) {
+    const sessions = new Map();
+    let timer = null;
+    let writing = Promise.resolve();
+
+    if (existsSync(path)) {
+        const data = JSON.parse(readFileSync(path, 'utf-8'));
+        for (const [id, session] of Object.entries(data.sessions || {})) sessions.set(id, session);
+    }
+
+    const snapshot = () => ({ version: 1, sessions: Object.fromEntries(sessions) });
+
+    function write() {
+        timer = null;
+        // Writes are chained so only one runs at a time; each takes its snapshot when it starts
+        writing = writing.then(() =>
+            writeJsonAtomic(path, snapshot(), 0).catch((err) => logger.error('Failed to persist sessions', { component: 'sessions', err }))
+        );
+    }
+
+    function scheduleWrite() {
+        if (!timer) timer = setTimeout(write, flushDelayMs);
+    }
+
+    return {
+        name: 'file',
+
+        load() {
+            return [...sessions.entries()];
+        },
+
+        save(id, session) {
+            sessions.set(id, session);
+            scheduleWrite();
+        },
+
+        remove(id) {
+            if (sessions.delete(id)) scheduleWrite();
+        },
+
+        flush() {
+            if (timer) clearTimeout(timer);
+            timer = null;
+            writeJsonAtomicSync(path, snapshot(), 0);
+        },
+    };
+}
@@ -0,0 +1,32 @@
+// utils/sessions/index.js
+// Session storage registry. A storage backend implements:
+//   name
+//   load()              -> Array<[sessionId, session]> persisted at startup
+//   save(id, session)   -> persist a created/updated session
+//   remove(id)          -> forget a session
+//   flush()             -> write pending changes synchronously (shutdown)
+// where session = { messages, createdAt, lastActiveAt }. The session store
+// (utils/sessionStore.js) keeps the working set in memory and handles
+// TTL and eviction; backends only persist.
+
+import { join } from 'path';
+import { createMemorySessionStorage } from './memory.js';
+import { createFileSessionStorage } from './file.js';
+
+/**
+ * Build the storage selected by SESSION_STORE (memory | file).
+ * @param {Object} [env]     - Defaults to process.env
+ * @param {string} [dataDir] - Directory for the default session file
+ */
+export function createSessionStorage(env = process.env, dataDir = 'data') {
+    const name = (env.SESSION_STORE || 'memory').toLowerCase();
+
+    switch (name) {
+        case 'memory':
+            return createMemorySessionStorage();
+        case 'file':
+            return createFileSessionStorage({ path: env.SESSION_FILE || join(dataDir, 'sessions.json') });
+        default:
+            throw new Error(`Unknown SESSION_STORE "${name}". Use memory or file.`);
+    }
+}
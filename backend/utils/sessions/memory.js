@@ -0,0 +1,15 @@
+// utils/sessions/memory.js
+// No persistence: sessions live only in the session store's in-process map
+// and are lost on restart.
+
+export function createMemorySessionStorage() {
+    return {
+        name: 'memory',
+        load() {
+            return [];
+        },
+        save() {},
+        remove() {},
+        flush() {},
+    };
+}
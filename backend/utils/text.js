@@ -0,0 +1,66 @@
+// utils/text.js
+// Small text helpers shared by the offline provider, keyword scoring and query rewriting
+
+const STOPWORDS = new Set([
+    'a', 'an', 'and', 'are', 'as', 'at', 'be', 'but', 'by', 'can', 'do', 'does', 'for', 'from',
+    'how', 'i', 'if', 'in', 'is', 'it', 'its', 'me', 'my', 'of', 'on', 'or', 'our', 'so', 'that',
+    'the', 'their', 'then', 'there', 'this', 'to', 'was', 'we', 'what', 'when', 'where', 'which',
+    'who', 'will', 'with', 'you', 'your',
+]);
+
+/**
+ * Very light suffix stripping so "plans" / "plan" and "billing" / "bill" meet.
+ */
+function stem(word) {
+    if (word.length > 5 && word.endsWith('ing')) return word.slice(0, -3);
+    if (word.length > 4 && word.endsWith('ies')) return `${word.slice(0, -3)}y`;
+    if (word.length > 3 && word.endsWith('s') && !word.endsWith('ss')) return word.slice(0, -1);
+    return word;
+}
+
+/**
+ * Lowercase, split on non-alphanumerics, drop stopwords and stem.
+ * @param {string} text
+ * @returns {string[]}
+ */
+export function tokenize(text) {
+    return (text.toLowerCase().match(/[a-z0-9]+/g) || [])
+        .filter((w) => !STOPWORDS.has(w))
+        .map(stem);
+}
+
+/**
+ * Words of `text` that are not stopwords, in their original form and order.
+ * @param {string} text
+ * @returns {string[]}
+ */
+export function contentWords(text) {
+    return (text.match(/[A-Za-z0-9][A-Za-z0-9'-]*/g) || []).filter((w) => !STOPWORDS.has(w.toLowerCase()));
+}
+
+/**
+ * Split text into sentences on terminal punctuation followed by whitespace.
+ * @param {string} text
+ * @returns {string[]}
+ */
+export function splitSentences(text) {
+    return text
+        .split(/(?<=[.!?])\s+/)
+        .map((s) => s.trim())
+        .filter(Boolean);
+}
+
+/**
+ * Tokens a provider call reported ({ promptTokens, completionTokens }), 0 when unknown.
+ */
+export function usageTokens(usage) {
+    return usage ? (usage.promptTokens || 0) + (usage.completionTokens || 0) : 0;
+}
+
+/**
+ * Rough token estimate (~4 characters per token) for providers that do not
+ * report usage.
+ */
+export function estimateTokens(text) {
+    return Math.ceil((text || '').length / 4);
+}
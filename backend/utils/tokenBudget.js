@@ -0,0 +1,137 @@
+// utils/tokenBudget.js
+// Token budgeting for prompt assembly. Counts use estimateTokens (~4 chars
+// per token), so budgets are approximate; keep PROMPT_MAX_TOKENS comfortably
+// below the model's context window minus LLM_MAX_OUTPUT_TOKENS.
+// The space left after the instructions and the question is split between
+// retrieved context (`contextShare`, unused space passes to history) and
+// conversation history (summary first, then the newest turns verbatim).
+
+import { estimateTokens } from './text.js';
+
+export const PROMPT_BUDGET_DEFAULTS = {
+    maxPromptTokens: 6000,
+    contextShare: 0.65, // of the space left after instructions + question
+    maxChunks: 6, // retrieval candidates considered for the context
+    minChunkTokens: 60, // don't add a trimmed chunk smaller than this
+};
+
+/**
+ * Prompt budget from the environment (PROMPT_MAX_TOKENS, PROMPT_CONTEXT_SHARE,
+ * PROMPT_MAX_CHUNKS). Throws on invalid values.
+ */
+export function promptBudgetFromEnv(env = process.env) {
+    const num = (v, d) => (v !== undefined && v !== '' ? Number(v) : d);
+    const budget = {
+        ...PROMPT_BUDGET_DEFAULTS,
+        maxPromptTokens: num(env.PROMPT_MAX_TOKENS, PROMPT_BUDGET_DEFAULTS.maxPromptTokens),
+        contextShare: num(env.PROMPT_CONTEXT_SHARE, PROMPT_BUDGET_DEFAULTS.contextShare),
+        maxChunks: num(env.PROMPT_MAX_CHUNKS, PROMPT_BUDGET_DEFAULTS.maxChunks),
+    };
+
+    if (!Number.isInteger(budget.maxPromptTokens) || budget.maxPromptTokens < 1000) {
+        throw new Error('PROMPT_MAX_TOKENS must be an integer of at least 1000.');
+    }
+    if (!(budget.contextShare > 0 && budget.contextShare < 1)) {
+        throw new Error('PROMPT_CONTEXT_SHARE must be between 0 and 1.');
+    }
+    if (!Number.isInteger(budget.maxChunks) || budget.maxChunks < 1) {
+        throw new Error('PROMPT_MAX_CHUNKS must be a positive integer.');
+    }
+    return budget;
+}
+
+/**
+ * Cut `text` to about `maxTokens`, preferring a sentence (then word) boundary.
+ * With `keepEnd` the end of the text is kept instead of the start.
+ */
+export function truncateToTokens(text, maxTokens, { keepEnd = false } = {}) {
+    if (estimateTokens(text) <= maxTokens) return text;
+    if (maxTokens <= 0) return '';
+
+    const maxChars = maxTokens * 4 - 1; // room for the ellipsis
+    if (keepEnd) {
+        const tail = text.slice(-maxChars);
+        const start = tail.search(/\s\S/);
+        return `…${start >= 0 ? tail.slice(start + 1) : tail}`;
+    }
+
+    const head = text.slice(0, maxChars);
+    const sentenceEnd = Math.max(head.lastIndexOf('. '), head.lastIndexOf('! '), head.lastIndexOf('? '));
+    const cut = sentenceEnd > maxChars / 2 ? sentenceEnd + 1 : head.lastIndexOf(' ');
+    return `${head.slice(0, cut > 0 ? cut : maxChars).trimEnd()}…`;
+}
+
+/**
+ * Take chunks in rank order while they fit in `budget` tokens. The first chunk
+ * that does not fit is trimmed into the remaining space if at least
+ * `minChunkTokens` are left; later chunks are dropped.
+ * @param {Array}    chunks - Ranked chunks ({ content, ... })
+ * @param {number}   budget
+ * @param {Function} format - (chunk, index) => text as it appears in the prompt
+ * @returns {{ chunks: Array, used: number }} Included chunks (content possibly trimmed)
+ */
+export function fitChunks(chunks, budget, format, { minChunkTokens = PROMPT_BUDGET_DEFAULTS.minChunkTokens } = {}) {
+    const included = [];
+    let used = 0;
+
+    for (const chunk of chunks) {
+        const cost = estimateTokens(format(chunk, included.length)) + 1;
+        if (used + cost <= budget) {
+            included.push(chunk);
+            used += cost;
+            continue;
+        }
+
+        const overhead = estimateTokens(format({ ...chunk, content: '' }, included.length)) + 2;
+        const room = budget - used - overhead;
+        if (room >= minChunkTokens) {
+            const trimmed = { ...chunk, content: truncateToTokens(chunk.content, room) };
+            included.push(trimmed);
+            used += estimateTokens(format(trimmed, included.length - 1)) + 1;
+        }
+        break;
+    }
+
+    return { chunks: included, used };
+}
+
+/**
+ * Fit the conversation summary and as many of the newest messages as possible
+ * into `budget` tokens. Messages are kept whole except the oldest one
+ * included, which may be cut to its end.
+ * @param {string|null} summary
+ * @param {Array}       messages - Oldest first ({ role, content })
+ * @param {number}      budget
+ * @param {Function}    format   - message => text as it appears in the prompt
+ * @returns {{ summary: string|null, messages: Array, used: number }}
+ */
+export function fitHistory(summary, messages, budget, format) {
+    let used = 0;
+    let fittedSummary = null;
+    if (summary) {
+        // The summary may take at most half the history budget
+        fittedSummary = truncateToTokens(summary, Math.floor(budget / 2), { keepEnd: true });
+        used += estimateTokens(fittedSummary) + 1;
+    }
+
+    const kept = [];
+    for (let i = messages.length - 1; i >= 0; i--) {
+        const cost = estimateTokens(format(messages[i])) + 1;
+        if (used + cost <= budget) {
+            kept.unshift(messages[i]);
+            used += cost;
+            continue;
+        }
+
+        const overhead = estimateTokens(format({ ...messages[i], content: '' })) + 2;
+        const room = budget - used - overhead;
+        if (room >= 20) {
+            const trimmed = { ...messages[i], content: truncateToTokens(messages[i].content, room, { keepEnd: true }) };
+            kept.unshift(trimmed);
+            used += estimateTokens(format(trimmed)) + 1;
+        }
+        break;
+    }
+
+    return { summary: fittedSummary, messages: kept, used };
+}
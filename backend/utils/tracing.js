@@ -0,0 +1,42 @@
+// utils/tracing.js
+// Per-request trace: the request id, a logger bound to it, and the timed
+// stages (spans) of the RAG pipeline. server.js creates one per chat request
+// and passes it to runRAGPipeline as `options.trace`; the spans end up in the
+// request's log entry and the stage latency histogram (utils/metrics.js).
+
+import { logger } from './logger.js';
+
+/**
+ * @param {Object} [options]
+ * @param {string} [options.requestId]
+ * @param {Object} [options.log] - Logger for the request (defaults to the root logger bound to requestId)
+ */
+export function createTrace({ requestId = null, log } = {}) {
+    const spans = []; // { name, startMs, durationMs, error? }
+    const start = performance.now();
+
+    return {
+        requestId,
+        log: log || (requestId ? logger.child({ requestId }) : logger),
+
+        /**
+         * Time `fn` as the span `name` and return its result. A failing span
+         * is recorded with its error and the error is rethrown.
+         */
+        async span(name, fn) {
+            const begin = performance.now();
+            const span = { name, startMs: Math.round(begin - start) };
+            try {
+                return await fn();
+            } catch (err) {
+                span.error = err.name || 'Error';
+                throw err;
+            } finally {
+                span.durationMs = parseFloat((performance.now() - begin).toFixed(1));
+                spans.push(span);
+            }
+        },
+
+        spans: () => spans.slice(),
+    };
+}
@@ -0,0 +1,130 @@
+// utils/usageInsights.js
+// Aggregations over the chat metrics log (utils/metricsLog.js) for the admin
+// dashboard: top queries, fallback and token trends, the queries retrieval
+// served worst, latency distribution and which conversations used a chunk.
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+const LATENCY_BUCKETS = [250, 500, 1000, 2000, 5000, 10000]; // upper bounds in ms
+
+// Group spelling variants of the same question ("Reset password?" / "reset  password")
+export function normalizeQuery(text) {
+    return (text || '').toLowerCase().replace(/[^\p{L}\p{N}\s]/gu, ' ').replace(/\s+/g, ' ').trim();
+}
+
+function percentile(sorted, p) {
+    if (sorted.length === 0) return 0;
+    return sorted[Math.min(sorted.length - 1, Math.max(0, Math.ceil((p / 100) * sorted.length) - 1))];
+}
+
+function groupByQuery(entries) {
+    const groups = new Map();
+    for (const e of entries) {
+        const key = normalizeQuery(e.query);
+        const group = groups.get(key) || { query: e.query, count: 0, fallbacks: 0, topScore: null, lastAskedAt: null };
+        group.count++;
+        if (e.fallback) group.fallbacks++;
+        const score = e.topScore ?? 0;
+        group.topScore = group.topScore === null ? score : Math.min(group.topScore, score);
+        if (!group.lastAskedAt || e.timestamp > group.lastAskedAt) {
+            group.lastAskedAt = e.timestamp;
+            group.query = e.query; // show the latest wording
+        }
+        groups.set(key, group);
+    }
+    return [...groups.values()];
+}
+
+function timeline(entries, from, to, bucketMs) {
+    const start = Math.floor(from / bucketMs) * bucketMs;
+    const buckets = [];
+    for (let t = start; t <= to; t += bucketMs) {
+        buckets.push({ start: new Date(t).toISOString(), queries: 0, fallbacks: 0, tokens: 0, fallbackRate: 0 });
+    }
+    for (const e of entries) {
+        const bucket = buckets[Math.floor((Date.parse(e.timestamp) - start) / bucketMs)];
+        if (!bucket) continue;
+        bucket.queries++;
+        if (e.fallback) bucket.fallbacks++;
+        bucket.tokens += e.tokensUsed || 0;
+    }
+    for (const b of buckets) b.fallbackRate = b.queries ? parseFloat((b.fallbacks / b.queries).toFixed(4)) : 0;
+    return buckets;
+}
+
+function latencyHistogram(latencies) {
+    const histogram = LATENCY_BUCKETS.map((max, i) => ({ minMs: LATENCY_BUCKETS[i - 1] || 0, maxMs: max, count: 0 }));
+    histogram.push({ minMs: LATENCY_BUCKETS[LATENCY_BUCKETS.length - 1], maxMs: null, count: 0 });
+    for (const ms of latencies) {
+        const i = LATENCY_BUCKETS.findIndex((max) => ms < max);
+        histogram[i < 0 ? histogram.length - 1 : i].count++;
+    }
+    return histogram;
+}
+
+/**
+ * Usage insights for the last `days` days. Trends are bucketed per hour for
+ * ranges of up to two days, per day otherwise.
+ * @param {Array}  entries - Metrics log entries, oldest first
+ * @param {Object} [options]
+ * @param {number} [options.days]  - Default 7
+ * @param {number} [options.limit] - Rows in the top / lowest-scoring lists (default 10)
+ * @param {number} [options.now]   - For tests; default Date.now()
+ */
+export function computeUsageInsights(entries, { days = 7, limit = 10, now = Date.now() } = {}) {
+    const from = now - days * DAY_MS;
+    const inRange = entries.filter((e) => Date.parse(e.timestamp) >= from);
+    const answered = inRange.filter((e) => e.status === 'ok');
+    const latencies = answered.map((e) => e.latencyMs).sort((a, b) => a - b);
+    const bucketMs = days <= 2 ? HOUR_MS : DAY_MS;
+    const groups = groupByQuery(answered);
+
+    return {
+        range: { from: new Date(from).toISOString(), to: new Date(now).toISOString(), bucket: bucketMs === HOUR_MS ? 'hour' : 'day' },
+        totals: {
+            queries: inRange.length,
+            errors: inRange.length - answered.length,
+            fallbackRate: answered.length ? parseFloat((answered.filter((e) => e.fallback).length / answered.length).toFixed(4)) : 0,
+            tokens: answered.reduce((sum, e) => sum + (e.tokensUsed || 0), 0),
+            latencyMs: {
+                mean: latencies.length ? Math.round(latencies.reduce((a, b) => a + b, 0) / latencies.length) : 0,
+                p50: percentile(latencies, 50),
+                p95: percentile(latencies, 95),
+            },
+        },
+        topQueries: [...groups].sort((a, b) => b.count - a.count || b.lastAskedAt.localeCompare(a.lastAskedAt)).slice(0, limit),
+        lowestScoring: [...groups].sort((a, b) => a.topScore - b.topScore || b.count - a.count).slice(0, limit),
+        timeline: timeline(answered, from, now, bucketMs),
+        latencyHistogram: latencyHistogram(latencies),
+    };
+}
+
+/**
+ * How often each chunk was put in a prompt.
+ * @returns {Map<string, number>} chunkId -> count
+ */
+export function chunkRetrievalCounts(entries) {
+    const counts = new Map();
+    for (const e of entries) {
+        for (const c of e.chunks || []) counts.set(c.id, (counts.get(c.id) || 0) + 1);
+    }
+    return counts;
+}
+
+/**
+ * Conversations whose replies used a chunk, most recent first.
+ * @returns {Array} [{ sessionId, count, lastRetrievedAt, queries: [{ query, score, timestamp, messageId }] }]
+ */
+export function chunkConversations(entries, chunkId) {
+    const bySession = new Map();
+    for (const e of entries) {
+        const chunk = (e.chunks || []).find((c) => c.id === chunkId);
+        if (!chunk) continue;
+        const session = bySession.get(e.sessionId) || { sessionId: e.sessionId, count: 0, lastRetrievedAt: null, queries: [] };
+        session.count++;
+        session.lastRetrievedAt = e.timestamp;
+        session.queries.push({ query: e.query, score: chunk.score, timestamp: e.timestamp, messageId: e.messageId });
+        bySession.set(e.sessionId, session);
+    }
+    return [...bySession.values()].sort((a, b) => b.lastRetrievedAt.localeCompare(a.lastRetrievedAt));
+}
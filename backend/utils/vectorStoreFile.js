@@ -0,0 +1,122 @@
+// utils/vectorStoreFile.js
+// vector_store.json holds chunk metadata; embeddings live in a binary sidecar
+// (vector_store.vectors.bin) as pre-normalized little-endian Float32:
+//   bytes 0-3   magic "RAGV"
+//   bytes 4-7   format version (2)
+//   bytes 8-11  vector count
+//   bytes 12-15 dimensions
+//   bytes 16-47 SHA-256 of the metadata (vector_store.json's entries)
+//   then count × dimensions float32 values, in the same order as the JSON entries.
+// The metadata hash pairs the sidecar with the JSON it was written with, so a
+// sidecar left over from another save is rejected even when the chunk count
+// matches. Version 1 sidecars (no hash) and legacy stores with inline
+// `embedding` arrays still load (the latter are normalized).
+
+import { createHash } from 'crypto';
+import { readFileSync, existsSync } from 'fs';
+import { endianness } from 'os';
+import { writeJsonAtomic, writeJsonAtomicSync, writeFileAtomic, writeFileAtomicSync } from './fileStore.js';
+import { normalizeVector } from './vector_math.js';
+
+const MAGIC = 'RAGV';
+const VERSION = 2;
+const HEADER_BYTES = { 1: 16, 2: 48 };
+const HASH_OFFSET = 16;
+
+export function sidecarPath(jsonPath) {
+    return jsonPath.replace(/\.json$/, '') + '.vectors.bin';
+}
+
+// Float32Array bytes are copied as-is, which matches the on-disk format only on little-endian hosts
+function assertLittleEndian() {
+    if (endianness() !== 'LE') throw new Error('The vector sidecar format requires a little-endian host');
+}
+
+const metadataHash = (metadata) => createHash('sha256').update(JSON.stringify(metadata)).digest();
+
+function encodeVectors(entries, metadata) {
+    assertLittleEndian();
+    const dimensions = entries.find((e) => e.embedding)?.embedding.length || 0;
+    const floats = new Float32Array(entries.length * dimensions);
+
+    entries.forEach((entry, i) => {
+        if (entry.embedding?.length !== dimensions) {
+            throw new Error(`Chunk ${entry.id} has ${entry.embedding?.length || 0} dimensions, expected ${dimensions}`);
+        }
+        floats.set(normalizeVector(entry.embedding), i * dimensions);
+    });
+
+    const header = Buffer.alloc(HEADER_BYTES[VERSION]);
+    header.write(MAGIC, 0, 'ascii');
+    header.writeUInt32LE(VERSION, 4);
+    header.writeUInt32LE(entries.length, 8);
+    header.writeUInt32LE(dimensions, 12);
+    metadataHash(metadata).copy(header, HASH_OFFSET);
+    return Buffer.concat([header, Buffer.from(floats.buffer)]);
+}
+
+function decodeVectors(buffer, metadata) {
+    if (buffer.toString('ascii', 0, 4) !== MAGIC) throw new Error('Vector sidecar has an invalid header');
+    const version = buffer.readUInt32LE(4);
+    const headerBytes = HEADER_BYTES[version];
+    if (!headerBytes) throw new Error(`Unsupported vector sidecar version ${version}`);
+    const count = buffer.readUInt32LE(8);
+    const dimensions = buffer.readUInt32LE(12);
+    if (count !== metadata.length) {
+        throw new Error(`Vector sidecar holds ${count} vectors but vector_store.json has ${metadata.length} chunks. Re-run: npm run ingest`);
+    }
+    if (version >= 2 && !buffer.subarray(HASH_OFFSET, HASH_OFFSET + 32).equals(metadataHash(metadata))) {
+        throw new Error('Vector sidecar was written for a different vector_store.json (interrupted save?). Re-run: npm run ingest');
+    }
+
+    assertLittleEndian();
+    if (buffer.length !== headerBytes + count * dimensions * 4) throw new Error('Vector sidecar is truncated');
+
+    // Copy into an aligned buffer, then hand out zero-copy views per chunk
+    const all = new Float32Array(count * dimensions);
+    new Uint8Array(all.buffer).set(buffer.subarray(headerBytes));
+    return Array.from({ length: count }, (_, i) => all.subarray(i * dimensions, (i + 1) * dimensions));
+}
+
+function stripEmbeddings(entries) {
+    return entries.map(({ embedding: _embedding, ...meta }) => meta);
+}
+
+/**
+ * Load a vector store. Every entry's `embedding` is a unit-length Float32Array.
+ */
+export function loadVectorStore(jsonPath) {
+    const entries = JSON.parse(readFileSync(jsonPath, 'utf-8'));
+    const binPath = sidecarPath(jsonPath);
+
+    if (entries.length > 0 && entries.every((e) => Array.isArray(e.embedding))) {
+        // Legacy format: embeddings inline
+        return entries.map((e) => ({ ...e, embedding: normalizeVector(e.embedding) }));
+    }
+    if (entries.length === 0) return [];
+    if (!existsSync(binPath)) throw new Error(`${binPath} not found. Re-run: npm run ingest`);
+
+    const vectors = decodeVectors(readFileSync(binPath), entries);
+    return entries.map((e, i) => ({ ...e, embedding: vectors[i] }));
+}
+
+/**
+ * Atomically save metadata and the vector sidecar. The sidecar is written
+ * first; after a crash in between, the sidecar's metadata hash no longer
+ * matches vector_store.json and loading fails instead of pairing old
+ * metadata with new vectors.
+ */
+export async function saveVectorStore(jsonPath, entries) {
+    const metadata = stripEmbeddings(entries);
+    await writeFileAtomic(sidecarPath(jsonPath), encodeVectors(entries, metadata));
+    await writeJsonAtomic(jsonPath, metadata);
+}
+
+/**
+ * Synchronous variant for scripts.
+ */
+export function saveVectorStoreSync(jsonPath, entries) {
+    const metadata = stripEmbeddings(entries);
+    writeFileAtomicSync(sidecarPath(jsonPath), encodeVectors(entries, metadata));
+    writeJsonAtomicSync(jsonPath, metadata);
+}
@@ -1,36 +1,29 @@
 // utils/vector_math.js
-// Cosine similarity calculation using compute-cosine-similarity
-
-import cosineSimilarity from 'compute-cosine-similarity';
+// Float32 helpers for pre-normalized vectors: stored and query embeddings are
+// unit length, so cosine similarity is a dot product (see utils/retrieval.js)
 
 /**
- * Calculate cosine similarity between two vectors.
- * Returns a value between -1 and 1 (1 = identical direction).
+ * L2-normalize a vector into a Float32Array (unit length, so cosine = dot product).
+ * A zero vector is returned unchanged.
  */
-export function getSimilarity(vecA, vecB) {
-  if (!vecA || !vecB || vecA.length !== vecB.length) return 0;
-  const result = cosineSimilarity(vecA, vecB);
-  return isNaN(result) ? 0 : result;
+export function normalizeVector(vec) {
+  const out = Float32Array.from(vec);
+  let sumSq = 0;
+  for (let i = 0; i < out.length; i++) sumSq += out[i] * out[i];
+  const norm = Math.sqrt(sumSq);
+  if (norm > 0) {
+    for (let i = 0; i < out.length; i++) out[i] /= norm;
+  }
+  return out;
 }
 
 /**
- * Find the top-K most relevant chunks for a given query vector.
- * @param {number[]} queryVector - The embedding of the user query
- * @param {Array}    documents   - Array of { id, title, content, embedding }
- * @param {number}   k           - Number of results to return (default: 3)
- * @param {number}   threshold   - Minimum similarity score (default: 0.65)
- * @returns {Array} Sorted array of matching chunks with their scores
+ * Dot product of two equal-length vectors (plain or typed arrays).
+ * For normalized vectors this is their cosine similarity.
  */
-export function retrieveTopK(queryVector, documents, k = 3, threshold = 0.65) {
-  const scored = documents.map((doc) => ({
-    id: doc.id,
-    title: doc.title,
-    content: doc.content,
-    score: getSimilarity(queryVector, doc.embedding),
-  }));
-
-  return scored
-    .filter((doc) => doc.score >= threshold)
-    .sort((a, b) => b.score - a.score)
-    .slice(0, k);
+export function dotProduct(a, b) {
+  if (!a || !b || a.length !== b.length) return 0;
+  let sum = 0;
+  for (let i = 0; i < a.length; i++) sum += a[i] * b[i];
+  return sum;
 }
@@ -1,9 +1,14 @@
 import { useState, useEffect } from 'react';
 import ChatWindow from './components/ChatWindow';
 import ChatInput from './components/ChatInput';
+import ConversationList from './components/ConversationList';
+import AdminDashboard from './components/AdminDashboard';
+import CollectionPicker from './components/CollectionPicker';
+import { readEventStream } from './utils/sse';
+import { apiFetch, signIn } from './utils/api';
 import './index.css';
 
-const API_BASE = 'http://localhost:3001';
+const DEFAULT_COLLECTION = 'default';
 
 const SUGGESTIONS = [
   '🔑 How do I reset my password?',
@@ -13,25 +18,132 @@ const SUGGESTIONS = [
   '♻️ What is the refund policy?',
 ];
 
+// Last collection picked for new conversations
+const storedCollection = () => localStorage.getItem('rag_collection') || DEFAULT_COLLECTION;
+
+// Server messages use role 'model'; the UI uses 'ai'
+function toUiMessage(message) {
+  return { ...message, role: message.role === 'model' ? 'ai' : 'user' };
+}
+
 function App() {
   const [messages, setMessages] = useState([]);
+  const [conversations, setConversations] = useState([]);
   const [sessionId, setSessionId] = useState(null);
   const [isLoading, setIsLoading] = useState(false);
   const [error, setError] = useState(null);
+  const [view, setView] = useState('chat'); // 'chat' | 'admin'
+  const [isAdmin, setIsAdmin] = useState(false);
+  const [collections, setCollections] = useState([]);
+  const [backend, setBackend] = useState(null); // { provider, chatModel } from /health
+  // Knowledge base for new conversations; an opened conversation keeps its own
+  const [collection, setCollection] = useState(storedCollection);
 
   // ── Initialise / restore session ──────────────────────────────────────────
   useEffect(() => {
     const stored = localStorage.getItem('rag_session_id');
     if (stored) {
-      setSessionId(stored);
+      // Expired or deleted on the server: start a fresh session
+      loadConversation(stored).then((found) => found || createNewSession(storedCollection()));
     } else {
-      createNewSession();
+      createNewSession(storedCollection());
     }
+    loadConversations();
+    loadCollections();
+    apiFetch('/health')
+      .then((res) => (res.ok ? res.json() : null))
+      .then((health) => health && setBackend({ provider: health.provider, chatModel: health.chatModel }))
+      .catch(() => { /* badges stay generic */ });
+    // The dashboard link is only shown to admins; missing or expired credentials go to the login flow
+    apiFetch('/api/me')
+      .then((res) => {
+        if (res.status === 401 && !signIn()) setError('Sign-in required: the backend rejected the request credentials.');
+        return res.ok ? res.json() : null;
+      })
+      .then((me) => setIsAdmin(me?.role === 'admin'))
+      .catch(() => setIsAdmin(false));
   }, []);
 
-  async function createNewSession() {
+  async function loadConversations() {
+    try {
+      const res = await apiFetch(`/api/sessions`);
+      if (res.ok) setConversations((await res.json()).sessions);
+    } catch { /* sidebar stays as it was */ }
+  }
+
+  async function loadCollections() {
+    try {
+      const res = await apiFetch('/api/collections');
+      if (!res.ok) return;
+      const list = (await res.json()).collections;
+      setCollections(list);
+      // A remembered collection may have been removed since
+      setCollection((current) => (list.some((c) => c.id === current) ? current : DEFAULT_COLLECTION));
+    } catch { /* picker keeps the last list */ }
+  }
+
+  // ── Open a past conversation ──────────────────────────────────────────────
+  async function openConversation(id) {
+    setView('chat');
+    if (isLoading || id === sessionId) return;
+    setError(null);
+    if (!(await loadConversation(id))) {
+      setError('That conversation no longer exists.');
+      loadConversations();
+    }
+  }
+
+  // Resolves false when the session no longer exists on the server
+  async function loadConversation(id) {
+    try {
+      const res = await apiFetch(`/api/session/${id}/messages`);
+      if (res.status === 404) return false;
+      if (!res.ok) throw new Error(`Server error (${res.status})`);
+      const data = await res.json();
+      setSessionId(id);
+      setCollection(data.collection || DEFAULT_COLLECTION);
+      setMessages(data.messages.map(toUiMessage));
+      localStorage.setItem('rag_session_id', id);
+    } catch (err) {
+      setError(`Could not load conversation: ${err.message}`);
+    }
+    return true;
+  }
+
+  async function handleRename(id, title) {
+    try {
+      const res = await apiFetch(`/api/session/${id}`, {
+        method: 'PATCH',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ title }),
+      });
+      if (!res.ok) {
+        const errData = await res.json().catch(() => ({}));
+        throw new Error(errData.error || `Server error (${res.status})`);
+      }
+    } catch (err) {
+      setError(`Could not rename conversation: ${err.message}`);
+    }
+    loadConversations();
+  }
+
+  async function handleDelete(id) {
+    if (!window.confirm('Delete this conversation?')) return;
+    try {
+      await apiFetch(`/api/session/${id}`, { method: 'DELETE' });
+    } catch { /* ignore */ }
+    if (id === sessionId) await handleNewChat();
+    loadConversations();
+  }
+
+  async function createNewSession(collectionId) {
     try {
-      const res = await fetch(`${API_BASE}/api/session/new`, { method: 'POST' });
+      const res = await apiFetch(`/api/session/new`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ collection: collectionId }),
+      });
+      if (!res.ok) throw new Error(`Server error (${res.status})`);
       const data = await res.json();
       setSessionId(data.sessionId);
       localStorage.setItem('rag_session_id', data.sessionId);
@@ -43,17 +155,21 @@ function App() {
     }
   }
 
-  // ── Start new chat ─────────────────────────────────────────────────────────
-  async function handleNewChat() {
-    if (sessionId) {
-      try {
-        await fetch(`${API_BASE}/api/session/${sessionId}`, { method: 'DELETE' });
-      } catch { /* ignore */ }
-    }
+  // ── Start new chat (the current one stays in the sidebar) ─────────────────
+  async function handleNewChat(collectionId = collection) {
+    if (isLoading) return;
+    setView('chat');
     setMessages([]);
     setError(null);
     localStorage.removeItem('rag_session_id');
-    await createNewSession();
+    await createNewSession(collectionId);
+  }
+
+  // A conversation searches one collection, so switching starts a new chat
+  async function handleCollectionChange(id) {
+    setCollection(id);
+    localStorage.setItem('rag_collection', id);
+    await handleNewChat(id);
   }
 
   // ── Send message ──────────────────────────────────────────────────────────
@@ -65,11 +181,19 @@ function App() {
     setMessages((prev) => [...prev, userMsg]);
     setIsLoading(true);
 
+    // Patch the in-flight AI message (always the last one while streaming)
+    const updateStreamingMessage = (patch) =>
+      setMessages((prev) => {
+        const last = prev[prev.length - 1];
+        if (!last?.streaming) return prev;
+        return [...prev.slice(0, -1), { ...last, ...patch(last) }];
+      });
+
     try {
-      const res = await fetch(`${API_BASE}/api/chat`, {
+      const res = await apiFetch(`/api/chat/stream`, {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ sessionId, message: text }),
+        body: JSON.stringify({ sessionId, message: text, collection }),
       });
 
       if (!res.ok) {
@@ -77,22 +201,77 @@ function App() {
         throw new Error(errData.error || `Server error (${res.status})`);
       }
 
-      const data = await res.json();
-      const aiMsg = {
-        role: 'ai',
-        content: data.reply,
-        timestamp: new Date().toISOString(),
-        tokensUsed: data.tokensUsed,
-        retrievedChunks: data.retrievedChunks,
-        scores: data.scores,
-        fallback: data.fallback,
-        latencyMs: data.latencyMs,
+      let streamError = null;
+      let started = false;
+      // The AI message appears with the first token, or with `done` when no token came first
+      const startStreamingMessage = () => {
+        if (started) return;
+        started = true;
+        setMessages((prev) => [
+          ...prev,
+          { role: 'ai', content: '', timestamp: new Date().toISOString(), streaming: true },
+        ]);
       };
-      setMessages((prev) => [...prev, aiMsg]);
+
+      await readEventStream(res, (event, data) => {
+        if (event === 'token') {
+          startStreamingMessage();
+          updateStreamingMessage((msg) => ({ content: msg.content + data.text }));
+        } else if (event === 'done') {
+          startStreamingMessage();
+          updateStreamingMessage((msg) => ({
+            id: data.messageId,
+            // The final reply has its citations checked against the sources
+            content: data.reply ?? msg.content,
+            streaming: false,
+            tokensUsed: data.tokensUsed,
+            retrievedChunks: data.retrievedChunks,
+            scores: data.scores,
+            sources: data.sources,
+            groundedness: data.groundedness,
+            unsupported: data.unsupported,
+            fallback: data.fallback,
+            cached: data.cached,
+            latencyMs: data.latencyMs,
+          }));
+        } else if (event === 'error') {
+          streamError = data.error || 'Streaming failed.';
+        }
+      });
+
+      if (streamError) {
+        // Drop the partial reply — it was never saved to the session
+        setMessages((prev) => (prev[prev.length - 1]?.streaming ? prev.slice(0, -1) : prev));
+        throw new Error(streamError);
+      }
     } catch (err) {
       setError(err.message);
     } finally {
       setIsLoading(false);
+      loadConversations();
+    }
+  }
+
+  // ── Rate a reply (👍 / 👎 + optional comment) ─────────────────────────────
+  async function handleFeedback(messageId, rating, comment) {
+    const setFeedback = (feedback) =>
+      setMessages((prev) => prev.map((m) => (m.id === messageId ? { ...m, feedback } : m)));
+    const previous = messages.find((m) => m.id === messageId)?.feedback;
+    setFeedback({ rating, comment: comment || null });
+
+    try {
+      const res = await apiFetch(`/api/feedback`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ sessionId, messageId, rating, comment }),
+      });
+      if (!res.ok) {
+        const errData = await res.json().catch(() => ({}));
+        throw new Error(errData.error || `Server error (${res.status})`);
+      }
+    } catch (err) {
+      setFeedback(previous);
+      setError(`Could not save feedback: ${err.message}`);
     }
   }
 
@@ -101,6 +280,8 @@ function App() {
     handleSend(cleaned);
   }
 
+  const activeCollection = collections.find((c) => c.id === collection);
+
   return (
     <div className="app">
       {/* ── Sidebar ────────────────────────────────────────────────────── */}
@@ -110,27 +291,74 @@ function App() {
           <span>RAG Assistant</span>
         </div>
 
-        <button className="new-chat-btn" onClick={handleNewChat}>
+        <button className="new-chat-btn" onClick={() => handleNewChat()}>
           ✦ New Chat
         </button>
 
+        <nav className="conversations">
+          <h4>Conversations</h4>
+          <ConversationList
+            conversations={conversations}
+            activeId={sessionId}
+            onOpen={openConversation}
+            onRename={handleRename}
+            onDelete={handleDelete}
+          />
+        </nav>
+
+        {isAdmin && (
+          <button
+            className={`admin-link${view === 'admin' ? ' active' : ''}`}
+            onClick={() => setView(view === 'admin' ? 'chat' : 'admin')}
+          >
+            📊 Admin dashboard
+          </button>
+        )}
+
         <div className="sidebar-info">
           <div className="badge">
             <span className="badge-dot" />
-            Gemini Powered
+            {backend ? `Powered by ${backend.provider}` : 'Connecting…'}
           </div>
           <p>Answers grounded in your knowledge base via real embedding-based retrieval.</p>
         </div>
       </aside>
 
+      {/* ── Admin dashboard ────────────────────────────────────────────── */}
+      {view === 'admin' && (
+        <main className="chat-main">
+          <div className="chat-header">
+            <div>
+              <h2>Admin Dashboard</h2>
+              <p>Knowledge base and usage insights</p>
+            </div>
+          </div>
+          <AdminDashboard onOpenConversation={openConversation} />
+        </main>
+      )}
+
       {/* ── Main chat ──────────────────────────────────────────────────── */}
-      <main className="chat-main">
+      <main className="chat-main" hidden={view !== 'chat'}>
         <div className="chat-header">
           <div>
             <h2>Support Assistant</h2>
-            <p>Powered by RAG · Knowledge base: 10 documents</p>
+            <p>
+              Powered by RAG · Knowledge base:{' '}
+              {activeCollection
+                ? `${activeCollection.name} (${activeCollection.documents} document${activeCollection.documents !== 1 ? 's' : ''})`
+                : '…'}
+            </p>
+          </div>
+          <div className="chat-header-actions">
+            <CollectionPicker
+              collections={collections}
+              value={collection}
+              onChange={handleCollectionChange}
+              onRefresh={loadCollections}
+              disabled={isLoading}
+            />
+            {backend && <div className="model-badge">⚡ {backend.chatModel}</div>}
           </div>
-          <div className="model-badge">⚡ gemini-2.5-flash</div>
         </div>
 
         <ChatWindow
@@ -138,6 +366,7 @@ function App() {
           isLoading={isLoading}
           suggestions={SUGGESTIONS}
           onSuggestion={handleSuggestion}
+          onFeedback={handleFeedback}
         />
 
         {error && (
@@ -0,0 +1,64 @@
+import { useEffect, useState } from 'react';
+import PropTypes from 'prop-types';
+import UsageInsights from './UsageInsights';
+import KnowledgeBaseBrowser from './KnowledgeBaseBrowser';
+import { apiFetch } from '../utils/api';
+
+const RANGES = [
+    { days: 1, label: '24 h' },
+    { days: 7, label: '7 days' },
+    { days: 30, label: '30 days' },
+];
+
+export default function AdminDashboard({ onOpenConversation }) {
+    const [tab, setTab] = useState('usage');
+    const [days, setDays] = useState(7);
+    const [insights, setInsights] = useState(null);
+    const [error, setError] = useState(null);
+    const [refreshKey, setRefreshKey] = useState(0);
+
+    useEffect(() => {
+        if (tab !== 'usage') return;
+        setError(null);
+        apiFetch(`/api/admin/insights?days=${days}`)
+            .then(async (res) => {
+                const data = await res.json().catch(() => ({}));
+                if (!res.ok) throw new Error(data.error || `Server error (${res.status})`);
+                setInsights(data);
+            })
+            .catch((err) => setError(`Could not load insights: ${err.message}`));
+    }, [tab, days, refreshKey]);
+
+    return (
+        <div className="admin-dashboard">
+            <div className="admin-toolbar">
+                <div className="admin-tabs">
+                    <button className={tab === 'usage' ? 'active' : ''} onClick={() => setTab('usage')}>
+                        📈 Usage
+                    </button>
+                    <button className={tab === 'kb' ? 'active' : ''} onClick={() => setTab('kb')}>
+                        📚 Knowledge base
+                    </button>
+                </div>
+                {tab === 'usage' && (
+                    <div className="admin-tabs">
+                        {RANGES.map((r) => (
+                            <button key={r.days} className={days === r.days ? 'active' : ''} onClick={() => setDays(r.days)}>
+                                {r.label}
+                            </button>
+                        ))}
+                        <button onClick={() => setRefreshKey((k) => k + 1)} title="Refresh">↻</button>
+                    </div>
+                )}
+            </div>
+
+            {tab === 'usage' && error && <div className="error-banner">⚠️ {error}</div>}
+            {tab === 'usage' && insights && <UsageInsights insights={insights} />}
+            {tab === 'kb' && <KnowledgeBaseBrowser onOpenConversation={onOpenConversation} />}
+        </div>
+    );
+}
+
+AdminDashboard.propTypes = {
+    onOpenConversation: PropTypes.func.isRequired,
+};
@@ -0,0 +1,31 @@
+import PropTypes from 'prop-types';
+
+// Minimal vertical bar chart; bars scale to the largest value
+export default function BarChart({ data, formatValue = String, height = 120, tone = 'accent' }) {
+    const max = Math.max(1, ...data.map((d) => d.value));
+
+    return (
+        <div className={`bar-chart ${tone}`} style={{ height }}>
+            {data.map((d) => (
+                <div key={d.key ?? d.label} className="bar-column" title={`${d.label}: ${formatValue(d.value)}`}>
+                    <div className="bar" style={{ height: `${(d.value / max) * 100}%` }} />
+                    <span className="bar-label">{d.shortLabel ?? d.label}</span>
+                </div>
+            ))}
+        </div>
+    );
+}
+
+BarChart.propTypes = {
+    data: PropTypes.arrayOf(
+        PropTypes.shape({
+            key: PropTypes.string,
+            label: PropTypes.string.isRequired,
+            shortLabel: PropTypes.string,
+            value: PropTypes.number.isRequired,
+        })
+    ).isRequired,
+    formatValue: PropTypes.func,
+    height: PropTypes.number,
+    tone: PropTypes.oneOf(['accent', 'warning', 'success']),
+};
@@ -2,8 +2,9 @@ import { useEffect, useRef } from 'react';
 import MessageBubble from './MessageBubble';
 import PropTypes from 'prop-types';
 
-export default function ChatWindow({ messages, isLoading, suggestions, onSuggestion }) {
+export default function ChatWindow({ messages, isLoading, suggestions, onSuggestion, onFeedback }) {
     const bottomRef = useRef(null);
+    const isStreaming = messages[messages.length - 1]?.streaming === true;
 
     // Auto-scroll to bottom whenever messages change or loading state changes
     useEffect(() => {
@@ -35,11 +36,11 @@ export default function ChatWindow({ messages, isLoading, suggestions, onSuggest
     return (
         <div className="messages-window">
             {messages.map((msg, idx) => (
-                <MessageBubble key={idx} message={msg} />
+                <MessageBubble key={msg.id || idx} message={msg} onFeedback={onFeedback} />
             ))}
 
-            {/* Typing / loading indicator */}
-            {isLoading && (
+            {/* Typing / loading indicator (hidden once the reply starts streaming) */}
+            {isLoading && !isStreaming && (
                 <div className="message-row">
                     <div className="avatar ai">🤖</div>
                     <div className="bubble-wrapper">
@@ -60,6 +61,7 @@ export default function ChatWindow({ messages, isLoading, suggestions, onSuggest
 ChatWindow.propTypes = {
     messages: PropTypes.arrayOf(
         PropTypes.shape({
+            id: PropTypes.string,
             role: PropTypes.string.isRequired,
             content: PropTypes.string.isRequired,
             timestamp: PropTypes.string.isRequired,
@@ -67,9 +69,12 @@ ChatWindow.propTypes = {
             fallback: PropTypes.bool,
             tokensUsed: PropTypes.number,
             latencyMs: PropTypes.number,
+            streaming: PropTypes.bool,
+            sources: PropTypes.arrayOf(PropTypes.object),
         })
     ).isRequired,
     isLoading: PropTypes.bool.isRequired,
     suggestions: PropTypes.arrayOf(PropTypes.string).isRequired,
     onSuggestion: PropTypes.func.isRequired,
+    onFeedback: PropTypes.func,
 };
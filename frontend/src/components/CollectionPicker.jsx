@@ -0,0 +1,40 @@
+import PropTypes from 'prop-types';
+
+const countLabel = (n) => `${n} document${n !== 1 ? 's' : ''}`;
+
+// Knowledge base selector; counts are refreshed each time it is focused
+export default function CollectionPicker({ collections, value, onChange, onRefresh, disabled }) {
+    if (collections.length < 2) return null;
+
+    return (
+        <label className="collection-picker" title="Knowledge base to search">
+            <span>📚</span>
+            <select
+                value={value}
+                disabled={disabled}
+                onFocus={onRefresh}
+                onChange={(e) => onChange(e.target.value)}
+            >
+                {collections.map((c) => (
+                    <option key={c.id} value={c.id}>
+                        {c.name} ({countLabel(c.documents)})
+                    </option>
+                ))}
+            </select>
+        </label>
+    );
+}
+
+CollectionPicker.propTypes = {
+    collections: PropTypes.arrayOf(
+        PropTypes.shape({
+            id: PropTypes.string.isRequired,
+            name: PropTypes.string.isRequired,
+            documents: PropTypes.number.isRequired,
+        })
+    ).isRequired,
+    value: PropTypes.string.isRequired,
+    onChange: PropTypes.func.isRequired,
+    onRefresh: PropTypes.func,
+    disabled: PropTypes.bool,
+};
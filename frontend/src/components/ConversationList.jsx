@@ -0,0 +1,80 @@
+import { useState } from 'react';
+import PropTypes from 'prop-types';
+
+function formatWhen(iso) {
+    const date = new Date(iso);
+    const today = new Date();
+    return date.toDateString() === today.toDateString()
+        ? date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })
+        : date.toLocaleDateString([], { month: 'short', day: 'numeric' });
+}
+
+export default function ConversationList({ conversations, activeId, onOpen, onRename, onDelete }) {
+    const [editingId, setEditingId] = useState(null);
+    const [draft, setDraft] = useState('');
+
+    function startRename(conversation) {
+        setEditingId(conversation.id);
+        setDraft(conversation.title);
+    }
+
+    function commitRename() {
+        const title = draft.trim();
+        const current = conversations.find((c) => c.id === editingId);
+        if (title && current && title !== current.title) onRename(editingId, title);
+        setEditingId(null);
+    }
+
+    function handleKeyDown(e) {
+        if (e.key === 'Enter') commitRename();
+        else if (e.key === 'Escape') setEditingId(null);
+    }
+
+    if (conversations.length === 0) {
+        return <p className="conversation-empty">No conversations yet.</p>;
+    }
+
+    return (
+        <ul className="conversation-list">
+            {conversations.map((c) => (
+                <li key={c.id} className={`conversation-item ${c.id === activeId ? 'active' : ''}`}>
+                    {editingId === c.id ? (
+                        <input
+                            className="conversation-rename"
+                            value={draft}
+                            maxLength={100}
+                            autoFocus
+                            onChange={(e) => setDraft(e.target.value)}
+                            onKeyDown={handleKeyDown}
+                            onBlur={commitRename}
+                        />
+                    ) : (
+                        <button className="conversation-open" onClick={() => onOpen(c.id)} title={c.title}>
+                            <span className="conversation-title">{c.title}</span>
+                            <span className="conversation-when">{formatWhen(c.lastActiveAt)}</span>
+                        </button>
+                    )}
+                    <div className="conversation-actions">
+                        <button onClick={() => startRename(c)} title="Rename" aria-label="Rename conversation">✎</button>
+                        <button onClick={() => onDelete(c.id)} title="Delete" aria-label="Delete conversation">🗑</button>
+                    </div>
+                </li>
+            ))}
+        </ul>
+    );
+}
+
+ConversationList.propTypes = {
+    conversations: PropTypes.arrayOf(
+        PropTypes.shape({
+            id: PropTypes.string.isRequired,
+            title: PropTypes.string.isRequired,
+            messageCount: PropTypes.number,
+            lastActiveAt: PropTypes.string.isRequired,
+        })
+    ).isRequired,
+    activeId: PropTypes.string,
+    onOpen: PropTypes.func.isRequired,
+    onRename: PropTypes.func.isRequired,
+    onDelete: PropTypes.func.isRequired,
+};
@@ -0,0 +1,68 @@
+import { useState } from 'react';
+import PropTypes from 'prop-types';
+
+const MAX_COMMENT_LENGTH = 1000;
+
+export default function FeedbackButtons({ feedback, onFeedback }) {
+    const [commenting, setCommenting] = useState(false);
+    const [comment, setComment] = useState(feedback?.comment || '');
+    const rating = feedback?.rating;
+
+    function rate(value) {
+        onFeedback(value, value === 'down' ? comment : null);
+        // Ask what was wrong, but the rating is already saved
+        setCommenting(value === 'down');
+    }
+
+    function submitComment(e) {
+        e.preventDefault();
+        onFeedback('down', comment.trim());
+        setCommenting(false);
+    }
+
+    return (
+        <div className="feedback">
+            <div className="feedback-buttons">
+                <button
+                    className={rating === 'up' ? 'active' : ''}
+                    onClick={() => rate('up')}
+                    title="Helpful"
+                    aria-pressed={rating === 'up'}
+                >
+                    👍
+                </button>
+                <button
+                    className={rating === 'down' ? 'active' : ''}
+                    onClick={() => rate('down')}
+                    title="Not helpful"
+                    aria-pressed={rating === 'down'}
+                >
+                    👎
+                </button>
+                {rating && !commenting && <span className="feedback-thanks">Thanks for the feedback</span>}
+            </div>
+
+            {commenting && (
+                <form className="feedback-comment" onSubmit={submitComment}>
+                    <input
+                        autoFocus
+                        value={comment}
+                        maxLength={MAX_COMMENT_LENGTH}
+                        placeholder="What was wrong with this answer? (optional)"
+                        onChange={(e) => setComment(e.target.value)}
+                        onKeyDown={(e) => e.key === 'Escape' && setCommenting(false)}
+                    />
+                    <button type="submit" disabled={!comment.trim()}>Send</button>
+                </form>
+            )}
+        </div>
+    );
+}
+
+FeedbackButtons.propTypes = {
+    feedback: PropTypes.shape({
+        rating: PropTypes.oneOf(['up', 'down']),
+        comment: PropTypes.string,
+    }),
+    onFeedback: PropTypes.func.isRequired,
+};
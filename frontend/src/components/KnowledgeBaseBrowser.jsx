@@ -0,0 +1,157 @@
+import { useEffect, useState } from 'react';
+import PropTypes from 'prop-types';
+import { apiFetch } from '../utils/api';
+
+function formatDate(iso) {
+    return new Date(iso).toLocaleString([], { month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' });
+}
+
+async function getJson(path) {
+    const res = await apiFetch(path);
+    const data = await res.json().catch(() => ({}));
+    if (!res.ok) throw new Error(data.error || `Server error (${res.status})`);
+    return data;
+}
+
+export default function KnowledgeBaseBrowser({ onOpenConversation }) {
+    const [collections, setCollections] = useState([]);
+    const [collection, setCollection] = useState('default');
+    const [documents, setDocuments] = useState([]);
+    const [selectedDoc, setSelectedDoc] = useState(null);
+    const [chunks, setChunks] = useState([]);
+    const [chunkDetail, setChunkDetail] = useState(null);
+    const [error, setError] = useState(null);
+
+    useEffect(() => {
+        getJson('/api/collections')
+            .then((data) => setCollections(data.collections))
+            .catch((err) => setError(`Could not load collections: ${err.message}`));
+    }, []);
+
+    useEffect(() => {
+        setSelectedDoc(null);
+        setChunks([]);
+        setChunkDetail(null);
+        getJson(`/api/admin/documents?collection=${encodeURIComponent(collection)}`)
+            .then((data) => setDocuments(data.documents))
+            .catch((err) => setError(`Could not load documents: ${err.message}`));
+    }, [collection]);
+
+    const inCollection = `collection=${encodeURIComponent(collection)}`;
+
+    async function openDocument(id) {
+        setSelectedDoc(id);
+        setChunkDetail(null);
+        try {
+            setChunks((await getJson(`/api/admin/documents/${encodeURIComponent(id)}/chunks?${inCollection}`)).chunks);
+        } catch (err) {
+            setError(`Could not load chunks: ${err.message}`);
+        }
+    }
+
+    async function openChunk(id) {
+        try {
+            setChunkDetail(await getJson(`/api/admin/chunks/${encodeURIComponent(id)}?${inCollection}`));
+        } catch (err) {
+            setError(`Could not load chunk: ${err.message}`);
+        }
+    }
+
+    return (
+        <div className="kb-browser">
+            {error && <div className="error-banner">⚠️ {error}</div>}
+
+            {collections.length > 1 && (
+                <div className="admin-tabs kb-collections">
+                    {collections.map((c) => (
+                        <button key={c.id} className={c.id === collection ? 'active' : ''} onClick={() => setCollection(c.id)}>
+                            {c.name} ({c.documents})
+                        </button>
+                    ))}
+                </div>
+            )}
+
+            <div className="kb-columns">
+                <section className="admin-card kb-list">
+                    <h4>Documents ({documents.length})</h4>
+                    <ul>
+                        {documents.map((doc) => (
+                            <li key={doc.id}>
+                                <button className={doc.id === selectedDoc ? 'active' : ''} onClick={() => openDocument(doc.id)}>
+                                    <span className="kb-title">{doc.title}</span>
+                                    <span className="kb-meta">
+                                        {doc.chunks} chunk{doc.chunks !== 1 ? 's' : ''} · used {doc.retrievals}×
+                                    </span>
+                                </button>
+                            </li>
+                        ))}
+                    </ul>
+                </section>
+
+                <section className="admin-card kb-list">
+                    <h4>Chunks</h4>
+                    {!selectedDoc && <p className="admin-empty">Select a document.</p>}
+                    <ul>
+                        {chunks.map((chunk) => (
+                            <li key={chunk.id}>
+                                <button className={chunk.id === chunkDetail?.chunk.id ? 'active' : ''} onClick={() => openChunk(chunk.id)}>
+                                    <span className="kb-title">#{(chunk.chunkIndex ?? 0) + 1} {chunk.content.slice(0, 90)}{chunk.content.length > 90 ? '…' : ''}</span>
+                                    <span className="kb-meta">{chunk.content.length} chars · used {chunk.retrievals}×</span>
+                                </button>
+                            </li>
+                        ))}
+                    </ul>
+                </section>
+
+                <section className="admin-card kb-detail">
+                    <h4>Chunk</h4>
+                    {!chunkDetail ? (
+                        <p className="admin-empty">Select a chunk to see its text and the conversations that used it.</p>
+                    ) : (
+                        <>
+                            <p className="kb-meta">
+                                {chunkDetail.chunk.id}
+                                {chunkDetail.chunk.chunking && ` · ${chunkDetail.chunk.chunking.strategy} ${chunkDetail.chunk.chunking.size} ${chunkDetail.chunk.chunking.unit || ''}`}
+                            </p>
+                            {Object.keys(chunkDetail.chunk.metadata || {}).length > 0 && (
+                                <p className="kb-meta">
+                                    {Object.entries(chunkDetail.chunk.metadata)
+                                        .map(([key, value]) => `${key}: ${[].concat(value).join(', ')}`)
+                                        .join(' · ')}
+                                </p>
+                            )}
+                            <blockquote className="source-snippet kb-content">{chunkDetail.chunk.content}</blockquote>
+
+                            <h4>Retrieved in {chunkDetail.conversations.length} conversation{chunkDetail.conversations.length !== 1 ? 's' : ''}</h4>
+                            {chunkDetail.conversations.length === 0 && <p className="admin-empty">Not retrieved yet.</p>}
+                            <ul className="kb-conversations">
+                                {chunkDetail.conversations.map((c) => (
+                                    <li key={c.sessionId}>
+                                        <div className="kb-conversation-header">
+                                            <span className="kb-title">{c.title || 'Expired conversation'}</span>
+                                            <span className="kb-meta">{c.count}× · {formatDate(c.lastRetrievedAt)}</span>
+                                            {c.available && (
+                                                <button onClick={() => onOpenConversation(c.sessionId)}>Open</button>
+                                            )}
+                                        </div>
+                                        <ul className="kb-queries">
+                                            {c.queries.map((q) => (
+                                                <li key={`${q.timestamp}-${q.messageId}`}>
+                                                    “{q.query}” <span className="kb-meta">score {q.score.toFixed(3)}</span>
+                                                </li>
+                                            ))}
+                                        </ul>
+                                    </li>
+                                ))}
+                            </ul>
+                        </>
+                    )}
+                </section>
+            </div>
+        </div>
+    );
+}
+
+KnowledgeBaseBrowser.propTypes = {
+    onOpenConversation: PropTypes.func.isRequired,
+};
@@ -1,13 +1,40 @@
+import { useState } from 'react';
 import ReactMarkdown from 'react-markdown';
 import remarkGfm from 'remark-gfm';
 import PropTypes from 'prop-types';
+import SourcesPanel from './SourcesPanel';
+import FeedbackButtons from './FeedbackButtons';
+import { linkCitations, CITATION_HREF_PREFIX } from '../utils/citations';
 
 function formatTime(iso) {
     return new Date(iso).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
 }
 
-export default function MessageBubble({ message }) {
+export default function MessageBubble({ message, onFeedback }) {
     const isUser = message.role === 'user';
+    const sources = message.sources || [];
+    const [sourcesOpen, setSourcesOpen] = useState(false);
+    const [activeSource, setActiveSource] = useState(null);
+
+    function showSource(index) {
+        setSourcesOpen(true);
+        setActiveSource(index);
+    }
+
+    // Citation links become buttons that open the sources panel at that source
+    const markdownComponents = {
+        a: ({ href, children }) => {
+            if (href?.startsWith(CITATION_HREF_PREFIX)) {
+                const index = Number(href.slice(CITATION_HREF_PREFIX.length));
+                return (
+                    <button className="citation" onClick={() => showSource(index)} title={sources[index - 1]?.title}>
+                        {index}
+                    </button>
+                );
+            }
+            return <a href={href} target="_blank" rel="noreferrer">{children}</a>;
+        },
+    };
 
     return (
         <div className={`message-row ${isUser ? 'user' : ''}`}>
@@ -16,16 +43,25 @@ export default function MessageBubble({ message }) {
             </div>
 
             <div className="bubble-wrapper">
-                <div className={`bubble ${isUser ? 'user' : 'ai'}`}>
+                <div className={`bubble ${isUser ? 'user' : 'ai'}${message.streaming ? ' streaming' : ''}`}>
                     {isUser ? (
                         message.content
                     ) : (
-                        <ReactMarkdown remarkPlugins={[remarkGfm]}>
-                            {message.content}
+                        <ReactMarkdown remarkPlugins={[remarkGfm]} components={markdownComponents}>
+                            {message.streaming ? message.content : linkCitations(message.content, sources.length)}
                         </ReactMarkdown>
                     )}
                 </div>
 
+                {!isUser && sources.length > 0 && (
+                    <SourcesPanel
+                        sources={sources}
+                        open={sourcesOpen}
+                        activeIndex={activeSource}
+                        onToggle={() => setSourcesOpen((open) => !open)}
+                    />
+                )}
+
                 {/* Meta information row */}
                 <div className="message-meta">
                     <span>{formatTime(message.timestamp)}</span>
@@ -45,6 +81,23 @@ export default function MessageBubble({ message }) {
                                             🔢 {message.tokensUsed} tokens
                                         </span>
                                     )}
+                                    {typeof message.groundedness === 'number' && (
+                                        <span
+                                            className={`meta-chip${message.unsupported?.length ? ' ungrounded' : ''}`}
+                                            title={
+                                                message.unsupported?.length
+                                                    ? `Not found in the sources:\n${message.unsupported.join('\n')}`
+                                                    : 'Every statement was found in the sources'
+                                            }
+                                        >
+                                            🛡 {Math.round(message.groundedness * 100)}% grounded
+                                        </span>
+                                    )}
+                                    {message.cached && (
+                                        <span className="meta-chip" title="Answered from the cache of earlier replies">
+                                            ♻ cached
+                                        </span>
+                                    )}
                                     {message.latencyMs && (
                                         <span className="meta-chip">
                                             ⚡ {message.latencyMs}ms
@@ -55,6 +108,14 @@ export default function MessageBubble({ message }) {
                         </>
                     )}
                 </div>
+
+                {/* Replies saved on the server (they have an id) can be rated */}
+                {!isUser && message.id && !message.streaming && onFeedback && (
+                    <FeedbackButtons
+                        feedback={message.feedback}
+                        onFeedback={(rating, comment) => onFeedback(message.id, rating, comment)}
+                    />
+                )}
             </div>
         </div>
     );
@@ -62,6 +123,7 @@ export default function MessageBubble({ message }) {
 
 MessageBubble.propTypes = {
     message: PropTypes.shape({
+        id: PropTypes.string,
         role: PropTypes.string.isRequired,
         content: PropTypes.string.isRequired,
         timestamp: PropTypes.string.isRequired,
@@ -69,5 +131,12 @@ MessageBubble.propTypes = {
         fallback: PropTypes.bool,
         tokensUsed: PropTypes.number,
         latencyMs: PropTypes.number,
+        cached: PropTypes.bool,
+        streaming: PropTypes.bool,
+        sources: PropTypes.arrayOf(PropTypes.object),
+        groundedness: PropTypes.number,
+        unsupported: PropTypes.arrayOf(PropTypes.string),
+        feedback: PropTypes.object,
     }).isRequired,
+    onFeedback: PropTypes.func,
 };
@@ -0,0 +1,57 @@
+import { useEffect, useRef } from 'react';
+import PropTypes from 'prop-types';
+
+export default function SourcesPanel({ sources, open, activeIndex, onToggle }) {
+    const itemRefs = useRef({});
+
+    // Bring the cited passage into view when a citation is clicked
+    useEffect(() => {
+        if (open && activeIndex) {
+            itemRefs.current[activeIndex]?.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+        }
+    }, [open, activeIndex]);
+
+    return (
+        <div className={`sources-panel ${open ? 'open' : ''}`}>
+            <button className="sources-toggle" onClick={onToggle} aria-expanded={open}>
+                {open ? '▾' : '▸'} 📚 {sources.length} source{sources.length !== 1 ? 's' : ''}
+            </button>
+
+            {open && (
+                <ol className="sources-list">
+                    {sources.map((source) => (
+                        <li
+                            key={source.id || source.index}
+                            ref={(el) => { itemRefs.current[source.index] = el; }}
+                            className={`source-item${source.index === activeIndex ? ' active' : ''}${source.cited ? '' : ' uncited'}`}
+                        >
+                            <div className="source-header">
+                                <span className="source-index">[{source.index}]</span>
+                                <span className="source-title">{source.title}</span>
+                                <span className="source-score">{(source.score * 100).toFixed(0)}%</span>
+                            </div>
+                            <blockquote className="source-snippet">{source.snippet}</blockquote>
+                        </li>
+                    ))}
+                </ol>
+            )}
+        </div>
+    );
+}
+
+SourcesPanel.propTypes = {
+    sources: PropTypes.arrayOf(
+        PropTypes.shape({
+            index: PropTypes.number.isRequired,
+            id: PropTypes.string,
+            docId: PropTypes.string,
+            title: PropTypes.string.isRequired,
+            snippet: PropTypes.string.isRequired,
+            score: PropTypes.number.isRequired,
+            cited: PropTypes.bool,
+        })
+    ).isRequired,
+    open: PropTypes.bool.isRequired,
+    activeIndex: PropTypes.number,
+    onToggle: PropTypes.func.isRequired,
+};
@@ -0,0 +1,111 @@
+import PropTypes from 'prop-types';
+import BarChart from './BarChart';
+
+const percent = (v) => `${(v * 100).toFixed(1)}%`;
+
+function bucketLabel(iso, bucket) {
+    const date = new Date(iso);
+    return bucket === 'hour'
+        ? date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })
+        : date.toLocaleDateString([], { month: 'short', day: 'numeric' });
+}
+
+function QueryTable({ rows, scoreColumn }) {
+    if (rows.length === 0) return <p className="admin-empty">No queries in this period.</p>;
+    return (
+        <table className="admin-table">
+            <thead>
+                <tr>
+                    <th>Query</th>
+                    <th>Asked</th>
+                    <th>Fallbacks</th>
+                    {scoreColumn && <th>Top score</th>}
+                </tr>
+            </thead>
+            <tbody>
+                {rows.map((row) => (
+                    <tr key={row.query}>
+                        <td className="query-cell">{row.query}</td>
+                        <td>{row.count}</td>
+                        <td className={row.fallbacks ? 'warn' : ''}>{row.fallbacks}</td>
+                        {scoreColumn && <td>{row.topScore.toFixed(3)}</td>}
+                    </tr>
+                ))}
+            </tbody>
+        </table>
+    );
+}
+
+QueryTable.propTypes = {
+    rows: PropTypes.arrayOf(PropTypes.object).isRequired,
+    scoreColumn: PropTypes.bool,
+};
+
+export default function UsageInsights({ insights }) {
+    const { totals, timeline, latencyHistogram, range, feedback } = insights;
+    // Label about eight bars so the labels don't overlap
+    const labelEvery = Math.ceil(timeline.length / 8);
+    const bucketData = (field) =>
+        timeline.map((b, i) => {
+            const label = bucketLabel(b.start, range.bucket);
+            return { key: b.start, label, shortLabel: i % labelEvery === 0 ? label : '', value: b[field] };
+        });
+
+    return (
+        <div className="usage-insights">
+            <div className="stat-cards">
+                <div className="stat-card"><span>Queries</span><strong>{totals.queries}</strong></div>
+                <div className="stat-card"><span>Fallback rate</span><strong>{percent(totals.fallbackRate)}</strong></div>
+                <div className="stat-card"><span>Tokens</span><strong>{totals.tokens.toLocaleString()}</strong></div>
+                <div className="stat-card"><span>Latency p50 / p95</span><strong>{totals.latencyMs.p50} / {totals.latencyMs.p95} ms</strong></div>
+                <div className="stat-card"><span>Errors</span><strong>{totals.errors}</strong></div>
+                <div className="stat-card"><span>Feedback</span><strong>👍 {feedback.up} · 👎 {feedback.down}</strong></div>
+            </div>
+
+            <div className="admin-grid">
+                <section className="admin-card">
+                    <h4>Queries per {range.bucket}</h4>
+                    <BarChart data={bucketData('queries')} />
+                </section>
+                <section className="admin-card">
+                    <h4>Fallback rate per {range.bucket}</h4>
+                    <BarChart data={bucketData('fallbackRate')} formatValue={percent} tone="warning" />
+                </section>
+                <section className="admin-card">
+                    <h4>Tokens per {range.bucket}</h4>
+                    <BarChart data={bucketData('tokens')} formatValue={(v) => v.toLocaleString()} tone="success" />
+                </section>
+                <section className="admin-card">
+                    <h4>Latency</h4>
+                    <BarChart
+                        data={latencyHistogram.map((b) => ({
+                            label: b.maxMs ? `${b.minMs}–${b.maxMs} ms` : `≥ ${b.minMs} ms`,
+                            shortLabel: b.maxMs ? `<${b.maxMs >= 1000 ? `${b.maxMs / 1000}s` : b.maxMs}` : `${b.minMs / 1000}s+`,
+                            value: b.count,
+                        }))}
+                    />
+                </section>
+                <section className="admin-card">
+                    <h4>Top queries</h4>
+                    <QueryTable rows={insights.topQueries} />
+                </section>
+                <section className="admin-card">
+                    <h4>Lowest-scoring queries</h4>
+                    <QueryTable rows={insights.lowestScoring} scoreColumn />
+                </section>
+            </div>
+        </div>
+    );
+}
+
+UsageInsights.propTypes = {
+    insights: PropTypes.shape({
+        range: PropTypes.shape({ bucket: PropTypes.string.isRequired }).isRequired,
+        totals: PropTypes.object.isRequired,
+        timeline: PropTypes.arrayOf(PropTypes.object).isRequired,
+        latencyHistogram: PropTypes.arrayOf(PropTypes.object).isRequired,
+        topQueries: PropTypes.arrayOf(PropTypes.object).isRequired,
+        lowestScoring: PropTypes.arrayOf(PropTypes.object).isRequired,
+        feedback: PropTypes.shape({ up: PropTypes.number, down: PropTypes.number }).isRequired,
+    }).isRequired,
+};
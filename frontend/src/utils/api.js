@@ -0,0 +1,45 @@
+// Backend requests. When the backend has authentication enabled, each user
+// signs in through your login flow (VITE_LOGIN_URL), which issues a short-lived
+// per-user JWT (see JWT_SECRET in the backend) and redirects back to the app
+// with `#token=<jwt>`. The token is kept in sessionStorage for the tab and sent
+// as a bearer token.
+// VITE_API_KEY (frontend/.env.local) is for local development only: Vite
+// inlines it into the bundle, so production builds never send it.
+
+const API_BASE = import.meta.env.VITE_API_URL || 'http://localhost:3001';
+const LOGIN_URL = import.meta.env.VITE_LOGIN_URL;
+const DEV_API_KEY = import.meta.env.DEV ? import.meta.env.VITE_API_KEY : undefined;
+
+const TOKEN_KEY = 'rag_token';
+
+// Take a token handed over by the login redirect out of the URL
+const handedOver = new URLSearchParams(window.location.hash.slice(1)).get('token');
+if (handedOver) {
+  sessionStorage.setItem(TOKEN_KEY, handedOver);
+  window.history.replaceState(null, '', window.location.pathname + window.location.search);
+}
+
+/**
+ * fetch() against the backend with the user's credentials attached.
+ * `path` starts with a slash, e.g. '/api/sessions'.
+ */
+export function apiFetch(path, init = {}) {
+  const headers = { ...init.headers };
+  const token = sessionStorage.getItem(TOKEN_KEY);
+  if (token) headers.Authorization = `Bearer ${token}`;
+  else if (DEV_API_KEY) headers['X-API-Key'] = DEV_API_KEY;
+  return fetch(`${API_BASE}${path}`, { ...init, headers });
+}
+
+/**
+ * Drop the stored token (expired or rejected) and send the user to the login
+ * flow. Returns false when no VITE_LOGIN_URL is configured.
+ */
+export function signIn() {
+  sessionStorage.removeItem(TOKEN_KEY);
+  if (!LOGIN_URL) return false;
+  const url = new URL(LOGIN_URL, window.location.href);
+  url.searchParams.set('redirect_uri', window.location.href);
+  window.location.assign(url);
+  return true;
+}
@@ -0,0 +1,19 @@
+// Turns [1] / [1][3] / [1, 3] citation markers into Markdown links that
+// MessageBubble renders as buttons opening the matching source.
+
+export const CITATION_HREF_PREFIX = '#cite-';
+
+const CITATION_GROUP = /\[(\d+(?:\s*,\s*\d+)*)\](?!\()/g;
+
+/**
+ * Replace citation markers that refer to one of `sourceCount` sources with
+ * `[\[n\]](#cite-n)` links. Other bracketed numbers are left untouched.
+ */
+export function linkCitations(text, sourceCount) {
+  if (!sourceCount) return text;
+  return text.replace(CITATION_GROUP, (marker, group) => {
+    const numbers = group.split(',').map((n) => parseInt(n, 10));
+    if (!numbers.every((n) => n >= 1 && n <= sourceCount)) return marker;
+    return numbers.map((n) => `[\\[${n}\\]](${CITATION_HREF_PREFIX}${n})`).join('');
+  });
+}
@@ -0,0 +1,48 @@
+// Minimal Server-Sent Events reader for fetch() responses.
+// EventSource only supports GET, so POST streams are parsed by hand.
+
+/**
+ * Read an SSE response body and call `onEvent(event, data)` for each message.
+ * `data` is JSON-parsed when possible. Resolves when the stream ends.
+ */
+export async function readEventStream(res, onEvent) {
+  const reader = res.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  for (;;) {
+    const { value, done } = await reader.read();
+    if (done) break;
+    buffer += decoder.decode(value, { stream: true });
+
+    // Events are separated by a blank line
+    let boundary;
+    while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+      const raw = buffer.slice(0, boundary);
+      buffer = buffer.slice(boundary + 2);
+      dispatch(raw, onEvent);
+    }
+  }
+
+  if (buffer.trim()) dispatch(buffer, onEvent);
+}
+
+function dispatch(raw, onEvent) {
+  let event = 'message';
+  const dataLines = [];
+
+  for (const line of raw.split('\n')) {
+    if (line.startsWith('event:')) event = line.slice(6).trim();
+    else if (line.startsWith('data:')) dataLines.push(line.slice(5).replace(/^ /, ''));
+  }
+  if (dataLines.length === 0) return;
+
+  const payload = dataLines.join('\n');
+  let data;
+  try {
+    data = JSON.parse(payload);
+  } catch {
+    data = payload;
+  }
+  onEvent(event, data);
+}